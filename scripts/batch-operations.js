@@ -1,29 +1,23 @@
-const { MongoClient } = require('mongodb');
 const dotenv = require('dotenv');
-const { Client } = require('@elastic/elasticsearch');
 
 dotenv.config();
 
+const { connectMongoDB, getCollection, closeMongoDB } = require('../src/services/mongoService');
+const { connectElasticsearch, getClient, getReadAlias } = require('../src/services/elasticsearchService');
+const { indexCursor } = require('../src/services/bulkIndexer');
+
 async function performBatchOperations() {
     // Connect to MongoDB
-    const mongoClient = new MongoClient(process.env.MONGODB_URI);
-    await mongoClient.connect();
+    await connectMongoDB();
     console.log('Connected to MongoDB');
 
     // Connect to Elasticsearch
-    const esClient = new Client({
-        node: process.env.ELASTICSEARCH_NODE,
-        auth: {
-            username: process.env.ELASTICSEARCH_USERNAME,
-            password: process.env.ELASTICSEARCH_PASSWORD
-        }
-    });
+    await connectElasticsearch();
     console.log('Connected to Elasticsearch');
 
     try {
-        const db = mongoClient.db(process.env.MONGODB_DATABASE);
-        const collection = db.collection(process.env.MONGODB_COLLECTION);
-        const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+        const collection = getCollection();
+        const esClient = getClient();
 
         // Example 1: Bulk insert into MongoDB
         console.log('\n--- BULK INSERT INTO MONGODB ---');
@@ -31,28 +25,22 @@ async function performBatchOperations() {
         const insertResult = await collection.insertMany(bulkData);
         console.log(`Inserted ${insertResult.insertedCount} documents into MongoDB`);
 
-        // Example 2: Bulk index into Elasticsearch
+        // Example 2: Bulk index into Elasticsearch, streamed from a cursor through the same
+        // versioned, quarantining indexer the sync uses
         console.log('\n--- BULK INDEX INTO ELASTICSEARCH ---');
-        const allDocs = await collection.find({}).toArray();
-
-        const operations = allDocs.flatMap(doc => [
-            { index: { _index: indexName, _id: doc._id.toString() } },
-            transformForElasticsearch(doc)
-        ]);
+        const summary = await indexCursor(collection.find({}));
 
-        const bulkResponse = await esClient.bulk({ body: operations });
-
-        if (bulkResponse.errors) {
-            console.log('Bulk indexing encountered errors');
-        } else {
-            console.log(`Bulk indexed ${allDocs.length} documents into Elasticsearch`);
+        console.log(`Bulk indexed ${summary.indexed} of ${summary.processed} documents into Elasticsearch`);
+        if (summary.failed > 0 || summary.quarantined > 0 || summary.versionConflicts > 0) {
+            console.log(`Failed: ${summary.failed}, quarantined: ${summary.quarantined}, ` +
+                `skipped as older than the indexed version: ${summary.versionConflicts}`);
         }
 
         // Example 3: Verify synchronization
         console.log('\n--- VERIFY SYNCHRONIZATION ---');
         const mongoCount = await collection.countDocuments();
-        const esCountResponse = await esClient.count({ index: indexName });
-        const esCount = esCountResponse.body.count;
+        const esCountResponse = await esClient.count({ index: getReadAlias() });
+        const esCount = esCountResponse.body?.count || esCountResponse.count;
 
         console.log(`MongoDB document count: ${mongoCount}`);
         console.log(`Elasticsearch document count: ${esCount}`);
@@ -61,7 +49,7 @@ async function performBatchOperations() {
     } catch (error) {
         console.error('Error during batch operations:', error);
     } finally {
-        await mongoClient.close();
+        await closeMongoDB();
         console.log('MongoDB connection closed');
     }
 }
@@ -77,6 +65,11 @@ function generateBulkData(count) {
             CIDRIPV4: `192.168.${i}.0/24`,
             IPV4: `192.168.${i}.1`,
             IP: `192.168.${i}.1`,
+            // Every other subnet is dual-stack
+            ...(i % 2 === 0 && {
+                CIDRIPV6: `2001:db8:${i.toString(16)}::/64`,
+                IPV6: `2001:db8:${i.toString(16)}::1`
+            }),
             SITE: `site-${i % 5 + 1}`,
             DESCRIPTION: `Test subnet ${i} for ${i % 2 === 0 ? 'development' : 'production'}`,
             TIMESTAMP: new Date(),
@@ -87,24 +80,5 @@ function generateBulkData(count) {
     return data;
 }
 
-// Transform MongoDB document for Elasticsearch
-function transformForElasticsearch(doc) {
-    const suggest = [];
-
-    if (doc.CLUSTERID) suggest.push(doc.CLUSTERID);
-    if (doc.SITE) suggest.push(doc.SITE);
-    if (doc.DESCRIPTION) suggest.push(doc.DESCRIPTION);
-
-    return {
-        ...doc,
-        suggest: {
-            input: suggest,
-            contexts: {
-                category: ['subnet', 'network']
-            }
-        }
-    };
-}
-
 // Run the batch operations
 performBatchOperations().catch(console.error);
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { connectMongoDB, closeMongoDB } = require('../src/services/mongoService');
+const { ensureSubnetIndexes } = require('../src/services/subnetService');
+const { DEFAULT_KEY_FIELDS, parseColumnMapping, formatFromFileName, parseImport, importRecords } = require('../src/services/importService');
+const logger = require('../src/utils/logger');
+
+// Usage: node scripts/import-data.js <file> [--format=csv|json|ndjson] [--map=subnet:CIDR,owner:USERNAME] [--key=CIDR,SITE] [--dry-run] [--json]
+// The format defaults to the file extension. Exits with 2 when rows were rejected.
+function parseArgs(argv) {
+    const options = {};
+
+    argv.forEach(arg => {
+        if (!arg.startsWith('--')) {
+            options.file = arg;
+            return;
+        }
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'format') options.format = value;
+        if (key === 'map') options.map = value;
+        if (key === 'key') options.keyFields = value.split(',').map(field => field.trim());
+        if (key === 'dry-run') options.dryRun = true;
+        if (key === 'json') options.json = true;
+    });
+
+    return options;
+}
+
+function printReport(report) {
+    console.log(`📥 Imported ${report.summary.rows} rows${report.dryRun ? ' (dry run, nothing written)' : ''}`);
+    console.log(`   Matched on: ${report.keyFields.join(', ')}`);
+    if (report.dryRun) {
+        console.log(`   Valid: ${report.summary.valid}`);
+    } else {
+        console.log(`   Accepted: ${report.summary.accepted}`);
+        console.log(`   Updated: ${report.summary.updated}`);
+    }
+    console.log(`   Rejected: ${report.summary.rejected}`);
+
+    const rejected = report.rows.filter(row => row.status === 'rejected');
+    if (rejected.length > 0) {
+        console.log('\n--- REJECTED ROWS ---');
+        rejected.forEach(row => {
+            row.errors.forEach(error => console.log(`row ${row.row}: ${error.message}`));
+        });
+    }
+
+    const warned = report.rows.filter(row => row.status !== 'rejected' && row.warnings?.length > 0);
+    if (warned.length > 0) {
+        console.log('\n--- WARNINGS ---');
+        warned.forEach(row => {
+            row.warnings.forEach(warning => console.log(`row ${row.row}: ${warning.message}`));
+        });
+    }
+}
+
+async function runImport() {
+    const { file, format, map, json, ...options } = parseArgs(process.argv.slice(2));
+
+    if (!file) {
+        console.error('❌ A file to import is required');
+        process.exit(1);
+    }
+
+    try {
+        const rows = parseImport(fs.readFileSync(file, 'utf8'), format || formatFromFileName(file));
+
+        await connectMongoDB();
+        await ensureSubnetIndexes();
+
+        const report = await importRecords(rows, {
+            ...options,
+            mapping: parseColumnMapping(map),
+            keyFields: options.keyFields || DEFAULT_KEY_FIELDS
+        });
+
+        if (json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+
+        await closeMongoDB();
+        process.exit(report.summary.rejected > 0 ? 2 : 0);
+    } catch (error) {
+        console.error('❌ Import failed:', error.message);
+        logger.error('Import script failed:', error);
+        process.exit(1);
+    }
+}
+
+runImport();
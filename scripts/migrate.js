@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { connectMongoDB } = require('../src/services/mongoService');
+const { connectElasticsearch } = require('../src/services/elasticsearchService');
+const { getMigrationStatus, applyMigrations } = require('../src/services/migrationService');
+const logger = require('../src/utils/logger');
+
+// Usage: node scripts/migrate.js [status|apply] [--dry-run]
+function printStatus(status) {
+    console.log(`📇 Index: ${status.index}`);
+    console.log(`🔢 Applied version: ${status.appliedVersion} (latest ${status.latestVersion}, recorded ${status.recordedVersion ?? 'none'})`);
+
+    if (status.pending.length === 0) {
+        console.log('✅ No pending migrations');
+    } else {
+        console.log('⏳ Pending migrations:');
+        status.pending.forEach(migration => {
+            console.log(`   ${migration.version}. ${migration.description}${migration.breaking ? ' [breaking - reindex]' : ''}`);
+        });
+    }
+
+    if (status.drift.length > 0) {
+        console.log('⚠️  Mapping drift:');
+        status.drift.forEach(entry => {
+            console.log(`   ${entry.field}: expected ${entry.expected ?? 'unmapped'}, found ${entry.actual ?? 'missing'}`);
+        });
+    }
+}
+
+async function runMigrations() {
+    const args = process.argv.slice(2);
+    const command = args.find(arg => !arg.startsWith('--')) || 'status';
+    const dryRun = args.includes('--dry-run');
+
+    try {
+        await connectMongoDB();
+        await connectElasticsearch();
+
+        if (command === 'status') {
+            printStatus(await getMigrationStatus());
+        } else if (command === 'apply') {
+            const result = await applyMigrations({ dryRun });
+
+            if (dryRun) {
+                console.log(`🧪 Dry run - would apply ${result.pending.length} migrations (${result.method})\n`);
+            } else {
+                console.log(`🎉 Applied ${result.applied.length} migration step(s) (${result.method})\n`);
+            }
+            printStatus(result);
+        } else {
+            console.error(`Unknown command "${command}", expected status or apply`);
+            process.exit(1);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        logger.error('Migration script failed:', error);
+        process.exit(1);
+    }
+}
+
+runMigrations();
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { connectElasticsearch } = require('../src/services/elasticsearchService');
+const { evaluateProfiles } = require('../src/services/relevanceService');
+const logger = require('../src/utils/logger');
+
+// Usage: node scripts/relevance-eval.js --judgments=judgments.json [--profiles=default,text] [--metric=ndcg] [--k=10] [--json]
+// The judgments file is an array of { id, query, ratings: { <document id>: <grade> } }
+function parseArgs(argv) {
+    const options = {};
+
+    argv.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'judgments') options.judgments = value;
+        if (key === 'profiles') options.profiles = value.split(',').map(name => name.trim());
+        if (key === 'metric') options.metric = value;
+        if (key === 'k') options.k = parseInt(value);
+        if (key === 'json') options.json = true;
+    });
+
+    return options;
+}
+
+function printResult(result) {
+    console.log(`📏 ${result.metric}@${result.k} over ${result.queries} judged queries`);
+
+    result.profiles.forEach(profile => {
+        const marker = profile.profile === result.best ? '🏆' : '  ';
+        console.log(`\n${marker} ${profile.profile}: ${profile.score.toFixed(4)}`);
+        profile.queries.forEach(query => {
+            const score = query.score === null ? 'n/a' : query.score.toFixed(4);
+            console.log(`     ${score}  ${query.query}${query.unratedDocs > 0 ? ` (${query.unratedDocs} unrated hits)` : ''}`);
+        });
+    });
+}
+
+async function runEvaluation() {
+    const { judgments, json, ...options } = parseArgs(process.argv.slice(2));
+
+    if (!judgments) {
+        console.error('❌ --judgments=<file> is required');
+        process.exit(1);
+    }
+
+    try {
+        const queries = JSON.parse(fs.readFileSync(judgments, 'utf8'));
+
+        await connectElasticsearch();
+
+        const result = await evaluateProfiles({ ...options, queries });
+
+        if (json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printResult(result);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Relevance evaluation failed:', error.message);
+        logger.error('Relevance evaluation script failed:', error);
+        process.exit(1);
+    }
+}
+
+runEvaluation();
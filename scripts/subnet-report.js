@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { connectMongoDB, closeMongoDB } = require('../src/services/mongoService');
+const { analyzeSubnets } = require('../src/services/subnetAnalysisService');
+const logger = require('../src/utils/logger');
+
+// Usage: node scripts/subnet-report.js [--site=site-3] [--cluster=cluster-1] [--include-nested] [--json]
+// Exits with 2 when duplicate or overlapping prefixes are found
+function parseArgs(argv) {
+    const options = {};
+
+    argv.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'site') options.site = value;
+        if (key === 'cluster') options.cluster = value;
+        if (key === 'include-nested') options.includeNested = true;
+        if (key === 'json') options.json = true;
+    });
+
+    return options;
+}
+
+function printReport(report) {
+    console.log(`📊 Scanned ${report.scanned} subnet records`);
+    console.log(`   Duplicates: ${report.summary.duplicates}`);
+    console.log(`   Overlaps: ${report.summary.overlaps}`);
+    console.log(`   Records with issues: ${report.summary.recordIssues}`);
+
+    if (report.groups.length > 0) {
+        console.log('\n--- CONFLICTS BY SITE / CLUSTER ---');
+        report.groups.forEach(group => {
+            console.log(`${group.SITE} / ${group.CLUSTERID}: ${group.duplicates} duplicates, ${group.overlaps} overlaps`);
+        });
+    }
+
+    if (report.conflicts.length > 0) {
+        console.log('\n--- CONFLICTS ---');
+        report.conflicts.forEach(conflict => {
+            const where = conflict.records.map(r => `${r.CIDR} (${r.SITE}/${r.CLUSTERID}, ${r.id})`).join(', ');
+            console.log(`[${conflict.type}] ${where}`);
+        });
+    }
+
+    if (report.recordIssues.length > 0) {
+        console.log('\n--- RECORD ISSUES ---');
+        report.recordIssues.forEach(record => {
+            record.issues.forEach(issue => console.log(`${record.id}: ${issue.message}`));
+        });
+    }
+
+    if (report.truncated) {
+        console.log('\n⚠️  Output truncated, narrow it down with --site or --cluster');
+    }
+}
+
+async function runReport() {
+    const { json, ...options } = parseArgs(process.argv.slice(2));
+
+    try {
+        await connectMongoDB();
+
+        const report = await analyzeSubnets(options);
+
+        if (json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+
+        await closeMongoDB();
+        process.exit(report.summary.duplicates + report.summary.overlaps > 0 ? 2 : 0);
+    } catch (error) {
+        console.error('❌ Subnet report failed:', error.message);
+        logger.error('Subnet report script failed:', error);
+        process.exit(1);
+    }
+}
+
+runReport();
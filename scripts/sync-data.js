@@ -5,9 +5,27 @@ dotenv.config();
 
 const { connectMongoDB } = require('../src/services/mongoService');
 const { connectElasticsearch } = require('../src/services/elasticsearchService');
-const { bulkSyncToElasticsearch } = require('../src/services/syncService');
+const { startJob, cancelRunningJobs } = require('../src/services/syncJobService');
+const { ensureMigrationsApplied } = require('../src/services/migrationService');
 const logger = require('../src/utils/logger');
 
+// Usage: node scripts/sync-data.js [--batch-size=500] [--concurrency=2]
+//        [--incremental [--field=TIMESTAMP|_id] [--reset]]
+function parseArgs(argv) {
+    const options = {};
+
+    argv.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'batch-size') options.batchSize = parseInt(value);
+        if (key === 'concurrency') options.concurrency = parseInt(value);
+        if (key === 'incremental') options.incremental = true;
+        if (key === 'field') options.field = value;
+        if (key === 'reset') options.reset = true;
+    });
+
+    return options;
+}
+
 async function runSync() {
     try {
         console.log('🚀 Starting MongoDB to Elasticsearch sync...\n');
@@ -19,13 +37,46 @@ async function runSync() {
         await connectElasticsearch();
         console.log('✅ Connected to Elasticsearch');
 
-        // Run the sync
-        const totalProcessed = await bulkSyncToElasticsearch();
+        await ensureMigrationsApplied();
+
+        const { incremental, ...options } = parseArgs(process.argv.slice(2));
+
+        if (incremental) {
+            console.log(`⏩ Incremental mode on ${options.field || 'TIMESTAMP'}`);
+        }
+
+        // Run the sync as a job, so it shows up in the job history and can't overlap another one
+        const { job, completion } = await startJob(incremental ? 'incremental' : 'full', options, {
+            onProgress: (batch) => {
+                console.log(`📦 Batch ${batch.batch}: ${batch.batchIndexed} indexed, ${batch.batchFailed} failed ` +
+                    `(${batch.indexed} total, ${Math.round(batch.elapsedMs / 1000)}s)`);
+            }
+        });
+        console.log(`🆔 Job ${job.id}`);
+
+        const finished = await completion;
+        if (!finished.result) {
+            throw new Error(`Sync job ${finished.status}: ${finished.error}`);
+        }
+        const summary = finished.result;
 
-        console.log(`\n🎉 Sync completed successfully!`);
-        console.log(`📊 Total documents processed: ${totalProcessed}`);
+        if (summary.failed > 0) {
+            console.log(`\n⚠️  Sync completed with ${summary.failed} failed documents`);
+        } else {
+            console.log(`\n🎉 Sync completed successfully!`);
+        }
+        console.log(`📊 Total documents processed: ${summary.processed}`);
+        if (summary.quarantined > 0) {
+            console.log(`🚧 Quarantined: ${summary.quarantined} (see GET /api/sync/quarantine)`);
+        }
+        if (summary.versionConflicts > 0) {
+            console.log(`⏭️  Skipped as stale: ${summary.versionConflicts} (the index already had newer versions)`);
+        }
+        if (incremental) {
+            console.log(`🔖 Watermark: ${summary.watermark}`);
+        }
 
-        process.exit(0);
+        process.exit(summary.failed > 0 ? 1 : 0);
     } catch (error) {
         console.error('❌ Sync failed:', error);
         logger.error('Sync script failed:', error);
@@ -34,13 +85,15 @@ async function runSync() {
 }
 
 // Handle script termination
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
     console.log('\n🛑 Sync interrupted by user');
+    await cancelRunningJobs();
     process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('\n🛑 Sync terminated');
+    await cancelRunningJobs();
     process.exit(0);
 });
 
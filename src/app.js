@@ -2,9 +2,12 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const dotenv = require('dotenv');
-const { connectMongoDB } = require('./services/mongoService');
+const { connectMongoDB, closeMongoDB } = require('./services/mongoService');
 const { connectElasticsearch } = require('./services/elasticsearchService');
-const { setupChangeStreams } = require('./services/syncService');
+const { setupChangeStreams, closeChangeStreams } = require('./services/syncService');
+const { cancelRunningJobs } = require('./services/syncJobService');
+const { ensureSubnetIndexes } = require('./services/subnetService');
+const { ensureMigrationsApplied } = require('./services/migrationService');
 const logger = require('./utils/logger');
 
 // Load environment variables
@@ -16,6 +19,9 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(helmet());
 app.use(cors());
+// Import uploads are read as raw text before express.json() sees them, so CSV and NDJSON
+// get through and files aren't held to the 100kb JSON body limit
+app.use('/api/import', express.text({ type: '*/*', limit: process.env.IMPORT_MAX_BYTES || '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -28,6 +34,11 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/search', require('./routes/searchRoutes'));
 app.use('/api/sync', require('./routes/syncRoutes'));
+app.use('/api/analysis', require('./routes/analysisRoutes'));
+app.use('/api/ipam', require('./routes/ipamRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/import', require('./routes/importRoutes'));
+app.use('/api/subnets', require('./routes/subnetRoutes'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -63,9 +74,14 @@ async function startServer() {
         await connectMongoDB();
         logger.info('Connected to MongoDB');
 
+        await ensureSubnetIndexes();
+
         await connectElasticsearch();
         logger.info('Connected to Elasticsearch');
 
+        // Writes below assume the latest mapping
+        await ensureMigrationsApplied();
+
         await setupChangeStreams();
         logger.info('MongoDB Change Streams initialized');
 
@@ -82,4 +98,21 @@ async function startServer() {
     }
 }
 
+// Stop sync jobs and the change stream before the Mongo connection they read from,
+// so cancelled jobs still get their outcome recorded
+async function shutdown(signal) {
+    logger.info(`${signal} received, shutting down`);
+    try {
+        await cancelRunningJobs();
+        await closeChangeStreams();
+        await closeMongoDB();
+    } catch (error) {
+        logger.error('Error during shutdown:', error);
+    }
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 startServer();
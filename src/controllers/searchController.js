@@ -1,83 +1,71 @@
 const { getClient } = require('../services/elasticsearchService');
+const { parseIP, parseCIDR, formatIP, normalizeIP, normalizeCIDR } = require('../utils/cidr');
+const { buildPrefixTree, toTreeEntries } = require('../utils/prefixTree');
+const { SEARCH_FIELDS, QueryParseError } = require('../utils/queryParser');
+const { getProfile, buildProfileQuery, buildSearchQuery } = require('../services/relevanceService');
+const { encodeCursor, decodeCursor } = require('../utils/searchCursor');
+const { formatCsvRow } = require('../utils/csv');
+const { SUGGEST_FIELDS, IP_PREFIX_FIELDS } = require('../utils/documentTransform');
+const {
+    validateBulkPatch,
+    normalizeBulkEditFilter,
+    collectMatchingIds,
+    previewBulkEdit,
+    confirmBulkEdit
+} = require('../services/subnetService');
 const logger = require('../utils/logger');
 
-// Helper functions defined outside the object to avoid context issues
-const buildMultiFieldQuery = async (q, fuzzy, fuzziness) => {
-    const baseQuery = {
-        bool: {
-            should: [
-                // Exact matches (highest priority)
-                {
-                    bool: {
-                        should: [
-                            { term: { 'CLUSTERID': { value: q, boost: 3.0 } } },
-                            { term: { 'SITE': { value: q, boost: 3.0 } } },
-                            { term: { 'USERNAME': { value: q, boost: 2.0 } } }
-                        ]
-                    }
-                },
-                // Wildcard searches for partial matches
-                {
-                    bool: {
-                        should: [
-                            { wildcard: { 'CLUSTERID': { value: `*${q.toLowerCase()}*`, boost: 2.5 } } },
-                            { wildcard: { 'SITE': { value: `*${q.toLowerCase()}*`, boost: 2.5 } } },
-                            { wildcard: { 'USERNAME': { value: `*${q.toLowerCase()}*`, boost: 1.5 } } },
-                            { wildcard: { 'VALUE': { value: `*${q.toLowerCase()}*`, boost: 2.0 } } }
-                        ]
-                    }
-                },
-                // Text search in VALUE field
-                {
-                    match: {
-                        'VALUE': {
-                            query: q,
-                            fuzziness: fuzzy ? fuzziness : 0,
-                            boost: 2.0
-                        }
-                    }
-                },
-                // Autocomplete fields
-                {
-                    bool: {
-                        should: [
-                            { match: { 'CLUSTERID.autocomplete': { query: q, boost: 2.0 } } },
-                            { match: { 'SITE.autocomplete': { query: q, boost: 2.0 } } }
-                        ]
-                    }
-                },
-                // Prefix matches
-                {
-                    bool: {
-                        should: [
-                            { prefix: { 'CLUSTERID': { value: q.toLowerCase(), boost: 1.5 } } },
-                            { prefix: { 'SITE': { value: q.toLowerCase(), boost: 1.5 } } },
-                            { prefix: { 'USERNAME': { value: q.toLowerCase(), boost: 1.0 } } }
-                        ]
-                    }
-                }
-            ],
-            minimum_should_match: 1
-        }
-    };
+// Prefix length and network address derived from CIDR (or CIDRIPV6 on IPv6-only records)
+// at query time, used to order containment and range results without storing extra fields
+const CIDR_SCRIPT_PREFIX = "String c = doc['CIDR'].size() > 0 ? doc['CIDR'].value : " +
+    "(doc['CIDRIPV6'].size() > 0 ? doc['CIDRIPV6'].value : null); " +
+    "if (c == null) { return; } int slash = c.indexOf('/'); if (slash < 0) { return; } ";
 
-    return baseQuery;
+const CIDR_RUNTIME_FIELDS = {
+    PREFIX_LENGTH: {
+        type: 'long',
+        script: { source: CIDR_SCRIPT_PREFIX + 'emit(Long.parseLong(c.substring(slash + 1)));' }
+    },
+    NETWORK_ADDRESS: {
+        type: 'ip',
+        script: { source: CIDR_SCRIPT_PREFIX + 'emit(c.substring(0, slash));' }
+    }
 };
 
-const buildFieldSpecificQuery = async (q, field, fuzzy, fuzziness) => {
-    const fieldMapping = {
-        'CLUSTERID': 'keyword',
-        'SITE': 'keyword',
-        'VALUE': 'text',
-        'USERNAME': 'keyword',
-        'CIDR': 'keyword',
-        'CIDRIPV4': 'keyword'
-    };
+// IPv6 prefixes can sit in CIDR or in the dedicated CIDRIPV6 field
+const getRangeFields = (version) => (version === 6 ? ['CIDR.range', 'CIDRIPV6.range'] : ['CIDR.range']);
+
+const IPV4_CIDR_FILTER = {
+    range: { 'CIDR.range': { gte: '0.0.0.0', lte: '255.255.255.255', relation: 'within' } }
+};
 
-    const fieldType = fieldMapping[field.toUpperCase()];
+// A record belongs to a family when any of its prefix or address fields does
+const ADDRESS_FAMILY_FILTERS = {
+    ipv4: [
+        { exists: { field: 'CIDRIPV4' } },
+        { exists: { field: 'IPV4' } },
+        IPV4_CIDR_FILTER
+    ],
+    ipv6: [
+        { exists: { field: 'CIDRIPV6' } },
+        { exists: { field: 'IPV6' } },
+        { bool: { filter: [{ exists: { field: 'CIDR' } }], must_not: [IPV4_CIDR_FILTER] } }
+    ]
+};
+
+// Helper functions defined outside the object to avoid context issues
+// Fields, boosts and clause types come from the relevance profile (src/config/relevanceProfiles.json)
+const buildMultiFieldQuery = async (q, fuzzy, fuzziness, profile = getProfile()) => {
+    return buildProfileQuery(q, profile, { fuzzy, fuzziness });
+};
+
+const buildFieldSpecificQuery = async (q, field, fuzzy, fuzziness) => {
+    const fieldType = SEARCH_FIELDS[field.toUpperCase()];
 
     if (!fieldType) {
-        throw new Error(`Invalid field: ${field}`);
+        const error = new Error(`Invalid field: ${field}`);
+        error.statusCode = 400;
+        throw error;
     }
 
     if (fieldType === 'keyword') {
@@ -103,49 +91,386 @@ const buildFieldSpecificQuery = async (q, field, fuzzy, fuzziness) => {
     }
 };
 
-const buildSortConfig = (sortBy, sortOrder) => {
+// Every sort ends on a unique tiebreaker so equal scores keep their order between pages:
+// _shard_doc inside a point in time, DOC_ID (the document id as keyword) otherwise
+const buildSortConfig = (sortBy, sortOrder, pit = false) => {
     const validSortFields = ['_score', 'TIMESTAMP', 'CLUSTERID', 'SITE', 'USERNAME'];
     const field = validSortFields.includes(sortBy) ? sortBy : '_score';
     const order = ['asc', 'desc'].includes(sortOrder) ? sortOrder : 'desc';
+    const tiebreaker = pit
+        ? { '_shard_doc': { order: 'asc' } }
+        : { 'DOC_ID': { order: 'asc', unmapped_type: 'keyword' } };
 
     if (field === '_score') {
-        return [{ '_score': { order: order } }];
+        return [{ '_score': { order: order } }, tiebreaker];
     }
 
     return [
         { [field]: { order: order } },
-        { '_score': { order: 'desc' } }
+        { '_score': { order: 'desc' } },
+        tiebreaker
     ];
 };
 
-const formatAutocompleteSuggestions = (hits, query, field) => {
-    const suggestions = new Set();
+// Request body of a search, shared by the search endpoint and explain
+const buildSearchBody = async (params, pit = false) => {
+    const {
+        q,
+        field,
+        fuzzy,
+        fuzziness,
+        profile,
+        size = 10,
+        from = 0,
+        sortBy = '_score',
+        sortOrder = 'desc'
+    } = params;
+
+    let query;
+
+    // Handle wildcard search (*)
+    if (q === '*') {
+        query = { match_all: {} };
+    } else if (field) {
+        // Field-specific search - FIX: Use function reference instead of this
+        query = await buildFieldSpecificQuery(q, field, fuzzy === 'true', fuzziness || 'AUTO');
+    } else {
+        // Query syntax, a plain word ends up in the multi-field search
+        query = await buildSearchQuery(q, getProfile(profile), { fuzzy, fuzziness });
+    }
+
+    // Build sort configuration - FIX: Use function reference instead of this
+    const sort = buildSortConfig(sortBy, sortOrder, pit);
+
+    return {
+        query: query,
+        size: parseInt(size),
+        from: parseInt(from),
+        sort: sort,
+        highlight: {
+            fields: {
+                'CLUSTERID': { type: 'unified' },
+                'SITE': { type: 'unified' },
+                'VALUE': { type: 'unified' },
+                'USERNAME': { type: 'unified' },
+                'CLUSTERID.autocomplete': { type: 'unified' },
+                'SITE.autocomplete': { type: 'unified' }
+            },
+            pre_tags: ['<mark>'],
+            post_tags: ['</mark>']
+        }
+    };
+};
+
+// Request body of an advanced search, shared by the advanced endpoint and explain
+const buildAdvancedSearchBody = async (params, pit = false) => {
+    const {
+        q,
+        sites,
+        clusters,
+        usernames,
+        dateFrom,
+        dateTo,
+        family,
+        profile,
+        size = 10,
+        from = 0,
+        sortBy = '_score',
+        sortOrder = 'desc'
+    } = params;
+
+    if (family && !['ipv4', 'ipv6', 'dual'].includes(family)) {
+        const error = new Error('Family must be ipv4, ipv6 or dual');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    let query = { bool: { must: [], filter: [] } };
+
+    // Text search
+    if (q) {
+        query.bool.must.push(await buildMultiFieldQuery(q, undefined, undefined, getProfile(profile)));
+    }
+
+    // Filters
+    if (sites) {
+        query.bool.filter.push({
+            terms: { 'SITE': sites.split(',').map(s => s.trim()) }
+        });
+    }
+
+    if (clusters) {
+        query.bool.filter.push({
+            terms: { 'CLUSTERID': clusters.split(',').map(c => c.trim()) }
+        });
+    }
+
+    if (usernames) {
+        query.bool.filter.push({
+            terms: { 'USERNAME': usernames.split(',').map(u => u.trim()) }
+        });
+    }
+
+    // Date range filter
+    if (dateFrom || dateTo) {
+        const dateRange = {};
+        if (dateFrom) dateRange.gte = dateFrom;
+        if (dateTo) dateRange.lte = dateTo;
+
+        query.bool.filter.push({
+            range: { 'TIMESTAMP': dateRange }
+        });
+    }
+
+    // Address family filter, dual means the record carries both
+    if (family === 'ipv4' || family === 'ipv6') {
+        query.bool.filter.push({
+            bool: { should: ADDRESS_FAMILY_FILTERS[family], minimum_should_match: 1 }
+        });
+    } else if (family === 'dual') {
+        ['ipv4', 'ipv6'].forEach(name => query.bool.filter.push({
+            bool: { should: ADDRESS_FAMILY_FILTERS[name], minimum_should_match: 1 }
+        }));
+    }
+
+    // If no conditions, use match_all
+    if (query.bool.must.length === 0 && query.bool.filter.length === 0) {
+        query = { match_all: {} };
+    }
+
+    const sort = buildSortConfig(sortBy, sortOrder, pit);
+
+    return {
+        query: query,
+        size: parseInt(size),
+        from: parseInt(from),
+        sort: sort,
+        aggs: {
+            sites: {
+                terms: { field: 'SITE', size: 10 }
+            },
+            clusters: {
+                terms: { field: 'CLUSTERID', size: 10 }
+            },
+            users: {
+                terms: { field: 'USERNAME', size: 10 }
+            }
+        }
+    };
+};
+
+const PIT_KEEP_ALIVE = process.env.SEARCH_PIT_KEEP_ALIVE || '5m';
+
+// Request parameters that steer pagination rather than the query itself
+const PAGINATION_PARAMS = ['cursor', 'paginate', 'from'];
+
+/**
+ * One page of a search inside a point in time, continued with search_after. The first call
+ * opens the point in time; `next` is null on the last page, whose point in time is closed.
+ */
+const searchWithCursor = async (mode, query) => {
+    const esClient = getClient();
+    const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+    let state;
+
+    if (query.cursor) {
+        state = decodeCursor(query.cursor);
+
+        if (state.mode !== mode) {
+            const error = new Error(`Cursor belongs to ${state.mode === 'advanced' ? '/api/search/advanced' : '/api/search'}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    } else {
+        const pit = await esClient.openPointInTime({ index: indexName, keep_alive: PIT_KEEP_ALIVE });
+        const params = Object.fromEntries(Object.entries(query).filter(([key]) => !PAGINATION_PARAMS.includes(key)));
+        state = { mode, pit: pit.body?.id || pit.id, searchAfter: [], params };
+    }
 
-    hits.forEach(hit => {
-        const source = hit._source;
+    const buildBody = mode === 'advanced' ? buildAdvancedSearchBody : buildSearchBody;
+    const body = await buildBody(state.params, true);
+    // search_after replaces the offset
+    delete body.from;
 
-        if (field) {
-            if (source[field] && source[field].toLowerCase().includes(query.toLowerCase())) {
-                suggestions.add(source[field]);
+    let response;
+    try {
+        response = await esClient.search({
+            body: {
+                ...body,
+                pit: { id: state.pit, keep_alive: PIT_KEEP_ALIVE },
+                ...(state.searchAfter.length > 0 && { search_after: state.searchAfter })
             }
-        } else {
-            // Add relevant fields that match the query
-            ['CLUSTERID', 'SITE', 'USERNAME'].forEach(fieldName => {
-                if (source[fieldName] && source[fieldName].toLowerCase().includes(query.toLowerCase())) {
-                    suggestions.add(source[fieldName]);
+        });
+    } catch (error) {
+        if (error.meta?.statusCode === 404) {
+            const expired = new Error('Pagination cursor has expired, start again without a cursor');
+            expired.statusCode = 410;
+            throw expired;
+        }
+        throw error;
+    }
+
+    const hits = response.body?.hits || response.hits || { total: { value: 0 }, hits: [] };
+    const pitId = response.body?.pit_id || response.pit_id || state.pit;
+    const last = hits.hits[hits.hits.length - 1];
+
+    if (!last || hits.hits.length < body.size) {
+        await esClient.closePointInTime({ body: { id: pitId } })
+            .catch(error => logger.warn('Error closing point in time:', error.message));
+        return { response, next: null };
+    }
+
+    return { response, next: encodeCursor({ ...state, pit: pitId, searchAfter: last.sort }) };
+};
+
+// Columns an export can include; `id` is the document id
+const EXPORT_COLUMNS = ['id', 'CLUSTERID', 'CIDR', 'CIDRIPV4', 'CIDRIPV6', 'IPV4', 'IP', 'IPV6',
+    'SITE', 'USERNAME', 'DESCRIPTION', 'VALUE', 'TIMESTAMP'];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const EXPORT_PAGE_SIZE = 1000;
+
+// Every hit of an advanced search, one page at a time inside a point in time.
+// Stops early when isAborted() turns true; the point in time is closed either way.
+async function* iterateAdvancedSearchHits(params, sourceFields, isAborted) {
+    const esClient = getClient();
+    const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+    const { query, sort } = await buildAdvancedSearchBody(params, true);
+
+    const pit = await esClient.openPointInTime({ index: indexName, keep_alive: PIT_KEEP_ALIVE });
+    let pitId = pit.body?.id || pit.id;
+    let searchAfter = null;
+
+    try {
+        while (!isAborted()) {
+            const response = await esClient.search({
+                body: {
+                    query,
+                    sort,
+                    size: EXPORT_PAGE_SIZE,
+                    _source: sourceFields,
+                    track_total_hits: false,
+                    pit: { id: pitId, keep_alive: PIT_KEEP_ALIVE },
+                    ...(searchAfter && { search_after: searchAfter })
                 }
             });
 
-            // Add VALUE field matches
-            if (source.VALUE && source.VALUE.toLowerCase().includes(query.toLowerCase())) {
-                suggestions.add(source.VALUE);
+            const hits = (response.body?.hits || response.hits).hits;
+            pitId = response.body?.pit_id || response.pit_id || pitId;
+
+            for (const hit of hits) {
+                yield hit;
             }
+
+            if (hits.length < EXPORT_PAGE_SIZE) {
+                return;
+            }
+            searchAfter = hits[hits.length - 1].sort;
+        }
+    } finally {
+        await esClient.closePointInTime({ body: { id: pitId } })
+            .catch(error => logger.warn('Error closing point in time:', error.message));
+    }
+}
+
+// Ids only, for collectMatchingIds
+const searchBulkEditHits = (params, isAborted) => iterateAdvancedSearchHits(params, false, isAborted);
+
+// One named completion suggester per field; merged by score, a text found in several
+// fields is reported once per field
+const formatCompletionSuggestions = (suggest, size) => {
+    return Object.entries(suggest || {})
+        .flatMap(([field, entries]) => entries.flatMap(entry => entry.options.map(option => ({
+            text: option.text,
+            field,
+            score: option._score
+        }))))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, size);
+};
+
+// Distinct values pulled per field before ranking partial IP suggestions
+const IP_SUGGESTION_CANDIDATES = 100;
+
+// Partial address/prefix autocomplete on the `prefix` sub-fields. Hosts rank first, then
+// prefixes from the longest (most specific) down, lowest address first within a length.
+const ipPrefixSuggestions = async (esClient, indexName, q, fields, sites, size) => {
+    const filter = sites ? [{ terms: { 'SITE': sites } }] : [];
+
+    const response = await esClient.search({
+        index: indexName,
+        body: {
+            size: 0,
+            query: filter.length > 0 ? { bool: { filter } } : { match_all: {} },
+            aggs: fields.reduce((result, field) => {
+                result[field] = {
+                    filter: { match: { [`${field}.prefix`]: q.trim() } },
+                    aggs: {
+                        values: { terms: { field, size: IP_SUGGESTION_CANDIDATES, order: { _key: 'asc' } } }
+                    }
+                };
+                return result;
+            }, {})
         }
     });
 
-    return Array.from(suggestions).slice(0, 10).map(text => ({ text, type: 'suggestion' }));
+    const aggregations = response.body?.aggregations || response.aggregations || {};
+    const suggestions = new Map();
+
+    fields.forEach(field => {
+        (aggregations[field]?.values?.buckets || []).forEach(bucket => {
+            const text = bucket.key_as_string || String(bucket.key);
+            const range = parseCIDR(text);
+            const ip = range ? null : parseIP(text);
+
+            if (!range && !ip) {
+                return;
+            }
+
+            if (!suggestions.has(text)) {
+                suggestions.set(text, {
+                    text,
+                    field,
+                    type: range ? 'prefix' : 'address',
+                    prefixLength: range ? range.prefix : ip.bits,
+                    version: range ? range.version : ip.version,
+                    start: range ? range.start : ip.value,
+                    count: 0
+                });
+            }
+
+            const suggestion = suggestions.get(text);
+            suggestion.count = Math.max(suggestion.count, bucket.doc_count);
+        });
+    });
+
+    return [...suggestions.values()]
+        .sort((a, b) => {
+            if (a.version !== b.version) return a.version - b.version;
+            if (a.prefixLength !== b.prefixLength) return b.prefixLength - a.prefixLength;
+            return a.start < b.start ? -1 : a.start > b.start ? 1 : 0;
+        })
+        .slice(0, size)
+        .map(({ version, start, ...suggestion }) => suggestion);
 };
 
+const formatCidrHits = (hits) => {
+    return hits.hits?.map(hit => ({
+        id: hit._id,
+        cidr: hit._source?.CIDR || hit._source?.CIDRIPV6,
+        prefixLength: hit.fields?.PREFIX_LENGTH?.[0] ?? null,
+        source: hit._source
+    })) || [];
+};
+
+// Upper bound on records pulled into one tree
+const MAX_TREE_RECORDS = 50000;
+
 // Main controller object
 const searchController = {
     /**
@@ -153,61 +478,25 @@ const searchController = {
      */
     async search(req, res) {
         try {
-            const {
-                q,
-                field,
-                fuzzy = false,
-                fuzziness = 'AUTO',
-                size = 10,
-                from = 0,
-                sortBy = '_score',
-                sortOrder = 'desc'
-            } = req.query;
-
-            if (!q) {
+            const { q, cursor, paginate } = req.query;
+
+            if (!q && !cursor) {
                 return res.status(400).json({ error: 'Query parameter "q" is required' });
             }
 
             const esClient = getClient();
             const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
 
-            let query;
-
-            // Handle wildcard search (*)
-            if (q === '*') {
-                query = { match_all: {} };
-            } else if (field) {
-                // Field-specific search - FIX: Use function reference instead of this
-                query = await buildFieldSpecificQuery(q, field, fuzzy, fuzziness);
-            } else {
-                // Multi-field search - FIX: Use function reference instead of this
-                query = await buildMultiFieldQuery(q, fuzzy, fuzziness);
-            }
-
-            // Build sort configuration - FIX: Use function reference instead of this
-            const sort = buildSortConfig(sortBy, sortOrder);
-
-            const response = await esClient.search({
-                index: indexName,
-                body: {
-                    query: query,
-                    size: parseInt(size),
-                    from: parseInt(from),
-                    sort: sort,
-                    highlight: {
-                        fields: {
-                            'CLUSTERID': { type: 'unified' },
-                            'SITE': { type: 'unified' },
-                            'VALUE': { type: 'unified' },
-                            'USERNAME': { type: 'unified' },
-                            'CLUSTERID.autocomplete': { type: 'unified' },
-                            'SITE.autocomplete': { type: 'unified' }
-                        },
-                        pre_tags: ['<mark>'],
-                        post_tags: ['</mark>']
-                    }
-                }
-            });
+            // Cursor pagination (point in time + search_after) on request, from/size otherwise
+            const usesCursor = Boolean(cursor) || paginate === 'cursor';
+            const { response, next } = usesCursor
+                ? await searchWithCursor('search', req.query)
+                : {
+                    response: await esClient.search({
+                        index: indexName,
+                        body: await buildSearchBody(req.query)
+                    })
+                };
 
             const hits = response.body?.hits || response.hits || { total: { value: 0 }, hits: [] };
             const totalValue = hits.total?.value || hits.total || 0;
@@ -219,10 +508,19 @@ const searchController = {
                     score: hit._score,
                     source: hit._source,
                     highlight: hit.highlight || {}
-                })) || []
+                })) || [],
+                ...(usesCursor && { next })
             });
 
         } catch (error) {
+            if (error instanceof QueryParseError) {
+                return res.status(400).json({ error: 'Invalid query', message: error.message, position: error.position });
+            }
+
+            if (error.statusCode === 400 || error.statusCode === 410) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+
             logger.error('Search error:', error);
 
             if (error.meta?.statusCode === 404) {
@@ -240,11 +538,11 @@ const searchController = {
     },
 
     /**
-     * Advanced autocomplete with better suggestions
+     * Autocomplete through the completion suggester, optionally limited to one field or to sites
      */
     async autocomplete(req, res) {
         try {
-            const { q, size = 5, field } = req.query;
+            const { q, size = 5, field, site } = req.query;
 
             if (!q || q.length < 1) {
                 return res.status(400).json({ error: 'Query parameter "q" is required and must be at least 1 character' });
@@ -252,53 +550,48 @@ const searchController = {
 
             const esClient = getClient();
             const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+            const sites = site ? site.split(',').map(s => s.trim()) : null;
+
+            // Set by validateAutocomplete for address-looking input or an address field
+            if (req.autocompleteMode === 'ip') {
+                const suggestions = await ipPrefixSuggestions(
+                    esClient, indexName, q, field ? [field] : IP_PREFIX_FIELDS, sites, parseInt(size)
+                );
+                return res.json({ query: q, mode: 'ip', suggestions });
+            }
 
-            let query;
+            const fields = field ? [field] : SUGGEST_FIELDS;
 
-            if (field) {
-                // Field-specific autocomplete
-                query = {
-                    bool: {
-                        should: [
-                            { prefix: { [field]: q.toLowerCase() } },
-                            { wildcard: { [field]: `*${q.toLowerCase()}*` } }
-                        ]
-                    }
-                };
-            } else {
-                // Multi-field autocomplete
-                query = {
-                    bool: {
-                        should: [
-                            // Prefix matches
-                            { prefix: { 'CLUSTERID': { value: q.toLowerCase(), boost: 3.0 } } },
-                            { prefix: { 'SITE': { value: q.toLowerCase(), boost: 3.0 } } },
-                            { prefix: { 'USERNAME': { value: q.toLowerCase(), boost: 2.0 } } },
-                            // Autocomplete fields
-                            { match: { 'CLUSTERID.autocomplete': { query: q, boost: 2.5 } } },
-                            { match: { 'SITE.autocomplete': { query: q, boost: 2.5 } } },
-                            // Wildcard matches
-                            { wildcard: { 'VALUE': `*${q.toLowerCase()}*` } }
-                        ],
-                        minimum_should_match: 1
+            const suggest = fields.reduce((result, fieldName) => {
+                result[fieldName] = {
+                    prefix: q,
+                    completion: {
+                        field: 'suggest',
+                        size: parseInt(size),
+                        skip_duplicates: true,
+                        fuzzy: { fuzziness: q.length > 3 ? 'AUTO' : 0 },
+                        contexts: {
+                            type: [fieldName],
+                            ...(sites && { site: sites })
+                        }
                     }
                 };
-            }
+                return result;
+            }, {});
 
             const response = await esClient.search({
                 index: indexName,
                 body: {
-                    query: query,
-                    size: parseInt(size),
-                    _source: ['CLUSTERID', 'SITE', 'VALUE', 'USERNAME']
+                    _source: false,
+                    suggest
                 }
             });
 
-            const hits = response.body?.hits || response.hits || { hits: [] };
-            const suggestions = formatAutocompleteSuggestions(hits.hits, q, field);
+            const suggestions = formatCompletionSuggestions(response.body?.suggest || response.suggest, parseInt(size));
 
             res.json({
                 query: q,
+                mode: 'text',
                 suggestions: suggestions
             });
 
@@ -313,103 +606,381 @@ const searchController = {
      */
     async advancedSearch(req, res) {
         try {
-            const {
-                q,
-                sites,
-                clusters,
-                usernames,
-                dateFrom,
-                dateTo,
-                size = 10,
-                from = 0,
-                sortBy = '_score',
-                sortOrder = 'desc'
-            } = req.query;
+            const { cursor, paginate } = req.query;
 
             const esClient = getClient();
             const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
 
-            let query = { bool: { must: [], filter: [] } };
+            const usesCursor = Boolean(cursor) || paginate === 'cursor';
+            const { response, next } = usesCursor
+                ? await searchWithCursor('advanced', req.query)
+                : {
+                    response: await esClient.search({
+                        index: indexName,
+                        body: await buildAdvancedSearchBody(req.query)
+                    })
+                };
 
-            // Text search
-            if (q) {
-                query.bool.must.push(await buildMultiFieldQuery(q, false, 'AUTO'));
+            const hits = response.body?.hits || response.hits || { total: { value: 0 }, hits: [] };
+            const totalValue = hits.total?.value || hits.total || 0;
+
+            res.json({
+                total: { value: totalValue, relation: hits.total?.relation || "eq" },
+                hits: hits.hits?.map(hit => ({
+                    id: hit._id,
+                    score: hit._score,
+                    source: hit._source
+                })) || [],
+                aggregations: response.body?.aggregations || response.aggregations || {},
+                ...(usesCursor && { next })
+            });
+
+        } catch (error) {
+            if (error.statusCode === 400 || error.statusCode === 410) {
+                return res.status(error.statusCode).json({ error: error.message });
             }
 
-            // Filters
-            if (sites) {
-                query.bool.filter.push({
-                    terms: { 'SITE': sites.split(',').map(s => s.trim()) }
+            logger.error('Advanced search error:', error);
+            res.status(500).json({ error: 'Advanced search failed', message: error.message });
+        }
+    },
+
+    /**
+     * Stream every hit of an advanced search as CSV, NDJSON or a JSON array
+     */
+    async exportResults(req, res) {
+        const { format = 'csv', columns } = req.query;
+        const selected = columns ? columns.split(',').map(c => c.trim()) : EXPORT_COLUMNS;
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+
+        const unknown = selected.filter(column => !EXPORT_COLUMNS.includes(column));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown columns: ${unknown.join(', ')}. Allowed: ${EXPORT_COLUMNS.join(', ')}` });
+        }
+
+        const { contentType, extension } = EXPORT_FORMATS[format];
+
+        // The response closes before it finished when the client goes away
+        let aborted = false;
+        res.on('close', () => {
+            aborted = !res.writableFinished;
+        });
+
+        // Respect backpressure so a slow client never makes us buffer the result set
+        const write = async (chunk) => {
+            if (!res.write(chunk)) {
+                await new Promise(resolve => {
+                    res.once('drain', resolve);
+                    res.once('close', resolve);
                 });
             }
+        };
 
-            if (clusters) {
-                query.bool.filter.push({
-                    terms: { 'CLUSTERID': clusters.split(',').map(c => c.trim()) }
-                });
+        // Headers go out with the first row, so errors before it still get a proper status
+        let started = false;
+        const start = async () => {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="subnets-${timestamp}.${extension}"`);
+            started = true;
+
+            if (format === 'csv') await write(formatCsvRow(selected));
+            if (format === 'json') await write('[');
+        };
+
+        try {
+            // With only the id selected there is no source to fetch at all
+            const sourceFields = selected.filter(column => column !== 'id');
+            const hits = iterateAdvancedSearchHits(
+                req.query,
+                sourceFields.length > 0 ? sourceFields : false,
+                () => aborted
+            );
+            let count = 0;
+
+            for await (const hit of hits) {
+                if (!started) await start();
+
+                const values = selected.map(column => (column === 'id' ? hit._id : hit._source?.[column] ?? null));
+
+                if (format === 'csv') {
+                    await write(formatCsvRow(values));
+                } else {
+                    const row = Object.fromEntries(selected.map((column, i) => [column, values[i]]));
+                    const line = JSON.stringify(row);
+                    await write(format === 'ndjson' ? `${line}\n` : `${count > 0 ? ',' : ''}\n${line}`);
+                }
+
+                count++;
             }
 
-            if (usernames) {
-                query.bool.filter.push({
-                    terms: { 'USERNAME': usernames.split(',').map(u => u.trim()) }
-                });
+            if (aborted) {
+                logger.warn(`Export aborted by the client after ${count} rows`);
+                return;
             }
 
-            // Date range filter
-            if (dateFrom || dateTo) {
-                const dateRange = {};
-                if (dateFrom) dateRange.gte = dateFrom;
-                if (dateTo) dateRange.lte = dateTo;
+            if (!started) await start();
+            if (format === 'json') await write('\n]\n');
 
-                query.bool.filter.push({
-                    range: { 'TIMESTAMP': dateRange }
-                });
+            res.end();
+            logger.info(`Exported ${count} rows as ${format}`);
+
+        } catch (error) {
+            if (res.headersSent) {
+                // Half a file must not look complete
+                logger.error('Export failed mid-stream:', error);
+                return res.destroy(error);
             }
 
-            // If no conditions, use match_all
-            if (query.bool.must.length === 0 && query.bool.filter.length === 0) {
-                query = { match_all: {} };
+            if (error.statusCode === 400) {
+                return res.status(400).json({ error: error.message });
             }
 
-            const sort = buildSortConfig(sortBy, sortOrder);
+            logger.error('Export error:', error);
+            res.status(500).json({ error: 'Export failed', message: error.message });
+        }
+    },
+
+    /**
+     * Find the subnets whose CIDR contains an IP address, most specific prefix first
+     */
+    async ipLookup(req, res) {
+        try {
+            const { addr, size = 10 } = req.query;
+            const ip = parseIP(addr);
+
+            const esClient = getClient();
+            const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
 
             const response = await esClient.search({
                 index: indexName,
                 body: {
-                    query: query,
+                    query: {
+                        bool: {
+                            should: getRangeFields(ip.version).map(rangeField => ({
+                                term: { [rangeField]: formatIP(ip.value, ip.version) }
+                            })),
+                            minimum_should_match: 1
+                        }
+                    },
+                    runtime_mappings: CIDR_RUNTIME_FIELDS,
+                    fields: ['PREFIX_LENGTH'],
                     size: parseInt(size),
-                    from: parseInt(from),
-                    sort: sort,
-                    aggs: {
-                        sites: {
-                            terms: { field: 'SITE', size: 10 }
-                        },
-                        clusters: {
-                            terms: { field: 'CLUSTERID', size: 10 }
-                        },
-                        users: {
-                            terms: { field: 'USERNAME', size: 10 }
+                    sort: [
+                        { PREFIX_LENGTH: { order: 'desc' } },
+                        { NETWORK_ADDRESS: { order: 'asc' } }
+                    ]
+                }
+            });
+
+            const hits = response.body?.hits || response.hits || { total: { value: 0 }, hits: [] };
+
+            res.json({
+                address: normalizeIP(addr),
+                total: { value: hits.total?.value || 0, relation: hits.total?.relation || 'eq' },
+                hits: formatCidrHits(hits)
+            });
+
+        } catch (error) {
+            logger.error('IP lookup error:', error);
+            res.status(500).json({ error: 'IP lookup failed', message: error.message });
+        }
+    },
+
+    /**
+     * Find every subnet that lies inside a supernet, ordered by network address
+     */
+    async rangeSearch(req, res) {
+        try {
+            const { cidr, size = 10, from = 0 } = req.query;
+            const supernet = parseCIDR(cidr);
+
+            const esClient = getClient();
+            const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+
+            const response = await esClient.search({
+                index: indexName,
+                body: {
+                    query: {
+                        bool: {
+                            should: getRangeFields(supernet.version).map(rangeField => ({
+                                range: {
+                                    [rangeField]: {
+                                        gte: formatIP(supernet.start, supernet.version),
+                                        lte: formatIP(supernet.end, supernet.version),
+                                        relation: 'within'
+                                    }
+                                }
+                            })),
+                            minimum_should_match: 1
                         }
-                    }
+                    },
+                    runtime_mappings: CIDR_RUNTIME_FIELDS,
+                    fields: ['PREFIX_LENGTH'],
+                    size: parseInt(size),
+                    from: parseInt(from),
+                    sort: [
+                        { NETWORK_ADDRESS: { order: 'asc' } },
+                        { PREFIX_LENGTH: { order: 'asc' } }
+                    ]
                 }
             });
 
             const hits = response.body?.hits || response.hits || { total: { value: 0 }, hits: [] };
-            const totalValue = hits.total?.value || hits.total || 0;
 
             res.json({
-                total: { value: totalValue, relation: hits.total?.relation || "eq" },
-                hits: hits.hits?.map(hit => ({
-                    id: hit._id,
-                    score: hit._score,
-                    source: hit._source
-                })) || [],
-                aggregations: response.body?.aggregations || response.aggregations || {}
+                supernet: normalizeCIDR(cidr),
+                total: { value: hits.total?.value || 0, relation: hits.total?.relation || 'eq' },
+                hits: formatCidrHits(hits)
             });
 
         } catch (error) {
-            logger.error('Advanced search error:', error);
-            res.status(500).json({ error: 'Advanced search failed', message: error.message });
+            logger.error('Range search error:', error);
+            res.status(500).json({ error: 'Range search failed', message: error.message });
+        }
+    },
+
+    /**
+     * Subnets as a nested prefix tree with utilisation per node
+     */
+    async tree(req, res) {
+        try {
+            const { site, cluster, root, depth } = req.query;
+
+            const esClient = getClient();
+            const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+            const filter = [];
+
+            if (site) {
+                filter.push({ terms: { 'SITE': site.split(',').map(s => s.trim()) } });
+            }
+
+            if (cluster) {
+                filter.push({ terms: { 'CLUSTERID': cluster.split(',').map(c => c.trim()) } });
+            }
+
+            if (root) {
+                const rootRange = parseCIDR(root);
+                filter.push({
+                    bool: {
+                        should: ['CIDR.range', 'CIDRIPV6.range'].map(rangeField => ({
+                            range: {
+                                [rangeField]: {
+                                    gte: formatIP(rootRange.start, rootRange.version),
+                                    lte: formatIP(rootRange.end, rootRange.version),
+                                    relation: 'within'
+                                }
+                            }
+                        })),
+                        minimum_should_match: 1
+                    }
+                });
+            }
+
+            const records = [];
+            let truncated = false;
+
+            const scroll = esClient.helpers.scrollSearch({
+                index: indexName,
+                size: 1000,
+                _source: ['CIDR', 'CIDRIPV6', 'SITE', 'CLUSTERID', 'USERNAME', 'DESCRIPTION'],
+                query: filter.length > 0 ? { bool: { filter } } : { match_all: {} }
+            });
+
+            for await (const result of scroll) {
+                for (const hit of result.body.hits.hits) {
+                    records.push(...toTreeEntries(hit._id, hit._source));
+                }
+
+                if (records.length >= MAX_TREE_RECORDS) {
+                    truncated = true;
+                    await result.clear();
+                    break;
+                }
+            }
+
+            const tree = buildPrefixTree(records, {
+                root,
+                maxDepth: depth !== undefined ? parseInt(depth) : Infinity
+            });
+
+            res.json({
+                filters: { site: site || null, cluster: cluster || null, root: root || null },
+                depth: depth !== undefined ? parseInt(depth) : null,
+                records: records.length,
+                truncated,
+                tree
+            });
+
+        } catch (error) {
+            logger.error('Subnet tree error:', error);
+            res.status(500).json({ error: 'Subnet tree failed', message: error.message });
+        }
+    },
+
+    /**
+     * Query DSL a search or advanced search would send, and why a given document scores as it does
+     */
+    async explain(req, res) {
+        try {
+            const { mode = 'search', id, ...params } = req.query;
+
+            const esClient = getClient();
+            const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+
+            const body = mode === 'advanced'
+                ? await buildAdvancedSearchBody(params)
+                : await buildSearchBody(params);
+
+            const result = {
+                mode,
+                index: indexName,
+                profile: getProfile(params.profile).name,
+                request: body
+            };
+
+            if (id) {
+                const explanation = await esClient.explain({ index: indexName, id, query: body.query });
+                const explained = explanation.body || explanation;
+
+                // Where the document lands with the same query, sort and paging. Only the
+                // requested page is searched, so a document ranked on another page gets null.
+                const response = await esClient.search({
+                    index: indexName,
+                    body: { ...body, highlight: undefined, aggs: undefined, _source: false }
+                });
+                const hits = (response.body?.hits || response.hits || { hits: [] }).hits;
+                const position = hits.findIndex(hit => hit._id === id);
+
+                result.document = {
+                    id,
+                    matched: explained.matched,
+                    rank: position === -1 ? null : parseInt(params.from || 0) + position + 1,
+                    score: explained.explanation?.value ?? null,
+                    explanation: explained.explanation || null
+                };
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            if (error instanceof QueryParseError) {
+                return res.status(400).json({ error: 'Invalid query', message: error.message, position: error.position });
+            }
+
+            if (error.statusCode === 400) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            if (error.meta?.statusCode === 404) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+
+            logger.error('Explain error:', error);
+            res.status(500).json({ error: 'Explain failed', message: error.message });
         }
     },
 
@@ -446,6 +1017,61 @@ const searchController = {
             logger.error('Get by ID error:', error);
             res.status(500).json({ error: 'Failed to retrieve document', message: error.message });
         }
+    },
+
+    /**
+     * Records an advanced search filter matches and the token that confirms a bulk edit of them
+     */
+    async bulkEditPreview(req, res) {
+        try {
+            const { filter, patch } = req.body || {};
+
+            const params = normalizeBulkEditFilter(filter);
+            const changes = validateBulkPatch(patch);
+            const ids = await collectMatchingIds(params, searchBulkEditHits);
+
+            res.json(previewBulkEdit(params, changes, ids));
+
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return res.status(400).json({ error: error.message });
+            }
+            logger.error('Bulk edit preview error:', error);
+            res.status(500).json({ error: 'Bulk edit preview failed', message: error.message });
+        }
+    },
+
+    /**
+     * Apply a previewed bulk edit. The filter is run again and has to match the same
+     * records as the preview, otherwise the edit is refused.
+     */
+    async bulkEdit(req, res) {
+        try {
+            const { filter, patch, confirmToken } = req.body || {};
+
+            if (!confirmToken) {
+                return res.status(400).json({ error: 'confirmToken from POST /api/subnets/bulk-edit/preview is required' });
+            }
+
+            const params = normalizeBulkEditFilter(filter);
+            const changes = validateBulkPatch(patch);
+            const ids = await collectMatchingIds(params, searchBulkEditHits);
+            const summary = await confirmBulkEdit(params, changes, ids, confirmToken);
+
+            // Records that could not be edited or indexed are counted and listed in errors,
+            // the edit itself went through
+            res.json({ success: summary.failed === 0 && !summary.indexFailed, ...summary });
+
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error.statusCode === 409) {
+                return res.status(409).json({ error: error.message, matched: error.matched });
+            }
+            logger.error('Bulk edit error:', error);
+            res.status(500).json({ error: 'Bulk edit failed', message: error.message });
+        }
     }
 };
 
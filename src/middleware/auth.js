@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Admin endpoints expect the X-Admin-Token header to match ADMIN_API_TOKEN. Without the
+// variable set they stay disabled.
+const requireAdmin = (req, res, next) => {
+    const expected = process.env.ADMIN_API_TOKEN;
+    const provided = req.get('X-Admin-Token') || '';
+
+    if (!expected) {
+        return res.status(503).json({
+            error: 'Admin API is disabled, set ADMIN_API_TOKEN to enable it'
+        });
+    }
+
+    const matches = provided.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+    if (!matches) {
+        return res.status(401).json({
+            error: 'Missing or invalid X-Admin-Token header'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    requireAdmin
+};
@@ -1,5 +1,16 @@
+const { isValidIP, isValidCIDR, isPartialIP } = require('../utils/cidr');
+const { SUGGEST_FIELDS, IP_PREFIX_FIELDS } = require('../utils/documentTransform');
+
+// from/size pages end here (index.max_result_window), deeper pages need a cursor
+const MAX_RESULT_WINDOW = 10000;
+
 const validateSearch = (req, res, next) => {
-    const { q, size, from, fuzzy, fuzziness } = req.query;
+    const { q, size, from, fuzzy, fuzziness, cursor, paginate } = req.query;
+
+    if (cursor) {
+        // The cursor carries the original query parameters
+        return next();
+    }
 
     if (!q || q.trim().length === 0) {
         return res.status(400).json({
@@ -7,6 +18,12 @@ const validateSearch = (req, res, next) => {
         });
     }
 
+    if (paginate && paginate !== 'cursor') {
+        return res.status(400).json({
+            error: 'Paginate must be cursor'
+        });
+    }
+
     if (size && (isNaN(size) || parseInt(size) < 1 || parseInt(size) > 100)) {
         return res.status(400).json({
             error: 'Size must be a number between 1 and 100'
@@ -19,6 +36,12 @@ const validateSearch = (req, res, next) => {
         });
     }
 
+    if (parseInt(from || 0) + parseInt(size || 10) > MAX_RESULT_WINDOW) {
+        return res.status(400).json({
+            error: `from + size cannot exceed ${MAX_RESULT_WINDOW}, use paginate=cursor for deeper pages`
+        });
+    }
+
     if (fuzzy && !['true', 'false'].includes(fuzzy.toLowerCase())) {
         return res.status(400).json({
             error: 'Fuzzy must be true or false'
@@ -35,7 +58,7 @@ const validateSearch = (req, res, next) => {
 };
 
 const validateAutocomplete = (req, res, next) => {
-    const { q, size } = req.query;
+    const { q, size, field } = req.query;
 
     if (!q || q.trim().length === 0) {
         return res.status(400).json({
@@ -49,10 +72,238 @@ const validateAutocomplete = (req, res, next) => {
         });
     }
 
+    if (field && !SUGGEST_FIELDS.includes(field) && !IP_PREFIX_FIELDS.includes(field)) {
+        return res.status(400).json({
+            error: `Field must be one of: ${[...SUGGEST_FIELDS, ...IP_PREFIX_FIELDS].join(', ')}`
+        });
+    }
+
+    // Address fields, or address-looking input without a field, complete on partial IPs and CIDRs
+    req.autocompleteMode = (field ? IP_PREFIX_FIELDS.includes(field) : isPartialIP(q)) ? 'ip' : 'text';
+
+    next();
+};
+
+const validatePageSize = (size, from) => {
+    if (size && (isNaN(size) || parseInt(size) < 1 || parseInt(size) > 100)) {
+        return 'Size must be a number between 1 and 100';
+    }
+
+    if (from && (isNaN(from) || parseInt(from) < 0)) {
+        return 'From must be a non-negative number';
+    }
+
+    return null;
+};
+
+const validateIpLookup = (req, res, next) => {
+    const { addr, size } = req.query;
+
+    if (!addr || !isValidIP(addr)) {
+        return res.status(400).json({
+            error: 'Query parameter "addr" is required and must be a valid IP address'
+        });
+    }
+
+    const pageError = validatePageSize(size);
+    if (pageError) {
+        return res.status(400).json({ error: pageError });
+    }
+
+    next();
+};
+
+const validateRangeSearch = (req, res, next) => {
+    const { cidr, size, from } = req.query;
+
+    if (!cidr || !isValidCIDR(cidr)) {
+        return res.status(400).json({
+            error: 'Query parameter "cidr" is required and must be a valid CIDR, e.g. 10.20.0.0/16'
+        });
+    }
+
+    const pageError = validatePageSize(size, from);
+    if (pageError) {
+        return res.status(400).json({ error: pageError });
+    }
+
+    next();
+};
+
+const validateTree = (req, res, next) => {
+    const { root, depth } = req.query;
+
+    if (root && !isValidCIDR(root)) {
+        return res.status(400).json({
+            error: 'Root must be a valid CIDR, e.g. 10.20.0.0/16'
+        });
+    }
+
+    if (depth !== undefined && (isNaN(depth) || parseInt(depth) < 0 || parseInt(depth) > 128)) {
+        return res.status(400).json({
+            error: 'Depth must be a number between 0 and 128'
+        });
+    }
+
+    next();
+};
+
+const ADVANCED_SORT_FIELDS = ['_score', 'TIMESTAMP', 'CLUSTERID', 'SITE', 'USERNAME'];
+const FAMILIES = ['ipv4', 'ipv6', 'dual'];
+
+// Filters and sort that would otherwise reach Elasticsearch as malformed queries
+const checkAdvancedFilters = (query) => {
+    const { dateFrom, dateTo, family, sortBy, sortOrder } = query;
+
+    for (const [name, value] of [['dateFrom', dateFrom], ['dateTo', dateTo]]) {
+        if (value !== undefined && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+            return `${name} must be a date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`;
+        }
+    }
+
+    if (family !== undefined && !FAMILIES.includes(family)) {
+        return `Family must be one of: ${FAMILIES.join(', ')}`;
+    }
+
+    if (sortBy !== undefined && !ADVANCED_SORT_FIELDS.includes(sortBy)) {
+        return `sortBy must be one of: ${ADVANCED_SORT_FIELDS.join(', ')}`;
+    }
+
+    if (sortOrder !== undefined && !['asc', 'desc'].includes(sortOrder)) {
+        return 'sortOrder must be asc or desc';
+    }
+
+    return null;
+};
+
+const validateAdvancedSearch = (req, res, next) => {
+    const { size, from, cursor, paginate } = req.query;
+
+    if (cursor) {
+        return next();
+    }
+
+    const filterError = checkAdvancedFilters(req.query);
+    if (filterError) {
+        return res.status(400).json({ error: filterError });
+    }
+
+    if (paginate && paginate !== 'cursor') {
+        return res.status(400).json({ error: 'Paginate must be cursor' });
+    }
+
+    const error = validatePageSize(size, from);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    if (parseInt(from || 0) + parseInt(size || 10) > MAX_RESULT_WINDOW) {
+        return res.status(400).json({
+            error: `from + size cannot exceed ${MAX_RESULT_WINDOW}, use paginate=cursor for deeper pages`
+        });
+    }
+
+    next();
+};
+
+const validateExplain = (req, res, next) => {
+    const { mode = 'search', cursor } = req.query;
+
+    if (cursor) {
+        return res.status(400).json({
+            error: 'Explain takes the search parameters, not a cursor'
+        });
+    }
+
+    if (!['search', 'advanced'].includes(mode)) {
+        return res.status(400).json({
+            error: 'Mode must be search or advanced'
+        });
+    }
+
+    return mode === 'search'
+        ? validateSearch(req, res, next)
+        : validateAdvancedSearch(req, res, next);
+};
+
+const validateBulkSync = (req, res, next) => {
+    const { batchSize, concurrency } = req.body || {};
+
+    if (batchSize !== undefined && (isNaN(batchSize) || parseInt(batchSize) < 1 || parseInt(batchSize) > 10000)) {
+        return res.status(400).json({
+            error: 'batchSize must be a number between 1 and 10000'
+        });
+    }
+
+    if (concurrency !== undefined && (isNaN(concurrency) || parseInt(concurrency) < 1 || parseInt(concurrency) > 16)) {
+        return res.status(400).json({
+            error: 'concurrency must be a number between 1 and 16'
+        });
+    }
+
+    next();
+};
+
+const validateIncrementalSync = (req, res, next) => {
+    const { field } = req.body || {};
+
+    if (field !== undefined && !['TIMESTAMP', '_id'].includes(field)) {
+        return res.status(400).json({
+            error: 'field must be TIMESTAMP or _id'
+        });
+    }
+
+    validateBulkSync(req, res, next);
+};
+
+const validateReconcile = (req, res, next) => {
+    const { dryRun, sampleLimit } = req.body || {};
+
+    if (dryRun !== undefined && ![true, false, 'true', 'false'].includes(dryRun)) {
+        return res.status(400).json({
+            error: 'dryRun must be true or false'
+        });
+    }
+
+    if (sampleLimit !== undefined && (isNaN(sampleLimit) || parseInt(sampleLimit) < 0 || parseInt(sampleLimit) > 10000)) {
+        return res.status(400).json({
+            error: 'sampleLimit must be a number between 0 and 10000'
+        });
+    }
+
+    validateBulkSync(req, res, next);
+};
+
+const REFRESH_VALUES = ['true', 'false', 'wait_for'];
+
+const validateSubnetWrite = (req, res, next) => {
+    const { refresh } = req.query;
+
+    if (refresh !== undefined && !REFRESH_VALUES.includes(refresh)) {
+        return res.status(400).json({
+            error: `refresh must be one of: ${REFRESH_VALUES.join(', ')}`
+        });
+    }
+
+    if (req.method !== 'DELETE' && (!req.body || typeof req.body !== 'object' || Array.isArray(req.body))) {
+        return res.status(400).json({
+            error: 'Request body must be a JSON object'
+        });
+    }
+
     next();
 };
 
 module.exports = {
     validateSearch,
-    validateAutocomplete
+    validateAutocomplete,
+    validateIpLookup,
+    validateRangeSearch,
+    validateTree,
+    validateAdvancedSearch,
+    validateExplain,
+    validateBulkSync,
+    validateIncrementalSync,
+    validateReconcile,
+    validateSubnetWrite
 };
@@ -0,0 +1,64 @@
+// Baseline: the mapping indices were created with before migrations existed
+module.exports = {
+    version: 1,
+    description: 'Initial subnet mapping with edge n-gram autocomplete analyzer',
+    breaking: false,
+    settings: {
+        analysis: {
+            analyzer: {
+                autocomplete_analyzer: {
+                    type: 'custom',
+                    tokenizer: 'standard',
+                    filter: ['lowercase', 'autocomplete_filter']
+                }
+            },
+            filter: {
+                autocomplete_filter: {
+                    type: 'edge_ngram',
+                    min_gram: 1,
+                    max_gram: 20
+                }
+            }
+        }
+    },
+    mappings: {
+        properties: {
+            CLUSTERID: {
+                type: 'keyword',
+                fields: {
+                    autocomplete: {
+                        type: 'text',
+                        analyzer: 'autocomplete_analyzer'
+                    }
+                }
+            },
+            CIDR: { type: 'keyword' },
+            CIDRIPV4: { type: 'keyword' },
+            IPV4: { type: 'ip' },
+            IP: { type: 'ip' },
+            SITE: {
+                type: 'keyword',
+                fields: {
+                    autocomplete: {
+                        type: 'text',
+                        analyzer: 'autocomplete_analyzer'
+                    }
+                }
+            },
+            DESCRIPTION: {
+                type: 'text',
+                fields: {
+                    autocomplete: {
+                        type: 'text',
+                        analyzer: 'autocomplete_analyzer'
+                    }
+                }
+            },
+            TIMESTAMP: { type: 'date' },
+            USERNAME: { type: 'keyword' },
+            suggest: {
+                type: 'completion'
+            }
+        }
+    }
+};
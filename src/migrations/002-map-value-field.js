@@ -0,0 +1,24 @@
+// VALUE is searched, highlighted and autocompleted by the search controller but was never mapped
+module.exports = {
+    version: 2,
+    description: 'Map VALUE as text with keyword and autocomplete sub-fields',
+    breaking: false,
+    backfill: true,
+    mappings: {
+        properties: {
+            VALUE: {
+                type: 'text',
+                fields: {
+                    keyword: {
+                        type: 'keyword',
+                        ignore_above: 256
+                    },
+                    autocomplete: {
+                        type: 'text',
+                        analyzer: 'autocomplete_analyzer'
+                    }
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,17 @@
+// Lets CIDR answer containment ("which subnet holds this IP") and within-supernet queries
+module.exports = {
+    version: 3,
+    description: 'Index CIDR as ip_range in the CIDR.range sub-field',
+    breaking: false,
+    backfill: true,
+    mappings: {
+        properties: {
+            CIDR: {
+                type: 'keyword',
+                fields: {
+                    range: { type: 'ip_range' }
+                }
+            }
+        }
+    }
+};
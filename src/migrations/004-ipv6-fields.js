@@ -0,0 +1,20 @@
+// Dual-stack records: IPv6 prefix and address next to the IPv4 ones. The sync pipeline
+// stores the compressed form in CIDRIPV6/IPV6 and the expanded form alongside it.
+module.exports = {
+    version: 4,
+    description: 'Add IPv6 prefix and address fields with expanded display forms',
+    breaking: false,
+    mappings: {
+        properties: {
+            CIDRIPV6: {
+                type: 'keyword',
+                fields: {
+                    range: { type: 'ip_range' }
+                }
+            },
+            CIDRIPV6_EXPANDED: { type: 'keyword' },
+            IPV6: { type: 'ip' },
+            IPV6_EXPANDED: { type: 'keyword' }
+        }
+    }
+};
@@ -0,0 +1,32 @@
+// Completion suggester for autocomplete. Every input carries the site of its record and
+// the field it came from (type), so suggestions can be narrowed to one site or one field.
+// The default simple analyzer drops digits ("cluster-100" -> "cluster"), so inputs are kept
+// whole and only lowercased. Neither can change on an existing field, hence the reindex.
+module.exports = {
+    version: 5,
+    description: 'Add site and type contexts to the suggest completion field',
+    breaking: true,
+    settings: {
+        analysis: {
+            analyzer: {
+                suggest_analyzer: {
+                    type: 'custom',
+                    tokenizer: 'keyword',
+                    filter: ['lowercase']
+                }
+            }
+        }
+    },
+    mappings: {
+        properties: {
+            suggest: {
+                type: 'completion',
+                analyzer: 'suggest_analyzer',
+                contexts: [
+                    { name: 'site', type: 'category' },
+                    { name: 'type', type: 'category' }
+                ]
+            }
+        }
+    }
+};
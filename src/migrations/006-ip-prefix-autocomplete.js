@@ -0,0 +1,42 @@
+// Partial address autocomplete ("10.20." -> 10.20.0.0/16, 10.20.4.1, ...). Each address and
+// prefix is indexed whole, dots and colons included, as edge n-grams, so a query only
+// matches on its octet (or hextet) boundaries: "10.20." never matches 10.200.0.0.
+const prefixField = { type: 'text', analyzer: 'ip_prefix_analyzer', search_analyzer: 'ip_prefix_search_analyzer' };
+
+module.exports = {
+    version: 6,
+    description: 'Add edge n-gram prefix sub-fields to the IP and CIDR fields',
+    breaking: true,
+    settings: {
+        analysis: {
+            analyzer: {
+                ip_prefix_analyzer: {
+                    type: 'custom',
+                    tokenizer: 'keyword',
+                    filter: ['lowercase', 'ip_prefix_filter']
+                },
+                ip_prefix_search_analyzer: {
+                    type: 'custom',
+                    tokenizer: 'keyword',
+                    filter: ['lowercase']
+                }
+            },
+            filter: {
+                ip_prefix_filter: {
+                    type: 'edge_ngram',
+                    min_gram: 1,
+                    max_gram: 43
+                }
+            }
+        }
+    },
+    mappings: {
+        properties: {
+            CIDR: { type: 'keyword', fields: { prefix: prefixField } },
+            CIDRIPV6: { type: 'keyword', fields: { prefix: prefixField } },
+            IPV4: { type: 'ip', fields: { prefix: prefixField } },
+            IP: { type: 'ip', fields: { prefix: prefixField } },
+            IPV6: { type: 'ip', fields: { prefix: prefixField } }
+        }
+    }
+};
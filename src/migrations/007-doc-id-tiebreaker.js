@@ -0,0 +1,15 @@
+// Sorting on _id needs fielddata, which Elasticsearch 8 disables. DOC_ID carries the same
+// value as a keyword, so every sort can end on a unique, stable tiebreaker.
+module.exports = {
+    version: 7,
+    description: 'Add DOC_ID keyword as the sort tiebreaker',
+    breaking: false,
+    backfill: {
+        script: 'ctx._source.DOC_ID = ctx._id'
+    },
+    mappings: {
+        properties: {
+            DOC_ID: { type: 'keyword' }
+        }
+    }
+};
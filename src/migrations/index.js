@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mapping migrations live next to this file as <version>-<name>.js and export
+// { version, description, breaking, backfill, settings, mappings }. `backfill` is true to
+// re-index existing documents as they are, or { script } to run a painless update on them.
+// Additive migrations are applied in place with the put-mapping API; a breaking one
+// (changed field types, analyzers, ...) can only land through a reindex.
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(__dirname)
+        .filter(file => MIGRATION_FILE.test(file))
+        .map(file => ({ file, ...require(path.join(__dirname, file)) }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (!Number.isInteger(migration.version) || migration.version !== i + 1) {
+            throw new Error(`Mapping migration ${migration.file} is out of sequence, expected version ${i + 1}`);
+        }
+    });
+
+    return migrations;
+};
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+const deepMerge = (target, source) => {
+    Object.keys(source || {}).forEach(key => {
+        if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+            target[key] = deepMerge({ ...target[key] }, source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    });
+    return target;
+};
+
+const getLatestVersion = () => {
+    const migrations = loadMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+};
+
+// Folds migrations 1..upTo into one index definition, stamped with the version it represents
+const buildIndexDefinition = (upTo = getLatestVersion()) => {
+    const definition = loadMigrations()
+        .filter(migration => migration.version <= upTo)
+        .reduce((result, migration) => {
+            deepMerge(result.settings, migration.settings);
+            deepMerge(result.mappings, migration.mappings);
+            return result;
+        }, { settings: {}, mappings: {} });
+
+    definition.mappings._meta = { migrationVersion: upTo };
+    return definition;
+};
+
+module.exports = {
+    loadMigrations,
+    getLatestVersion,
+    buildIndexDefinition
+};
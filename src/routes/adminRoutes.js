@@ -0,0 +1,85 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/auth');
+const { listProfiles, reloadProfiles, evaluateProfiles } = require('../services/relevanceService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/admin/relevance/profiles
+ * @desc    List the loaded relevance profiles and the default one
+ */
+router.get('/relevance/profiles', async (req, res) => {
+    try {
+        res.json(listProfiles());
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Error listing relevance profiles:', error);
+        res.status(500).json({ error: 'Failed to list relevance profiles', message: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/admin/relevance/profiles/reload
+ * @desc    Re-read the profiles file; an invalid file leaves the current profiles in place
+ */
+router.post('/relevance/profiles/reload', async (req, res) => {
+    try {
+        res.json({
+            message: 'Relevance profiles reloaded',
+            ...reloadProfiles()
+        });
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to reload relevance profiles', message: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/admin/relevance/evaluate
+ * @desc    Replay judged sample queries against profiles and score them with the rank evaluation API
+ * @body    queries (required) - [{ id, query, ratings: { <document id>: <grade> } }]
+ * @body    profiles (optional) - profile names to compare (default: all)
+ * @body    metric (optional) - ndcg, precision, recall or mrr (default: ndcg)
+ * @body    k (optional) - number of hits evaluated per query (default: 10)
+ */
+router.post('/relevance/evaluate', async (req, res) => {
+    try {
+        const { queries, profiles, metric, k } = req.body;
+
+        if (!Array.isArray(queries) || queries.some(sample => !sample || typeof sample.query !== 'string')) {
+            return res.status(400).json({ error: 'queries must be an array of { query, ratings } objects' });
+        }
+
+        if (k !== undefined && (isNaN(k) || parseInt(k) < 1 || parseInt(k) > 100)) {
+            return res.status(400).json({ error: 'k must be a number between 1 and 100' });
+        }
+
+        const result = await evaluateProfiles({
+            queries,
+            profiles: Array.isArray(profiles) ? profiles : undefined,
+            ...(metric && { metric }),
+            ...(k !== undefined && { k: parseInt(k) })
+        });
+
+        res.json({
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Relevance evaluation failed:', error);
+        res.status(500).json({ error: 'Relevance evaluation failed', message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { analyzeSubnets } = require('../services/subnetAnalysisService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/analysis/conflicts
+ * @desc    Report duplicate and overlapping prefixes, grouped by SITE and CLUSTERID, plus per-record problems
+ * @query   site (optional) - only conflicts involving this site
+ * @query   cluster (optional) - only conflicts involving this cluster
+ * @query   includeNested (optional) - also report prefixes nested within the same site and cluster (default: false)
+ * @query   limit (optional) - max conflicts and record issues listed (default: 1000)
+ */
+router.get('/conflicts', async (req, res) => {
+    try {
+        const { site, cluster, includeNested, limit } = req.query;
+
+        if (limit && (isNaN(limit) || parseInt(limit) < 1)) {
+            return res.status(400).json({ error: 'Limit must be a positive number' });
+        }
+
+        const report = await analyzeSubnets({
+            site,
+            cluster,
+            includeNested: includeNested === 'true',
+            ...(limit && { limit: parseInt(limit) })
+        });
+
+        res.json({
+            ...report,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Subnet conflict analysis failed:', error);
+        res.status(500).json({
+            error: 'Subnet conflict analysis failed',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { IMPORT_FORMATS, DEFAULT_KEY_FIELDS, parseColumnMapping, parseImport, importRecords } = require('../services/importService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Content types that name a format on their own
+const CONTENT_TYPE_FORMATS = {
+    'text/csv': 'csv',
+    'application/json': 'json',
+    'application/x-ndjson': 'ndjson',
+    'application/ndjson': 'ndjson'
+};
+
+/**
+ * @route   POST /api/import
+ * @desc    Upload subnet records as CSV, JSON or NDJSON, validate each row and upsert the valid ones into MongoDB
+ * @query   format (optional) - csv, json or ndjson (default: taken from the Content-Type)
+ * @query   mapping (optional) - source column to field, e.g. subnet:CIDR,owner:USERNAME
+ * @query   key (optional) - fields a row is matched on for the upsert (default: CIDR,SITE)
+ * @query   dryRun (optional) - validate and report without writing (default: false)
+ * @body    the file content
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { mapping, key, dryRun = 'false' } = req.query;
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const format = (req.query.format || CONTENT_TYPE_FORMATS[contentType] || '').toLowerCase();
+
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: `Format must be one of: ${IMPORT_FORMATS.join(', ')} (set ?format= or a matching Content-Type)`
+            });
+        }
+
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            return res.status(400).json({ error: 'Request body is empty' });
+        }
+
+        const rows = parseImport(req.body, format);
+
+        const report = await importRecords(rows, {
+            mapping: parseColumnMapping(mapping),
+            keyFields: key ? key.split(',').map(field => field.trim()) : DEFAULT_KEY_FIELDS,
+            dryRun: dryRun === 'true'
+        });
+
+        res.json({ success: true, format, ...report });
+
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        logger.error('Import failed:', error);
+        res.status(500).json({ success: false, error: 'Import failed', message: error.message });
+    }
+});
+
+module.exports = router;
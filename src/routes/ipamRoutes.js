@@ -0,0 +1,72 @@
+const express = require('express');
+const { findFreeBlocks, reserveBlock } = require('../services/ipamService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/ipam/free
+ * @desc    Unallocated ranges in a supernet and the next free blocks of a prefix length
+ * @query   supernet (required) - e.g. 10.20.0.0/16
+ * @query   prefix (required) - prefix length of the wanted blocks, e.g. 26
+ * @query   count (optional) - number of free blocks to return (default: 1, max: 256)
+ */
+router.get('/free', async (req, res) => {
+    try {
+        const { supernet, prefix, count = 1 } = req.query;
+
+        if (!supernet || !prefix || isNaN(prefix)) {
+            return res.status(400).json({ error: 'Query parameters "supernet" and "prefix" are required' });
+        }
+
+        if (isNaN(count) || parseInt(count) < 1) {
+            return res.status(400).json({ error: 'Count must be a positive number' });
+        }
+
+        const result = await findFreeBlocks(supernet, parseInt(prefix), { count: parseInt(count) });
+
+        res.json(result);
+
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Free block lookup failed:', error);
+        res.status(500).json({ error: 'Free block lookup failed', message: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/ipam/reserve
+ * @desc    Reserve the next free block (or a specific one) by writing a new subnet record
+ * @body    supernet (required) - supernet to allocate from
+ * @body    prefix (required) - prefix length of the block
+ * @body    CIDR (optional) - a specific free block to reserve instead of the next one
+ * @body    SITE, CLUSTERID, DESCRIPTION, USERNAME (optional) - stored on the new record
+ */
+router.post('/reserve', async (req, res) => {
+    try {
+        const { supernet, prefix, CIDR, SITE, CLUSTERID, DESCRIPTION, USERNAME } = req.body || {};
+
+        if (!supernet || !prefix || isNaN(prefix)) {
+            return res.status(400).json({ error: 'Fields "supernet" and "prefix" are required' });
+        }
+
+        const result = await reserveBlock(supernet, parseInt(prefix), { CIDR, SITE, CLUSTERID, DESCRIPTION, USERNAME });
+
+        res.status(201).json({
+            success: true,
+            message: `Reserved ${result.record.CIDR}`,
+            ...result
+        });
+
+    } catch (error) {
+        if (error.statusCode === 400 || error.statusCode === 409) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        logger.error('Block reservation failed:', error);
+        res.status(500).json({ success: false, error: 'Block reservation failed', message: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,18 +1,34 @@
 const express = require('express');
 const searchController = require('../controllers/searchController');
-const { validateSearch, validateAutocomplete } = require('../middleware/validation');
+const { getClient } = require('../services/elasticsearchService');
+const { requireAdmin } = require('../middleware/auth');
+const {
+    validateSearch,
+    validateAutocomplete,
+    validateIpLookup,
+    validateRangeSearch,
+    validateTree,
+    validateAdvancedSearch,
+    validateExplain
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 /**
  * @route   GET /api/search
  * @desc    Perform full-text search with optional fuzzy matching
- * @query   q (required) - search query
- * @query   field (optional) - specific field to search
+ * @query   q (required) - search query. Supports field:value (site, cluster, user, desc, value, cidr,
+ *                         ip, after, before or a field name), * wildcards, "phrases", -negation,
+ *                         AND/OR/NOT and parentheses, e.g. site:site-3 cluster:cluster-1* -desc:production.
+ *                         Syntax errors return 400 with the character position
+ * @query   field (optional) - specific field to search, q is then taken literally
  * @query   fuzzy (optional) - enable fuzzy search (true/false)
  * @query   fuzziness (optional) - fuzziness level (AUTO, 0, 1, 2)
+ * @query   profile (optional) - relevance profile for free text (default: SEARCH_PROFILE or "default")
  * @query   size (optional) - number of results (default: 10)
- * @query   from (optional) - offset for pagination (default: 0)
+ * @query   from (optional) - offset for pagination (default: 0), from + size up to 10000
+ * @query   paginate (optional) - "cursor" to page with a point in time instead; the response carries `next`
+ * @query   cursor (optional) - `next` from the previous page, replaces all other parameters
  * @query   sortBy (optional) - field to sort by (default: _score)
  * @query   sortOrder (optional) - sort order (asc/desc, default: desc)
  */
@@ -20,9 +36,13 @@ router.get('/', validateSearch, searchController.search);
 
 /**
  * @route   GET /api/search/autocomplete
- * @desc    Get autocomplete suggestions
+ * @desc    Get autocomplete suggestions. Address-looking input (10.20., 2001:db8:) completes
+ *          matching IPs and CIDRs, most specific first
  * @query   q (required) - search query prefix
  * @query   size (optional) - number of suggestions (default: 5)
+ * @query   field (optional) - only suggest values of this field (CLUSTERID, SITE, USERNAME, VALUE, DESCRIPTION,
+ *                               or CIDR, CIDRIPV6, IPV4, IP, IPV6 for partial address completion)
+ * @query   site (optional) - only suggest values from these sites (comma-separated)
  */
 router.get('/autocomplete', validateAutocomplete, searchController.autocomplete);
 
@@ -35,107 +55,81 @@ router.get('/autocomplete', validateAutocomplete, searchController.autocomplete)
  * @query   usernames (optional) - filter by usernames
  * @query   dateFrom (optional) - start date filter
  * @query   dateTo (optional) - end date filter
+ * @query   family (optional) - address family: ipv4, ipv6 or dual
+ * @query   profile (optional) - relevance profile for q
  * @query   size (optional) - number of results (default: 10)
- * @query   from (optional) - offset for pagination (default: 0)
+ * @query   from (optional) - offset for pagination (default: 0), from + size up to 10000
+ * @query   paginate (optional) - "cursor" to page with a point in time instead; the response carries `next`
+ * @query   cursor (optional) - `next` from the previous page, replaces all other parameters
  */
-router.get('/advanced', searchController.advancedSearch);
+router.get('/advanced', validateAdvancedSearch, searchController.advancedSearch);
 
 /**
- * @route   GET /api/search/document/:id
- * @desc    Get document by ID
- * @param   id - document ID
+ * @route   GET /api/search/export
+ * @desc    Stream every matching record as a file download, without paging
+ * @query   format (optional) - csv (default), ndjson or json
+ * @query   columns (optional) - comma-separated columns (default: id and all subnet fields)
+ * @query   q, sites, clusters, usernames, dateFrom, dateTo, family, profile, sortBy, sortOrder -
+ *          the same filters as /api/search/advanced
  */
-router.get('/document/:id', searchController.getById);
-
-// Add these routes to your searchRoutes.js
+router.get('/export', validateAdvancedSearch, searchController.exportResults);
 
 /**
- * @route   GET /api/search/debug/count
- * @desc    Get total document count in Elasticsearch
+ * @route   GET /api/search/ip
+ * @desc    Find the subnets containing an IP address, most specific prefix first
+ * @query   addr (required) - IPv4 or IPv6 address, e.g. 10.20.30.40 or 2001:db8::1
+ * @query   size (optional) - number of results (default: 10)
  */
-router.get('/debug/count', async (req, res) => {
-    try {
-        const esClient = require('../services/elasticsearchService').getClient();
-        const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
-
-        const response = await esClient.count({ index: indexName });
-
-        res.json({
-            index: indexName,
-            count: response.body?.count || response.count || 0,
-            raw_response: response.body || response
-        });
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            details: error.meta || error
-        });
-    }
-});
+router.get('/ip', validateIpLookup, searchController.ipLookup);
 
 /**
- * @route   GET /api/search/debug/raw
- * @desc    Get raw documents from Elasticsearch
+ * @route   GET /api/search/range
+ * @desc    Find every subnet inside a supernet
+ * @query   cidr (required) - supernet, e.g. 10.20.0.0/16 or 2001:db8::/32
+ * @query   size (optional) - number of results (default: 10)
+ * @query   from (optional) - offset for pagination (default: 0)
  */
-router.get('/debug/raw', async (req, res) => {
-    try {
-        const esClient = require('../services/elasticsearchService').getClient();
-        const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
-
-        const response = await esClient.search({
-            index: indexName,
-            body: {
-                query: { match_all: {} },
-                size: 3
-            }
-        });
-
-        res.json({
-            index: indexName,
-            total: response.body?.hits?.total || response.hits?.total || 0,
-            documents: response.body?.hits?.hits || response.hits?.hits || [],
-            raw_response: response.body || response
-        });
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            details: error.meta || error
-        });
-    }
-});
+router.get('/range', validateRangeSearch, searchController.rangeSearch);
 
 /**
- * @route   GET /api/search/debug/mapping
- * @desc    Get index mapping
+ * @route   GET /api/search/tree
+ * @desc    Subnets as a nested prefix tree (supernet -> subnet) with utilisation per node
+ * @query   site (optional) - filter by sites (comma-separated)
+ * @query   cluster (optional) - filter by cluster IDs (comma-separated)
+ * @query   root (optional) - only the part of the tree below this CIDR
+ * @query   depth (optional) - levels of children to include below the top-level nodes
  */
-router.get('/debug/mapping', async (req, res) => {
-    try {
-        const esClient = require('../services/elasticsearchService').getClient();
-        const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+router.get('/tree', validateTree, searchController.tree);
 
-        const response = await esClient.indices.getMapping({ index: indexName });
+/**
+ * @route   GET /api/search/explain
+ * @desc    Show the query DSL a search would run and, for a document id, the score explanation
+ * @query   mode (optional) - search (default) or advanced, selects which endpoint's parameters apply
+ * @query   id (optional) - document to explain; adds whether it matched, its rank and the explanation tree.
+ *          The rank counts from the first result and is only found on the page from/size select, null elsewhere
+ * @query   ... - the same parameters as /api/search or /api/search/advanced
+ */
+router.get('/explain', validateExplain, searchController.explain);
 
-        res.json({
-            index: indexName,
-            mapping: response.body || response
-        });
-    } catch (error) {
-        res.status(500).json({
-            error: error.message,
-            details: error.meta || error
-        });
-    }
-});
+/**
+ * @route   GET /api/search/document/:id
+ * @desc    Get document by ID
+ * @param   id - document ID
+ */
+router.get('/document/:id', searchController.getById);
 
-// Add these routes to your searchRoutes.js
+// Index internals, admin only
+const debugRouter = express.Router();
+debugRouter.use(requireAdmin);
+router.use('/debug', debugRouter);
 
 /**
  * @route   GET /api/search/debug/count
- * @desc    Get total document count in Elasticsearch
+ * @desc    Get total document count in Elasticsearch (admin only)
  */
-router.get('/debug/count', async (req, res) => {
+debugRouter.get('/count', async (req, res) => {
     try {
-        const esClient = require('../services/elasticsearchService').getClient();
+        const esClient = getClient();
         const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
 
         const response = await esClient.count({ index: indexName });
@@ -155,11 +149,11 @@ router.get('/debug/count', async (req, res) => {
 
 /**
  * @route   GET /api/search/debug/raw
- * @desc    Get raw documents from Elasticsearch
+ * @desc    Get raw documents from Elasticsearch (admin only)
  */
-router.get('/debug/raw', async (req, res) => {
+debugRouter.get('/raw', async (req, res) => {
     try {
-        const esClient = require('../services/elasticsearchService').getClient();
+        const esClient = getClient();
         const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
 
         const response = await esClient.search({
@@ -186,11 +180,11 @@ router.get('/debug/raw', async (req, res) => {
 
 /**
  * @route   GET /api/search/debug/mapping
- * @desc    Get index mapping
+ * @desc    Get index mapping (admin only)
  */
-router.get('/debug/mapping', async (req, res) => {
+debugRouter.get('/mapping', async (req, res) => {
     try {
-        const esClient = require('../services/elasticsearchService').getClient();
+        const esClient = getClient();
         const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
 
         const response = await esClient.indices.getMapping({ index: indexName });
@@ -0,0 +1,113 @@
+const express = require('express');
+const { createSubnet, replaceSubnet, updateSubnet, deleteSubnet } = require('../services/subnetService');
+const searchController = require('../controllers/searchController');
+const { validateSubnetWrite } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const getWriteOptions = (req) => {
+    const { refresh = 'false' } = req.query;
+    return { refresh: refresh === 'wait_for' ? 'wait_for' : refresh === 'true' };
+};
+
+const handleWriteError = (res, error, action) => {
+    if ([400, 404, 409].includes(error.statusCode)) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+    logger.error(`Subnet ${action} failed:`, error);
+    res.status(500).json({ success: false, error: `Subnet ${action} failed`, message: error.message });
+};
+
+/**
+ * @route   POST /api/subnets
+ * @desc    Create a subnet record in MongoDB and index it
+ * @query   refresh (optional) - false (default), true or wait_for; wait_for returns once the record is searchable
+ * @body    CIDR (required), SITE, CLUSTERID, IP, IPV4, IPV6, CIDRIPV6, DESCRIPTION, USERNAME, VALUE, TIMESTAMP
+ */
+router.post('/', validateSubnetWrite, async (req, res) => {
+    try {
+        const result = await createSubnet(req.body, getWriteOptions(req));
+
+        res.status(201).json({
+            success: true,
+            message: `Created ${result.record.CIDR}`,
+            ...result
+        });
+
+    } catch (error) {
+        handleWriteError(res, error, 'create');
+    }
+});
+
+/**
+ * @route   POST /api/subnets/bulk-edit/preview
+ * @desc    Preview a bulk edit: the ids and count of the records an advanced search filter matches
+ * @body    filter (required) - advanced search parameters: q, sites, clusters, usernames, dateFrom, dateTo, family, profile
+ * @body    patch (required) - fields to set, any of SITE, USERNAME, CLUSTERID, DESCRIPTION, VALUE
+ */
+router.post('/bulk-edit/preview', searchController.bulkEditPreview);
+
+/**
+ * @route   POST /api/subnets/bulk-edit
+ * @desc    Apply a previewed bulk edit in batches and reindex the changed records
+ * @body    filter, patch (required) - the same as for the preview
+ * @body    confirmToken (required) - token returned by the preview
+ */
+router.post('/bulk-edit', searchController.bulkEdit);
+
+/**
+ * @route   PUT /api/subnets/:id
+ * @desc    Replace the fields of a subnet record; fields left out are removed
+ * @query   refresh (optional) - false (default), true or wait_for
+ * @body    the full record, as for POST
+ */
+router.put('/:id', validateSubnetWrite, async (req, res) => {
+    try {
+        const result = await replaceSubnet(req.params.id, req.body, getWriteOptions(req));
+
+        res.json({ success: true, message: `Replaced ${result.id}`, ...result });
+
+    } catch (error) {
+        handleWriteError(res, error, 'replace');
+    }
+});
+
+/**
+ * @route   PATCH /api/subnets/:id
+ * @desc    Change some fields of a subnet record; a field set to null is removed
+ * @query   refresh (optional) - false (default), true or wait_for
+ * @body    the fields to change
+ */
+router.patch('/:id', validateSubnetWrite, async (req, res) => {
+    try {
+        const result = await updateSubnet(req.params.id, req.body, getWriteOptions(req));
+
+        res.json({ success: true, message: `Updated ${result.id}`, ...result });
+
+    } catch (error) {
+        handleWriteError(res, error, 'update');
+    }
+});
+
+/**
+ * @route   DELETE /api/subnets/:id
+ * @desc    Delete a subnet record from MongoDB and the index
+ * @query   refresh (optional) - false (default), true or wait_for
+ */
+router.delete('/:id', validateSubnetWrite, async (req, res) => {
+    try {
+        const result = await deleteSubnet(req.params.id, getWriteOptions(req));
+
+        res.json({ success: true, message: `Deleted ${result.id}`, ...result });
+
+    } catch (error) {
+        handleWriteError(res, error, 'delete');
+    }
+});
+
+module.exports = router;
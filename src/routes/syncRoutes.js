@@ -1,73 +1,464 @@
 const express = require('express');
-const { bulkSyncToElasticsearch } = require('../services/syncService');
-const { getCollection } = require('../services/mongoService');
-const { getClient } = require('../services/elasticsearchService');
+const { retryQuarantined, replayDeadLetters } = require('../services/syncService');
+const { JOB_TYPES, JOB_STATUSES, startJob, getJob, listJobs, cancelJob } = require('../services/syncJobService');
+const { getCollection, toMongoId } = require('../services/mongoService');
+const { listQuarantine, countQuarantined } = require('../services/quarantineService');
+const { listDeadLetters, discardDeadLetters, getDeadLetterDepth } = require('../services/deadLetterService');
+const { getClient, getReadAlias, getWriteAlias, getAliasTargets } = require('../services/elasticsearchService');
+const { rollbackReindex, listIndexVersions } = require('../services/reindexService');
+const { getMigrationStatus } = require('../services/migrationService');
+const { validateBulkSync, validateIncrementalSync, validateReconcile } = require('../middleware/validation');
+const { getMetrics } = require('../utils/metrics');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Starts a sync job in the background and answers 202 with the job to poll
+const startSyncJob = async (res, type, params) => {
+    try {
+        const { job } = await startJob(type, params);
+
+        res.status(202).json({
+            success: true,
+            message: `Started ${JOB_TYPES[type].label}`,
+            jobId: job.id,
+            location: `/api/sync/jobs/${job.id}`,
+            job,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.statusCode === 409) {
+            return res.status(409).json({ success: false, error: error.message, jobId: error.jobId });
+        }
+
+        logger.error(`Starting ${type} sync job failed:`, error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to start ${JOB_TYPES[type].label}`,
+            message: error.message
+        });
+    }
+};
+
 /**
  * @route   POST /api/sync/bulk
- * @desc    Manually trigger bulk sync from MongoDB to Elasticsearch
+ * @desc    Start a full sync from MongoDB to Elasticsearch as a background job (202, see /api/sync/jobs/:id)
+ * @body    batchSize (optional) - documents per bulk request (default: SYNC_BATCH_SIZE or 500)
+ * @body    concurrency (optional) - bulk requests in flight (default: SYNC_CONCURRENCY or 2)
+ */
+router.post('/bulk', validateBulkSync, async (req, res) => {
+    logger.info('Manual bulk sync initiated');
+
+    const { batchSize, concurrency } = req.body || {};
+
+    await startSyncJob(res, 'full', {
+        ...(batchSize && { batchSize: parseInt(batchSize) }),
+        ...(concurrency && { concurrency: parseInt(concurrency) })
+    });
+});
+
+/**
+ * @route   POST /api/sync/incremental
+ * @desc    Start a sync of only the documents past the stored high-water mark as a background job
+ * @body    field (optional) - watermark field, TIMESTAMP or _id (default: TIMESTAMP)
+ * @body    reset (optional) - forget the stored watermark and start from the beginning
+ * @body    batchSize (optional) - documents per bulk request
+ * @body    concurrency (optional) - bulk requests in flight
+ */
+router.post('/incremental', validateIncrementalSync, async (req, res) => {
+    logger.info('Incremental sync initiated');
+
+    const { field, reset, batchSize, concurrency } = req.body || {};
+
+    await startSyncJob(res, 'incremental', {
+        ...(field && { field }),
+        reset: reset === true || reset === 'true',
+        ...(batchSize && { batchSize: parseInt(batchSize) }),
+        ...(concurrency && { concurrency: parseInt(concurrency) })
+    });
+});
+
+/**
+ * @route   POST /api/sync/reconcile
+ * @desc    Start a document-by-document comparison of MongoDB and Elasticsearch (ids and content hashes) as a background job
+ * @body    dryRun (optional) - only report differences, set to false to repair them (default: true)
+ * @body    batchSize (optional) - documents compared per round trip
+ * @body    sampleLimit (optional) - max ids listed per difference type (default: 100)
  */
-router.post('/bulk', async (req, res) => {
+router.post('/reconcile', validateReconcile, async (req, res) => {
+    const { dryRun = true, batchSize, sampleLimit } = req.body || {};
+    const repair = dryRun === false || dryRun === 'false';
+
+    logger.info(`Reconciliation initiated (${repair ? 'repair' : 'dry run'})`);
+
+    await startSyncJob(res, 'reconcile', {
+        repair,
+        ...(batchSize && { batchSize: parseInt(batchSize) }),
+        ...(sampleLimit !== undefined && { sampleLimit: parseInt(sampleLimit) })
+    });
+});
+
+/**
+ * @route   GET /api/sync/jobs
+ * @desc    Sync job history, newest first
+ * @query   type (optional) - full, incremental, reindex or reconcile
+ * @query   status (optional) - running, completed, failed, cancelled or interrupted
+ * @query   limit (optional) - jobs per page (default: 20, max: 200)
+ * @query   skip (optional) - jobs to skip (default: 0)
+ */
+router.get('/jobs', async (req, res) => {
     try {
-        logger.info('Manual bulk sync initiated');
+        const { type, status, limit = 20, skip = 0 } = req.query;
 
-        // Get MongoDB collection
-        const collection = getCollection();
-        const documents = await collection.find({}).toArray();
+        if (type && !JOB_TYPES[type]) {
+            return res.status(400).json({ error: `type must be one of: ${Object.keys(JOB_TYPES).join(', ')}` });
+        }
 
-        if (documents.length === 0) {
-            return res.json({
-                success: true,
-                message: 'No documents found in MongoDB to sync',
-                documentsProcessed: 0
-            });
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
         }
 
-        // Get Elasticsearch client
-        const esClient = getClient();
-        const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+        if (isNaN(limit) || parseInt(limit) < 1 || parseInt(limit) > 200) {
+            return res.status(400).json({ error: 'limit must be a number between 1 and 200' });
+        }
+
+        if (isNaN(skip) || parseInt(skip) < 0) {
+            return res.status(400).json({ error: 'skip must be a non-negative number' });
+        }
+
+        const result = await listJobs({ type, status, limit: parseInt(limit), skip: parseInt(skip) });
+
+        res.json(result);
+
+    } catch (error) {
+        logger.error('Error listing sync jobs:', error);
+        res.status(500).json({
+            error: 'Failed to list sync jobs',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/sync/jobs/:id
+ * @desc    Phase, progress (processed, rate, ETA), errors and result of a sync job
+ */
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: `Sync job ${req.params.id} not found` });
+        }
+
+        res.json(job);
+
+    } catch (error) {
+        logger.error('Error getting sync job:', error);
+        res.status(500).json({
+            error: 'Failed to get sync job',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/sync/jobs/:id
+ * @desc    Cancel a running sync job; it stops at its next batch and is recorded as cancelled
+ */
+router.delete('/jobs/:id', async (req, res) => {
+    try {
+        const job = await cancelJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ error: `Sync job ${req.params.id} not found` });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Cancellation requested',
+            job,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.statusCode === 409) {
+            return res.status(409).json({ error: error.message });
+        }
+
+        logger.error('Error cancelling sync job:', error);
+        res.status(500).json({
+            error: 'Failed to cancel sync job',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/sync/quarantine
+ * @desc    Documents held back from the index because they failed subnet validation or the index refused them
+ * @query   limit (optional) - entries per page (default: 50, max: 500)
+ * @query   skip (optional) - entries to skip (default: 0)
+ * @query   source (optional) - schema (failed validation) or elasticsearch
+ * @query   field (optional) - only entries with a problem in this field
+ */
+router.get('/quarantine', async (req, res) => {
+    try {
+        const { limit = 50, skip = 0, source, field } = req.query;
+
+        if (isNaN(limit) || parseInt(limit) < 1 || parseInt(limit) > 500) {
+            return res.status(400).json({ error: 'limit must be a number between 1 and 500' });
+        }
+
+        if (isNaN(skip) || parseInt(skip) < 0) {
+            return res.status(400).json({ error: 'skip must be a non-negative number' });
+        }
+
+        if (source && !['schema', 'elasticsearch'].includes(source)) {
+            return res.status(400).json({ error: 'source must be schema or elasticsearch' });
+        }
+
+        const result = await listQuarantine({ limit: parseInt(limit), skip: parseInt(skip), source, field });
+
+        res.json(result);
+
+    } catch (error) {
+        logger.error('Error listing quarantine:', error);
+        res.status(500).json({
+            error: 'Failed to list quarantine',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/sync/quarantine/retry
+ * @desc    Re-read quarantined documents from MongoDB and index the ones that pass now
+ * @body    ids (optional) - document ids to retry (default: every quarantined document)
+ */
+router.post('/quarantine/retry', async (req, res) => {
+    try {
+        const { ids } = req.body || {};
+
+        if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+            return res.status(400).json({ error: 'ids must be a non-empty array of document ids' });
+        }
 
-        // FIX: Prepare bulk operation without _id in document body
-        const body = documents.flatMap(doc => {
-            // Destructure to separate _id from the rest of the document
-            const { _id, ...docWithoutId } = doc;
+        const result = await retryQuarantined({ ...(ids && { ids: ids.map(toMongoId) }) });
 
-            return [
-                { index: { _index: indexName, _id: _id.toString() } },
-                docWithoutId  // Document body without _id field
-            ];
+        // Documents that could not be indexed are listed in failed, the retry itself went through
+        res.json({
+            success: result.failed.length === 0,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Quarantine retry failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Quarantine retry failed',
+            message: error.message
         });
+    }
+});
 
-        // Execute bulk operation
-        const response = await esClient.bulk({ refresh: true, body });
+/**
+ * @route   GET /api/sync/dlq
+ * @desc    Change events that failed to reach the index, with their error and attempt count
+ * @query   status (optional) - pending (still retried automatically) or failed (out of attempts)
+ * @query   limit (optional) - entries per page (default: 50, max: 500)
+ * @query   skip (optional) - entries to skip (default: 0)
+ */
+router.get('/dlq', async (req, res) => {
+    try {
+        const { status, limit = 50, skip = 0 } = req.query;
 
-        if (response.errors) {
-            logger.error('Bulk sync had errors:', response.items);
-            return res.status(500).json({
-                success: false,
-                error: 'Bulk sync completed with errors',
-                documentsProcessed: documents.length,
-                errors: response.items.filter(item => item.index && item.index.error)
-            });
+        if (status && !['pending', 'failed'].includes(status)) {
+            return res.status(400).json({ error: 'status must be pending or failed' });
         }
 
-        logger.info(`Successfully synced ${documents.length} documents`);
+        if (isNaN(limit) || parseInt(limit) < 1 || parseInt(limit) > 500) {
+            return res.status(400).json({ error: 'limit must be a number between 1 and 500' });
+        }
+
+        if (isNaN(skip) || parseInt(skip) < 0) {
+            return res.status(400).json({ error: 'skip must be a non-negative number' });
+        }
+
+        const [result, depth] = await Promise.all([
+            listDeadLetters({ status, limit: parseInt(limit), skip: parseInt(skip) }),
+            getDeadLetterDepth()
+        ]);
+
+        res.json({ depth, ...result });
+
+    } catch (error) {
+        logger.error('Error listing dead-letter queue:', error);
+        res.status(500).json({
+            error: 'Failed to list dead-letter queue',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/sync/dlq/replay
+ * @desc    Replay dead-letter entries now, ignoring their backoff; entries that succeed are removed
+ * @body    ids (optional) - entry ids to replay (default: every entry)
+ */
+router.post('/dlq/replay', async (req, res) => {
+    try {
+        const { ids } = req.body || {};
+
+        if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+            return res.status(400).json({ error: 'ids must be a non-empty array of entry ids' });
+        }
+
+        const result = await replayDeadLetters({ ...(ids && { ids }) });
+
+        // Entries that failed again are listed in failed, the replay itself went through
+        res.json({
+            success: result.failed.length === 0,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Dead-letter replay failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Dead-letter replay failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/sync/dlq/discard
+ * @desc    Drop dead-letter entries without replaying them
+ * @body    ids (optional) - entry ids to drop
+ * @body    all (optional) - set to true to drop every entry when no ids are given
+ */
+router.post('/dlq/discard', async (req, res) => {
+    try {
+        const { ids, all } = req.body || {};
+
+        if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+            return res.status(400).json({ error: 'ids must be a non-empty array of entry ids' });
+        }
+
+        if (!ids && all !== true) {
+            return res.status(400).json({ error: 'Pass ids, or all: true to discard every entry' });
+        }
+
+        const discarded = await discardDeadLetters(ids);
+
+        res.json({ success: true, discarded });
+
+    } catch (error) {
+        logger.error('Dead-letter discard failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Dead-letter discard failed',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/sync/indices
+ * @desc    List versioned indices and which one the read/write aliases point to
+ */
+router.get('/indices', async (req, res) => {
+    try {
+        const versions = await listIndexVersions();
+
+        res.json({
+            readAlias: getReadAlias(),
+            writeAlias: getWriteAlias(),
+            versions
+        });
+
+    } catch (error) {
+        logger.error('Error listing index versions:', error);
+        res.status(500).json({
+            error: 'Failed to list index versions',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/sync/migrations
+ * @desc    Applied mapping version, pending migrations and drift of the live index mapping
+ */
+router.get('/migrations', async (req, res) => {
+    try {
+        const status = await getMigrationStatus();
+
+        res.json({
+            ...status,
+            upToDate: status.pending.length === 0 && status.drift.length === 0
+        });
+
+    } catch (error) {
+        logger.error('Error getting migration status:', error);
+        res.status(500).json({
+            error: 'Failed to get migration status',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/sync/reindex
+ * @desc    Start building the next index version from MongoDB as a background job; the aliases switch to it without downtime
+ * @body    batchSize (optional) - documents per bulk request
+ * @body    concurrency (optional) - bulk requests in flight
+ */
+router.post('/reindex', validateBulkSync, async (req, res) => {
+    logger.info('Reindex initiated');
+
+    const { batchSize, concurrency } = req.body || {};
+
+    await startSyncJob(res, 'reindex', {
+        ...(batchSize && { batchSize: parseInt(batchSize) }),
+        ...(concurrency && { concurrency: parseInt(concurrency) })
+    });
+});
+
+/**
+ * @route   POST /api/sync/reindex/rollback
+ * @desc    Switch the aliases back to the previous index version
+ * @body    repair (optional) - re-sync the previous index from MongoDB after switching (default: true)
+ */
+router.post('/reindex/rollback', async (req, res) => {
+    try {
+        logger.warn('Reindex rollback initiated');
+
+        const { repair } = req.body || {};
+
+        const result = await rollbackReindex({
+            repair: repair !== false && repair !== 'false'
+        });
 
         res.json({
             success: true,
-            message: 'Bulk sync completed successfully',
-            documentsProcessed: documents.length,
+            message: `Aliases switched back to ${result.currentIndex}`,
+            ...result,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        logger.error('Manual bulk sync failed:', error);
+        if (error.statusCode === 409) {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        logger.error('Reindex rollback failed:', error);
         res.status(500).json({
             success: false,
-            error: 'Bulk sync failed',
+            error: 'Reindex rollback failed',
             message: error.message
         });
     }
@@ -86,7 +477,7 @@ router.get('/status', async (req, res) => {
         const mongoCount = await collection.countDocuments();
 
         // Get Elasticsearch document count
-        const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+        const indexName = getReadAlias();
 
         let esCount = 0;
         try {
@@ -109,10 +500,14 @@ router.get('/status', async (req, res) => {
             },
             elasticsearch: {
                 count: esCount,
-                index: indexName
+                index: indexName,
+                concreteIndices: await getAliasTargets(indexName)
             },
             synced: mongoCount === esCount,
             difference: mongoCount - esCount,
+            quarantined: await countQuarantined(),
+            deadLetters: await getDeadLetterDepth(),
+            metrics: getMetrics(),
             timestamp: new Date().toISOString()
         });
 
@@ -0,0 +1,131 @@
+jest.mock('../elasticsearchService', () => ({
+    getClient: jest.fn(),
+    getWriteAlias: () => 'subnets-write'
+}));
+jest.mock('../quarantineService', () => ({
+    quarantineDocuments: jest.fn(),
+    releaseFromQuarantine: jest.fn()
+}));
+jest.mock('../syncVersionService', () => ({
+    ...jest.requireActual('../syncVersionService'),
+    getReadVersion: jest.fn(async () => '100'),
+    recordVersionConflict: jest.fn()
+}));
+
+const { getClient } = require('../elasticsearchService');
+const { quarantineDocuments, releaseFromQuarantine } = require('../quarantineService');
+const { recordVersionConflict } = require('../syncVersionService');
+const { indexCursor } = require('../bulkIndexer');
+
+const subnets = (count) => Array.from({ length: count }, (_, i) => ({ _id: `id-${i}`, CIDR: `10.0.${i}.0/24` }));
+
+// Ids of the documents a bulk body indexes
+const bulkIds = (call) => call[0].body.filter(operation => operation.index).map(operation => operation.index._id);
+
+// Cluster answering each bulk item with statusFor(id, attempt), 201 by default
+const withCluster = (statusFor = () => 201) => {
+    const attempts = {};
+    const client = {
+        bulk: jest.fn(async ({ body }) => ({
+            items: body.filter(operation => operation.index).map(({ index }) => {
+                attempts[index._id] = (attempts[index._id] || 0) + 1;
+                const status = statusFor(index._id, attempts[index._id]);
+                const type = status === 409 ? 'version_conflict_engine_exception' : 'error';
+                return { index: { _id: index._id, status, ...(status >= 300 && { error: { type, reason: 'refused' } }) } };
+            })
+        })),
+        indices: { refresh: jest.fn() }
+    };
+    getClient.mockReturnValue(client);
+    return client;
+};
+
+const options = { batchSize: 2, concurrency: 1, maxRetries: 2, retryDelay: 0 };
+
+describe('indexCursor', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('indexes the cursor in batches with versioned operations and refreshes once', async () => {
+        const client = withCluster();
+        const cursor = { [Symbol.asyncIterator]: async function* () { yield* subnets(5); }, close: jest.fn() };
+
+        const summary = await indexCursor(cursor, options);
+
+        expect(client.bulk.mock.calls.map(bulkIds)).toEqual([['id-0', 'id-1'], ['id-2', 'id-3'], ['id-4']]);
+        expect(client.bulk.mock.calls[0][0].body[0]).toEqual({
+            index: { _index: 'subnets-write', _id: 'id-0', version: '100', version_type: 'external_gte' }
+        });
+        expect(summary).toMatchObject({ processed: 5, indexed: 5, failed: 0, quarantined: 0, batches: 3 });
+        expect(client.indices.refresh).toHaveBeenCalledTimes(1);
+        expect(cursor.close).toHaveBeenCalled();
+    });
+
+    test('keeps at most concurrency batches in flight', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const client = withCluster();
+        const bulk = client.bulk.getMockImplementation();
+        client.bulk.mockImplementation(async (request) => {
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            await new Promise(resolve => setImmediate(resolve));
+            inFlight--;
+            return bulk(request);
+        });
+
+        const summary = await indexCursor(subnets(9), { ...options, concurrency: 2 });
+
+        expect(summary.indexed).toBe(9);
+        expect(maxInFlight).toBe(2);
+    });
+
+    test('re-sends only the items a busy cluster turned away', async () => {
+        const client = withCluster((id, attempt) => (id === 'id-1' && attempt === 1 ? 503 : 201));
+
+        const summary = await indexCursor(subnets(2), options);
+
+        expect(client.bulk.mock.calls.map(bulkIds)).toEqual([['id-0', 'id-1'], ['id-1']]);
+        expect(summary).toMatchObject({ indexed: 2, failed: 0 });
+    });
+
+    test('reports items still failing after the last retry', async () => {
+        withCluster((id) => (id === 'id-0' ? 503 : 201));
+
+        const summary = await indexCursor(subnets(2), options);
+
+        expect(summary).toMatchObject({ indexed: 1, failed: 1 });
+        expect(summary.errors).toEqual([{ id: 'id-0', status: 503, error: { type: 'error', reason: 'refused' } }]);
+    });
+
+    test('quarantines invalid and refused documents, and counts stale ones as conflicts', async () => {
+        const client = withCluster((id) => ({ 'id-1': 400, 'id-2': 409 }[id] || 201));
+        const invalid = { _id: 'bad', CIDR: 'nope' };
+
+        const summary = await indexCursor([...subnets(3), invalid], { ...options, batchSize: 10 });
+
+        expect(bulkIds(client.bulk.mock.calls[0])).toEqual(['id-0', 'id-1', 'id-2']);
+        expect(quarantineDocuments).toHaveBeenCalledWith([
+            { doc: invalid, reasons: [expect.objectContaining({ field: 'CIDR', rule: 'invalid_cidr' })], source: 'schema' }
+        ]);
+        expect(quarantineDocuments).toHaveBeenCalledWith([
+            expect.objectContaining({ doc: expect.objectContaining({ _id: 'id-1' }), source: 'elasticsearch' })
+        ]);
+        expect(releaseFromQuarantine).toHaveBeenCalledWith(['id-0']);
+        expect(recordVersionConflict).toHaveBeenCalledWith('bulk', 1);
+        expect(summary).toMatchObject({ processed: 4, indexed: 1, quarantined: 2, versionConflicts: 1, failed: 0 });
+    });
+
+    test('stops reading once the signal is aborted and throws its reason', async () => {
+        const client = withCluster();
+        const controller = new AbortController();
+        const cursor = (async function* () {
+            yield* subnets(2);
+            controller.abort(new Error('Cancelled'));
+            yield* subnets(4).slice(2);
+        })();
+
+        await expect(indexCursor(cursor, { ...options, signal: controller.signal })).rejects.toThrow('Cancelled');
+        expect(client.bulk.mock.calls.map(bulkIds)).toEqual([['id-0', 'id-1']]);
+    });
+});
@@ -0,0 +1,81 @@
+jest.mock('../mongoService', () => ({
+    getCollection: jest.fn()
+}));
+
+const { getCollection } = require('../mongoService');
+const { importRecords } = require('../importService');
+
+const duplicateKeyError = (index, upsertedIds) => Object.assign(new Error('E11000 duplicate key'), {
+    writeErrors: [{ index, code: 11000 }],
+    result: { upsertedIds }
+});
+
+describe('importRecords', () => {
+    let collection;
+
+    beforeEach(() => {
+        collection = { bulkWrite: jest.fn() };
+        getCollection.mockReturnValue(collection);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('upserts valid rows on the natural key and stamps a missing TIMESTAMP', async () => {
+        collection.bulkWrite.mockResolvedValue({ upsertedIds: { 0: 'new-1' } });
+
+        const result = await importRecords([
+            { CIDR: '10.0.0.0/24', SITE: 's1' },
+            { CIDR: '10.0.1.0/24', SITE: 's1', TIMESTAMP: '2025-01-01T00:00:00Z' }
+        ]);
+
+        const [operations, options] = collection.bulkWrite.mock.calls[0];
+        expect(options).toEqual({ ordered: true });
+        expect(operations[0].updateOne).toMatchObject({
+            filter: { CIDR: '10.0.0.0/24', SITE: 's1' },
+            update: { $set: { CIDR: '10.0.0.0/24', SITE: 's1', TIMESTAMP: expect.any(Date) } },
+            upsert: true
+        });
+        expect(operations[1].updateOne.update.$set.TIMESTAMP).toEqual(new Date('2025-01-01T00:00:00Z'));
+        expect(result.summary).toEqual({ rows: 2, accepted: 1, updated: 1, rejected: 0 });
+        expect(result.rows.map(row => row.status)).toEqual(['accepted', 'updated']);
+        expect(result.rows[0].id).toBe('new-1');
+    });
+
+    test('rejects the row that hits the unique index and writes the rest of the batch', async () => {
+        collection.bulkWrite
+            .mockRejectedValueOnce(duplicateKeyError(1, { 0: 'new-1' }))
+            .mockResolvedValueOnce({ upsertedIds: { 0: 'new-3' } });
+
+        const result = await importRecords([
+            { CIDR: '10.0.0.0/24', SITE: 's1' },
+            { CIDR: '10.0.1.0/24', SITE: 's2' },
+            { CIDR: '10.0.2.0/24', SITE: 's1' }
+        ]);
+
+        // The retry starts after the rejected row
+        expect(collection.bulkWrite).toHaveBeenCalledTimes(2);
+        expect(collection.bulkWrite.mock.calls[1][0].map(operation => operation.updateOne.filter.CIDR)).toEqual(['10.0.2.0/24']);
+        expect(result.rows.map(row => row.status)).toEqual(['accepted', 'rejected', 'accepted']);
+        expect(result.rows.map(row => row.id)).toEqual(['new-1', undefined, 'new-3']);
+        expect(result.rows[1].errors).toEqual([
+            { type: 'duplicate_key', message: 'Another record already has CIDR 10.0.1.0/24 at site s2' }
+        ]);
+        expect(result.summary).toMatchObject({ accepted: 2, rejected: 1 });
+    });
+
+    test('rethrows write errors other than a duplicate key', async () => {
+        collection.bulkWrite.mockRejectedValue(new Error('connection reset'));
+
+        await expect(importRecords([{ CIDR: '10.0.0.0/24', SITE: 's1' }])).rejects.toThrow('connection reset');
+    });
+
+    test('reports rows missing a key field and writes nothing on a dry run', async () => {
+        const result = await importRecords([{ CIDR: '10.0.0.0/24' }, { CIDR: '10.0.1.0/24', SITE: 's1' }], { dryRun: true });
+
+        expect(collection.bulkWrite).not.toHaveBeenCalled();
+        expect(result.rows[0].errors).toEqual([{ type: 'missing_key', field: 'SITE', message: 'Key field SITE is empty' }]);
+        expect(result.summary).toEqual({ rows: 2, accepted: 0, updated: 0, rejected: 1, valid: 1 });
+    });
+});
@@ -0,0 +1,174 @@
+jest.mock('../elasticsearchService', () => ({
+    getClient: jest.fn(),
+    getReadAlias: () => 'subnets-read',
+    getWriteAlias: () => 'subnets-write'
+}));
+jest.mock('../mongoService', () => ({
+    getCollection: jest.fn(),
+    toMongoId: (id) => id
+}));
+jest.mock('../lockService', () => ({
+    withLock: jest.fn((name, fn) => fn())
+}));
+jest.mock('../syncService', () => ({
+    indexDocument: jest.fn(),
+    deleteDocument: jest.fn()
+}));
+jest.mock('../syncVersionService', () => ({
+    getReadVersion: async () => 7,
+    getDocumentVersion: (doc, readVersion) => readVersion
+}));
+
+const { getClient } = require('../elasticsearchService');
+const { getCollection } = require('../mongoService');
+const { withLock } = require('../lockService');
+const { indexDocument } = require('../syncService');
+const { findFreeBlocks, reserveBlock } = require('../ipamService');
+
+// Index holding the given records, as the allocation scan reads them
+const withIndexed = (records) => {
+    getClient.mockReturnValue({
+        helpers: {
+            scrollDocuments: async function* () {
+                yield* records;
+            }
+        }
+    });
+};
+
+describe('findFreeBlocks', () => {
+    test('returns the whole supernet when nothing is allocated', async () => {
+        withIndexed([]);
+
+        await expect(findFreeBlocks('10.0.0.0/24', 26, { count: 2 })).resolves.toEqual({
+            supernet: '10.0.0.0/24',
+            prefix: 26,
+            allocatedPrefixes: 0,
+            freeAddresses: '256',
+            utilisation: 0,
+            freeRanges: ['10.0.0.0/24'],
+            blocks: ['10.0.0.0/26', '10.0.0.64/26']
+        });
+    });
+
+    test('covers the gaps between allocations and carves aligned blocks from them', async () => {
+        withIndexed([{ CIDR: '10.0.0.0/26' }, { CIDR: '10.0.0.128/27' }]);
+
+        const result = await findFreeBlocks('10.0.0.0/24', 27, { count: 10 });
+
+        expect(result.freeRanges).toEqual(['10.0.0.64/26', '10.0.0.160/27', '10.0.0.192/26']);
+        expect(result.blocks).toEqual(['10.0.0.64/27', '10.0.0.96/27', '10.0.0.160/27', '10.0.0.192/27', '10.0.0.224/27']);
+        expect(result.freeAddresses).toBe('160');
+        expect(result.utilisation).toBe(37.5);
+    });
+
+    test('skips free space too small or misaligned for the prefix', async () => {
+        withIndexed([{ CIDR: '10.0.0.0/25' }, { CIDR: '10.0.0.192/26' }, { CIDR: '10.0.0.128/28' }]);
+
+        const result = await findFreeBlocks('10.0.0.0/24', 26);
+
+        expect(result.freeRanges).toEqual(['10.0.0.144/28', '10.0.0.160/27']);
+        expect(result.blocks).toEqual([]);
+    });
+
+    test('merges nested and overlapping allocations', async () => {
+        withIndexed([{ CIDR: '10.0.0.0/25' }, { CIDR: '10.0.0.0/26' }, { CIDR: '10.0.0.64/27' }]);
+
+        const result = await findFreeBlocks('10.0.0.0/24', 25);
+
+        expect(result.allocatedPrefixes).toBe(3);
+        expect(result.freeRanges).toEqual(['10.0.0.128/25']);
+        expect(result.blocks).toEqual(['10.0.0.128/25']);
+    });
+
+    test('ignores the supernet record itself and prefixes outside it', async () => {
+        withIndexed([{ CIDR: '10.0.0.0/24' }, { CIDR: '10.0.0.0/16' }, { CIDR: '10.0.1.0/25' }, { CIDR: 'bad' }]);
+
+        const result = await findFreeBlocks('10.0.0.0/24', 25);
+
+        expect(result.allocatedPrefixes).toBe(0);
+        expect(result.freeRanges).toEqual(['10.0.0.0/24']);
+    });
+
+    test('works in IPv6 supernets, reading CIDRIPV6 as well', async () => {
+        withIndexed([{ CIDR: '10.0.0.0/24', CIDRIPV6: '2001:db8::/64' }]);
+
+        const result = await findFreeBlocks('2001:db8::/62', 64, { count: 4 });
+
+        expect(result.blocks).toEqual(['2001:db8:0:1::/64', '2001:db8:0:2::/64', '2001:db8:0:3::/64']);
+        expect(result.freeRanges).toEqual(['2001:db8:0:1::/64', '2001:db8:0:2::/63']);
+    });
+
+    test.each([
+        ['nope', 24, 'Invalid supernet: nope'],
+        ['10.0.0.0/24', 24, 'Prefix length must be between 25 and 32'],
+        ['10.0.0.0/24', 33, 'Prefix length must be between 25 and 32'],
+        ['10.0.0.0/24', '26', 'Prefix length must be between 25 and 32']
+    ])('rejects %p with prefix %p', async (supernet, prefix, message) => {
+        await expect(findFreeBlocks(supernet, prefix)).rejects.toMatchObject({ message, statusCode: 400 });
+    });
+});
+
+describe('reserveBlock', () => {
+    let collection;
+
+    beforeEach(() => {
+        withIndexed([{ CIDR: '10.0.0.0/26' }]);
+        collection = {
+            findOne: jest.fn(async () => null),
+            insertOne: jest.fn(async () => ({ insertedId: 'id-1' }))
+        };
+        getCollection.mockReturnValue(collection);
+        indexDocument.mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('stores the next free block and indexes it through the sync path under the family lock', async () => {
+        const result = await reserveBlock('10.0.0.0/24', 26, { SITE: 's1' });
+
+        expect(withLock).toHaveBeenCalledWith('ipam:reserve:v4', expect.any(Function), expect.objectContaining({ holder: 'ipam-reserve' }));
+        expect(collection.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+            CIDR: '10.0.0.64/26',
+            CIDRIPV4: '10.0.0.64/26',
+            SITE: 's1',
+            DESCRIPTION: 'Reserved from 10.0.0.0/24'
+        }));
+        expect(indexDocument).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: 'id-1', CIDR: '10.0.0.64/26' }),
+            expect.anything(),
+            'subnets-write',
+            { refresh: 'wait_for', path: 'write_through', version: 7 }
+        );
+        expect(result).toMatchObject({ id: 'id-1', record: { CIDR: '10.0.0.64/26' }, indexed: true });
+    });
+
+    test('keeps the reservation and reports indexed: false when indexing fails', async () => {
+        indexDocument.mockRejectedValue(new Error('cluster unavailable'));
+
+        const result = await reserveBlock('10.0.0.0/24', 26);
+
+        expect(collection.insertOne).toHaveBeenCalled();
+        expect(result).toMatchObject({ id: 'id-1', indexed: false });
+    });
+
+    test('turns a duplicate key from a concurrent write into a 409', async () => {
+        collection.insertOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        await expect(reserveBlock('10.0.0.0/24', 26, { SITE: 's1' })).rejects.toMatchObject({
+            statusCode: 409,
+            message: '10.0.0.64/26 already exists for site s1'
+        });
+        expect(indexDocument).not.toHaveBeenCalled();
+    });
+
+    test('rejects a requested block that overlaps an allocation', async () => {
+        await expect(reserveBlock('10.0.0.0/24', 26, { CIDR: '10.0.0.0/26' })).rejects.toMatchObject({
+            statusCode: 409,
+            message: '10.0.0.0/26 overlaps an existing allocation'
+        });
+        expect(collection.insertOne).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,57 @@
+jest.mock('../mongoService', () => ({
+    getDB: jest.fn()
+}));
+
+const { getDB } = require('../mongoService');
+const { withLock } = require('../lockService');
+
+describe('withLock', () => {
+    let locks;
+
+    beforeEach(() => {
+        locks = {
+            insertOne: jest.fn(async () => ({})),
+            findOneAndUpdate: jest.fn(async () => null),
+            updateOne: jest.fn(async () => ({ matchedCount: 1 })),
+            deleteOne: jest.fn(async () => ({}))
+        };
+        getDB.mockReturnValue({ collection: () => locks });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.clearAllMocks();
+    });
+
+    test('runs fn holding the lock and releases it afterwards', async () => {
+        const result = await withLock('job', async (owner) => owner);
+
+        expect(locks.insertOne).toHaveBeenCalledWith(expect.objectContaining({ _id: 'job', owner: result }));
+        expect(locks.deleteOne).toHaveBeenCalledWith({ _id: 'job', owner: result });
+        expect(locks.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('fails with a 409 when the lock is held', async () => {
+        locks.insertOne.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+        const fn = jest.fn();
+
+        await expect(withLock('job', fn)).rejects.toMatchObject({
+            statusCode: 409,
+            message: 'Lock "job" is held by another operation'
+        });
+        expect(fn).not.toHaveBeenCalled();
+    });
+
+    test('extends the lock every renewMs while fn runs, and stops once it returns', async () => {
+        jest.useFakeTimers();
+
+        await withLock('job', async () => {
+            jest.advanceTimersByTime(2500);
+        }, { ttlMs: 3000, renewMs: 1000 });
+        jest.advanceTimersByTime(5000);
+
+        expect(locks.updateOne).toHaveBeenCalledTimes(2);
+        expect(locks.updateOne.mock.calls[0][0]).toMatchObject({ _id: 'job' });
+        expect(locks.deleteOne).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,89 @@
+jest.mock('../elasticsearchService', () => ({
+    getClient: jest.fn(),
+    getIndexBaseName: () => 'subnet_search'
+}));
+jest.mock('../reindexService', () => ({
+    reindex: jest.fn(),
+    withReindexLock: jest.fn((holder, fn) => fn()),
+    getCurrentIndex: async () => 'subnet_search_v1'
+}));
+jest.mock('../syncStateService', () => ({
+    getSyncState: async () => null,
+    saveSyncState: jest.fn()
+}));
+
+const { getClient } = require('../elasticsearchService');
+const { reindex, withReindexLock } = require('../reindexService');
+const { buildIndexDefinition, getLatestVersion } = require('../../migrations');
+const { ensureMigrationsApplied } = require('../migrationService');
+
+// Live index whose mapping is what migrations 1..version describe
+const withLiveVersion = (version) => {
+    const client = {
+        indices: {
+            getMapping: async () => ({ subnet_search_v1: { mappings: buildIndexDefinition(version).mappings } }),
+            putMapping: jest.fn()
+        }
+    };
+    getClient.mockReturnValue(client);
+    return client;
+};
+
+describe('ensureMigrationsApplied', () => {
+    afterEach(() => {
+        delete process.env.MIGRATE_ON_START;
+        jest.clearAllMocks();
+    });
+
+    test('lets an index on the latest mapping through', async () => {
+        withLiveVersion(getLatestVersion());
+
+        await expect(ensureMigrationsApplied()).resolves.toMatchObject({ pending: [] });
+        expect(reindex).not.toHaveBeenCalled();
+    });
+
+    test('refuses to start while a breaking migration is pending', async () => {
+        withLiveVersion(4);
+
+        await expect(ensureMigrationsApplied()).rejects.toThrow(
+            /Index subnet_search_v1 is at mapping version 4 and breaking migration\(s\) 5, 6 are pending/
+        );
+        expect(reindex).not.toHaveBeenCalled();
+    });
+
+    test('only reports pending additive migrations', async () => {
+        const client = withLiveVersion(getLatestVersion() - 1);
+
+        const status = await ensureMigrationsApplied();
+
+        expect(status.pending.map(migration => migration.version)).toEqual([getLatestVersion()]);
+        expect(client.indices.putMapping).not.toHaveBeenCalled();
+    });
+
+    test('applies pending migrations with MIGRATE_ON_START', async () => {
+        process.env.MIGRATE_ON_START = 'true';
+        withLiveVersion(4);
+        reindex.mockImplementation(async () => {
+            withLiveVersion(getLatestVersion());
+            return { toIndex: 'subnet_search_v2' };
+        });
+
+        const result = await ensureMigrationsApplied();
+
+        expect(withReindexLock).toHaveBeenCalledWith('mapping-migration', expect.any(Function));
+        expect(reindex).toHaveBeenCalledWith(expect.objectContaining({ definition: buildIndexDefinition() }));
+        expect(result).toMatchObject({ method: 'reindex', pending: [] });
+    });
+
+    test('does not reindex while a reindex job holds the lock', async () => {
+        process.env.MIGRATE_ON_START = 'true';
+        withLiveVersion(4);
+        withReindexLock.mockRejectedValueOnce(Object.assign(
+            new Error('Lock "sync-job:reindex" is held by another operation'),
+            { statusCode: 409 }
+        ));
+
+        await expect(ensureMigrationsApplied()).rejects.toMatchObject({ statusCode: 409 });
+        expect(reindex).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,68 @@
+jest.mock('../elasticsearchService', () => ({
+    getClient: jest.fn(),
+    getIndexBaseName: () => 'subnet_search',
+    getReadAlias: () => 'subnet_search_read',
+    getWriteAlias: () => 'subnet_search_write',
+    getAliasTargets: async () => ['subnet_search_v2']
+}));
+jest.mock('../mongoService', () => ({}));
+jest.mock('../bulkIndexer', () => ({}));
+jest.mock('../syncService', () => ({}));
+jest.mock('../reconcileService', () => ({
+    reconcile: jest.fn()
+}));
+jest.mock('../syncStateService', () => ({
+    getSyncState: async () => ({ currentIndex: 'subnet_search_v2', previousIndex: 'subnet_search_v1' }),
+    saveSyncState: jest.fn()
+}));
+jest.mock('../lockService', () => ({
+    withLock: jest.fn((name, fn) => fn())
+}));
+
+const { getClient } = require('../elasticsearchService');
+const { saveSyncState } = require('../syncStateService');
+const { withLock } = require('../lockService');
+const { rollbackReindex } = require('../reindexService');
+
+describe('rollbackReindex', () => {
+    let client;
+
+    beforeEach(() => {
+        client = { indices: { updateAliases: jest.fn() } };
+        getClient.mockReturnValue(client);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('switches the aliases back to the previous index under the reindex job lock', async () => {
+        const result = await rollbackReindex({ repair: false });
+
+        expect(withLock).toHaveBeenCalledWith('sync-job:reindex', expect.any(Function), expect.objectContaining({
+            holder: 'reindex-rollback'
+        }));
+        expect(client.indices.updateAliases).toHaveBeenCalledWith({
+            body: {
+                actions: [
+                    { remove: { index: 'subnet_search_v2', alias: 'subnet_search_read' } },
+                    { remove: { index: 'subnet_search_v2', alias: 'subnet_search_write' } },
+                    { add: { index: 'subnet_search_v1', alias: 'subnet_search_read' } },
+                    { add: { index: 'subnet_search_v1', alias: 'subnet_search_write', is_write_index: true } }
+                ]
+            }
+        });
+        expect(result).toEqual({ previousIndex: 'subnet_search_v2', currentIndex: 'subnet_search_v1' });
+    });
+
+    test('leaves the aliases alone while a reindex holds the lock', async () => {
+        withLock.mockRejectedValueOnce(Object.assign(
+            new Error('Lock "sync-job:reindex" is held by another operation'),
+            { statusCode: 409 }
+        ));
+
+        await expect(rollbackReindex()).rejects.toMatchObject({ statusCode: 409 });
+        expect(client.indices.updateAliases).not.toHaveBeenCalled();
+        expect(saveSyncState).not.toHaveBeenCalled();
+    });
+});
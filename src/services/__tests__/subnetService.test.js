@@ -0,0 +1,170 @@
+jest.mock('../elasticsearchService', () => ({
+    getClient: jest.fn(),
+    getWriteAlias: () => 'subnets-write'
+}));
+jest.mock('../mongoService', () => ({
+    getCollection: jest.fn(),
+    toMongoId: (id) => id
+}));
+jest.mock('../bulkIndexer', () => ({
+    indexCursor: jest.fn()
+}));
+jest.mock('../syncService', () => ({
+    indexDocument: jest.fn(),
+    deleteDocument: jest.fn()
+}));
+jest.mock('../syncVersionService', () => ({
+    getReadVersion: async () => 7,
+    getDocumentVersion: (doc, readVersion) => readVersion
+}));
+
+const { getClient } = require('../elasticsearchService');
+const { getCollection } = require('../mongoService');
+const { indexDocument, deleteDocument } = require('../syncService');
+const {
+    createSubnet,
+    updateSubnet,
+    deleteSubnet,
+    normalizeBulkEditFilter,
+    collectMatchingIds
+} = require('../subnetService');
+
+// Search yielding one hit per id until the caller aborts
+const hitsFor = (ids) => jest.fn(async function* (params, isAborted) {
+    for (const id of ids) {
+        if (isAborted()) {
+            return;
+        }
+        yield { _id: id };
+    }
+});
+
+describe('write-through', () => {
+    let collection;
+    const stored = { _id: 'id-1', CIDR: '10.0.0.0/24', CIDRIPV4: '10.0.0.0/24', SITE: 's1', TIMESTAMP: new Date('2025-01-01') };
+
+    beforeEach(() => {
+        collection = {
+            insertOne: jest.fn(async () => ({ insertedId: 'id-1' })),
+            findOne: jest.fn(async () => stored),
+            findOneAndUpdate: jest.fn(async (filter, update) => ({ ...stored, ...update.$set })),
+            deleteOne: jest.fn(async () => ({ deletedCount: 1 }))
+        };
+        getCollection.mockReturnValue(collection);
+        getClient.mockReturnValue({});
+        indexDocument.mockResolvedValue(true);
+        deleteDocument.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('stores a new record stamped with a TIMESTAMP and indexes it at the version read before the write', async () => {
+        const result = await createSubnet({ CIDR: '10.0.1.0/24', SITE: 's1' }, { refresh: 'wait_for' });
+
+        expect(collection.insertOne).toHaveBeenCalledWith(expect.objectContaining({ TIMESTAMP: expect.any(Date) }));
+        expect(indexDocument).toHaveBeenCalledWith(
+            expect.objectContaining({ _id: 'id-1', CIDR: '10.0.1.0/24' }),
+            expect.anything(),
+            'subnets-write',
+            { refresh: 'wait_for', path: 'write_through', version: 7 }
+        );
+        expect(result).toMatchObject({ id: 'id-1', record: { CIDR: '10.0.1.0/24', CIDRIPV4: '10.0.1.0/24' }, indexed: true });
+    });
+
+    test('reports indexed: false when the document was quarantined or turned away as stale', async () => {
+        indexDocument.mockResolvedValue(false);
+
+        await expect(createSubnet({ CIDR: '10.0.1.0/24' })).resolves.toMatchObject({ indexed: false });
+    });
+
+    test('keeps the write and reports indexed: false when indexing fails', async () => {
+        indexDocument.mockRejectedValue(new Error('cluster unavailable'));
+
+        const result = await updateSubnet('id-1', { SITE: 's2' });
+
+        expect(collection.findOneAndUpdate).toHaveBeenCalled();
+        expect(result).toMatchObject({ record: { SITE: 's2' }, indexed: false });
+    });
+
+    test('refuses an invalid record before writing anything', async () => {
+        await expect(createSubnet({ CIDR: 'nope' })).rejects.toMatchObject({ statusCode: 400 });
+
+        expect(collection.insertOne).not.toHaveBeenCalled();
+        expect(indexDocument).not.toHaveBeenCalled();
+    });
+
+    test('turns a duplicate key into a 409', async () => {
+        collection.insertOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        await expect(createSubnet({ CIDR: '10.0.0.0/24', SITE: 's1' })).rejects.toMatchObject({
+            statusCode: 409,
+            message: '10.0.0.0/24 already exists for site s1'
+        });
+        expect(indexDocument).not.toHaveBeenCalled();
+    });
+
+    test('deletes from the index at the version read before the delete', async () => {
+        await expect(deleteSubnet('id-1')).resolves.toEqual({ id: 'id-1', indexed: true });
+
+        expect(deleteDocument).toHaveBeenCalledWith('id-1', expect.anything(), 'subnets-write', {
+            refresh: false,
+            path: 'write_through',
+            version: 7
+        });
+    });
+
+    test('answers 404 for a record that does not exist', async () => {
+        collection.findOne.mockResolvedValue(null);
+
+        await expect(deleteSubnet('missing')).rejects.toMatchObject({ statusCode: 404 });
+        expect(collection.deleteOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('normalizeBulkEditFilter', () => {
+    test('keeps the advanced search parameters that are set', () => {
+        expect(normalizeBulkEditFilter({ sites: 's1', q: '', dateTo: undefined, size: 10 })).toEqual({ sites: 's1' });
+    });
+
+    test.each([undefined, {}, { q: '' }, { size: 10 }])('refuses %p, which would match every record', (filter) => {
+        expect(() => normalizeBulkEditFilter(filter)).toThrow(expect.objectContaining({
+            statusCode: 400,
+            message: expect.stringContaining('filter needs at least one of: q, sites')
+        }));
+    });
+});
+
+describe('collectMatchingIds', () => {
+    afterEach(() => {
+        delete process.env.BULK_EDIT_MAX_RECORDS;
+    });
+
+    test('returns the id of every hit', async () => {
+        const searchHits = hitsFor(['a', 'b']);
+
+        await expect(collectMatchingIds({ sites: 's1' }, searchHits)).resolves.toEqual(['a', 'b']);
+        expect(searchHits).toHaveBeenCalledWith({ sites: 's1' }, expect.any(Function));
+    });
+
+    test('stops reading one past the limit and refuses the filter', async () => {
+        process.env.BULK_EDIT_MAX_RECORDS = '2';
+        const seen = [];
+        const searchHits = async function* (params, isAborted) {
+            for (const id of ['a', 'b', 'c', 'd']) {
+                if (isAborted()) {
+                    return;
+                }
+                seen.push(id);
+                yield { _id: id };
+            }
+        };
+
+        await expect(collectMatchingIds({ sites: 's1' }, searchHits)).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'Filter matches more than 2 records, narrow it down'
+        });
+        expect(seen).toEqual(['a', 'b', 'c']);
+    });
+});
@@ -0,0 +1,140 @@
+jest.mock('../mongoService', () => ({
+    getDB: jest.fn(),
+    getCollection: () => ({ estimatedDocumentCount: async () => 10 })
+}));
+jest.mock('../lockService', () => ({
+    acquireLock: jest.fn(async () => 'owner-1'),
+    extendLock: jest.fn(async () => true),
+    releaseLock: jest.fn(async () => {}),
+    getLock: jest.fn(async () => null)
+}));
+jest.mock('../syncService', () => ({
+    bulkSyncToElasticsearch: jest.fn(),
+    incrementalSyncToElasticsearch: jest.fn()
+}));
+jest.mock('../reindexService', () => ({
+    reindex: jest.fn()
+}));
+jest.mock('../reconcileService', () => ({
+    reconcile: jest.fn()
+}));
+
+const { getDB } = require('../mongoService');
+const { acquireLock, releaseLock, getLock } = require('../lockService');
+const { bulkSyncToElasticsearch } = require('../syncService');
+const { startJob, cancelJob } = require('../syncJobService');
+
+// Sync run that reports progress and waits until release() or its signal stops it
+const pausedRun = () => {
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+
+    bulkSyncToElasticsearch.mockImplementation(async ({ signal, onProgress }) => {
+        onProgress({ processed: 4, indexed: 4, failed: 0 });
+        await Promise.race([
+            released,
+            new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+        ]);
+        return { processed: 10, indexed: 10, failed: 0 };
+    });
+
+    return () => release();
+};
+
+describe('syncJobService', () => {
+    let jobs;
+
+    beforeEach(() => {
+        jobs = {
+            insertOne: jest.fn(async () => ({})),
+            updateOne: jest.fn(async () => ({})),
+            updateMany: jest.fn(async () => ({})),
+            findOne: jest.fn(async () => null)
+        };
+        getDB.mockReturnValue({ collection: () => jobs });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('records a job under the lock of its type, tracks progress and releases the lock when done', async () => {
+        const release = pausedRun();
+
+        const { job, completion } = await startJob('full', { batchSize: 100 });
+
+        expect(acquireLock).toHaveBeenCalledWith('sync-job:full', expect.objectContaining({ holder: job.id }));
+        expect(jobs.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+            _id: job.id,
+            type: 'full',
+            params: { batchSize: 100 },
+            status: 'running',
+            progress: expect.objectContaining({ total: 10 })
+        }));
+        expect(bulkSyncToElasticsearch).toHaveBeenCalledWith(expect.objectContaining({ batchSize: 100, signal: expect.any(AbortSignal) }));
+
+        release();
+        const finished = await completion;
+
+        expect(finished).toMatchObject({
+            id: job.id,
+            status: 'completed',
+            phase: 'done',
+            progress: { total: 10, processed: 10, indexed: 10, failed: 0 }
+        });
+        expect(releaseLock).toHaveBeenCalledWith('sync-job:full', 'owner-1');
+    });
+
+    test('refuses a second job of a type with a 409 naming the running one', async () => {
+        acquireLock.mockResolvedValueOnce(null);
+        getLock.mockResolvedValueOnce({ holder: 'job-1' });
+
+        await expect(startJob('full')).rejects.toMatchObject({ statusCode: 409, jobId: 'job-1' });
+        expect(jobs.insertOne).not.toHaveBeenCalled();
+    });
+
+    test('rejects an unknown job type', async () => {
+        await expect(startJob('nope')).rejects.toMatchObject({ statusCode: 400 });
+        expect(acquireLock).not.toHaveBeenCalled();
+    });
+
+    test('marks a run that left documents unindexed as failed', async () => {
+        bulkSyncToElasticsearch.mockResolvedValue({ processed: 10, indexed: 8, failed: 2 });
+
+        const { completion } = await startJob('full');
+
+        await expect(completion).resolves.toMatchObject({ status: 'failed', error: '2 documents failed' });
+    });
+
+    test('cancels a running job through its signal', async () => {
+        pausedRun();
+        const { job, completion } = await startJob('full');
+
+        await expect(cancelJob(job.id)).resolves.toMatchObject({ id: job.id, status: 'running' });
+
+        await expect(completion).resolves.toMatchObject({
+            status: 'cancelled',
+            error: 'Cancelled',
+            progress: expect.objectContaining({ processed: 4 })
+        });
+        expect(releaseLock).toHaveBeenCalled();
+    });
+
+    test('refuses to cancel a job that has finished', async () => {
+        jobs.findOne.mockResolvedValue({
+            _id: 'job-1',
+            type: 'full',
+            status: 'completed',
+            progress: { total: 1, processed: 1 },
+            startedAt: new Date(),
+            finishedAt: new Date()
+        });
+
+        await expect(cancelJob('job-1')).rejects.toMatchObject({
+            statusCode: 409,
+            message: 'Sync job job-1 has already completed'
+        });
+    });
+});
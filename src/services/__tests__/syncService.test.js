@@ -0,0 +1,150 @@
+jest.mock('../mongoService', () => ({
+    getCollection: jest.fn()
+}));
+jest.mock('../elasticsearchService', () => ({
+    getClient: jest.fn(),
+    getWriteAlias: () => 'subnets-write'
+}));
+jest.mock('../syncStateService', () => ({}));
+jest.mock('../bulkIndexer', () => ({}));
+jest.mock('../quarantineService', () => ({
+    quarantineDocuments: jest.fn(),
+    releaseFromQuarantine: jest.fn()
+}));
+jest.mock('../deadLetterService', () => ({
+    addDeadLetter: jest.fn()
+}));
+jest.mock('../syncVersionService', () => ({
+    ...jest.requireActual('../syncVersionService'),
+    recordVersionConflict: jest.fn()
+}));
+
+const { quarantineDocuments, releaseFromQuarantine } = require('../quarantineService');
+const { addDeadLetter } = require('../deadLetterService');
+const { recordVersionConflict } = require('../syncVersionService');
+const { indexDocument, handleChangeEvent } = require('../syncService');
+
+const doc = { _id: 'id-1', CIDR: '10.0.0.0/24', SITE: 's1' };
+
+const esError = (statusCode, type, reason) => Object.assign(new Error(type || 'request failed'), {
+    meta: { statusCode, body: type && { error: { type, reason } } }
+});
+
+describe('indexDocument', () => {
+    let client;
+
+    beforeEach(() => {
+        client = { index: jest.fn(async () => ({})), delete: jest.fn(async () => ({})) };
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('indexes a valid document at its version and takes it out of quarantine', async () => {
+        await expect(indexDocument(doc, client, 'subnets-write', { version: '42', refresh: 'wait_for' })).resolves.toBe(true);
+
+        expect(client.index).toHaveBeenCalledWith(expect.objectContaining({
+            index: 'subnets-write',
+            id: 'id-1',
+            body: expect.objectContaining({ CIDR: '10.0.0.0/24', SITE: 's1' }),
+            refresh: 'wait_for',
+            version: '42',
+            version_type: 'external_gte'
+        }));
+        expect(releaseFromQuarantine).toHaveBeenCalledWith(['id-1']);
+    });
+
+    test('quarantines a document that fails validation without sending it', async () => {
+        const invalid = { _id: 'id-2', CIDR: 'nope' };
+
+        await expect(indexDocument(invalid, client, 'subnets-write')).resolves.toBe(false);
+
+        expect(client.index).not.toHaveBeenCalled();
+        expect(quarantineDocuments).toHaveBeenCalledWith([
+            { doc: invalid, reasons: [expect.objectContaining({ rule: 'invalid_cidr' })], source: 'schema' }
+        ]);
+    });
+
+    test('drops a write the index holds a newer version of', async () => {
+        client.index.mockRejectedValue(esError(409, 'version_conflict_engine_exception', 'stale'));
+
+        await expect(indexDocument(doc, client, 'subnets-write', { version: '1', path: 'write_through' })).resolves.toBe(false);
+
+        expect(recordVersionConflict).toHaveBeenCalledWith('write_through');
+        expect(quarantineDocuments).not.toHaveBeenCalled();
+        expect(releaseFromQuarantine).not.toHaveBeenCalled();
+    });
+
+    test('quarantines a document the index refuses', async () => {
+        client.index.mockRejectedValue(esError(400, 'mapper_parsing_exception', 'failed to parse field [CIDR]'));
+
+        await expect(indexDocument(doc, client, 'subnets-write')).resolves.toBe(false);
+
+        expect(quarantineDocuments).toHaveBeenCalledWith([{
+            doc,
+            reasons: [{ field: null, rule: 'elasticsearch', message: 'mapper_parsing_exception: failed to parse field [CIDR]' }],
+            source: 'elasticsearch'
+        }]);
+    });
+
+    test('rethrows errors a retry could get past', async () => {
+        client.index.mockRejectedValue(esError(503));
+
+        await expect(indexDocument(doc, client, 'subnets-write')).rejects.toThrow('request failed');
+        expect(quarantineDocuments).not.toHaveBeenCalled();
+    });
+});
+
+describe('handleChangeEvent', () => {
+    let client;
+
+    beforeEach(() => {
+        client = { index: jest.fn(async () => ({})), delete: jest.fn(async () => ({})) };
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const event = (operationType, extra = {}) => ({
+        operationType,
+        documentKey: { _id: 'id-1' },
+        clusterTime: { t: 1, i: 2 },
+        ...extra
+    });
+
+    test('indexes inserts at the cluster time of the event', async () => {
+        await handleChangeEvent(event('insert', { fullDocument: doc }), client, 'subnets-write');
+
+        // 1 << 32 | 2
+        expect(client.index).toHaveBeenCalledWith(expect.objectContaining({ id: 'id-1', version: '4294967298' }));
+    });
+
+    test('skips an update whose document is already gone', async () => {
+        await handleChangeEvent(event('update', { fullDocument: null }), client, 'subnets-write');
+
+        expect(client.index).not.toHaveBeenCalled();
+        expect(addDeadLetter).not.toHaveBeenCalled();
+    });
+
+    test('counts a delete of a document the index never had as done', async () => {
+        client.delete.mockRejectedValue(esError(404));
+
+        await handleChangeEvent(event('delete'), client, 'subnets-write');
+
+        expect(client.delete).toHaveBeenCalledWith(expect.objectContaining({ id: 'id-1', version: '4294967298' }));
+        expect(releaseFromQuarantine).toHaveBeenCalledWith(['id-1']);
+        expect(addDeadLetter).not.toHaveBeenCalled();
+    });
+
+    test('keeps a failed event in the dead-letter queue', async () => {
+        const error = esError(503);
+        client.index.mockRejectedValue(error);
+        const change = event('replace', { fullDocument: doc });
+
+        await handleChangeEvent(change, client, 'subnets-write');
+
+        expect(addDeadLetter).toHaveBeenCalledWith(change, error);
+    });
+});
@@ -0,0 +1,230 @@
+const { getClient, getWriteAlias } = require('./elasticsearchService');
+const { quarantineDocuments, releaseFromQuarantine } = require('./quarantineService');
+const { getReadVersion, getDocumentVersion, versionParams, recordVersionConflict } = require('./syncVersionService');
+const { toElasticsearchDocument, toElasticsearchId } = require('../utils/documentTransform');
+const { validateStoredRecord } = require('../utils/subnetValidation');
+const logger = require('../utils/logger');
+
+// Item statuses worth retrying: rejected by a busy cluster or a node that was briefly unavailable
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// The index refused the document itself (mapping or parsing errors); sending it again won't help
+const REJECTED_STATUS = 400;
+// The index holds a newer version of the document than the one sent
+const CONFLICT_STATUS = 409;
+const MAX_REPORTED_ERRORS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getBulkDefaults = () => ({
+    batchSize: parseInt(process.env.SYNC_BATCH_SIZE || '500'),
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY || '2'),
+    maxRetries: parseInt(process.env.SYNC_MAX_RETRIES || '3'),
+    retryDelay: parseInt(process.env.SYNC_RETRY_DELAY_MS || '1000')
+});
+
+const buildOperations = (docs, index, readVersion) => {
+    return docs.flatMap(doc => [
+        { index: { _index: index, _id: toElasticsearchId(doc._id), ...versionParams(getDocumentVersion(doc, readVersion)) } },
+        toElasticsearchDocument(doc)
+    ]);
+};
+
+// Sends one batch and re-sends only the items that failed with a retryable status.
+// Resolves with the documents that were indexed, the items that could not be indexed, the
+// documents the index refused outright, which go to quarantine, and the count of stale
+// documents the index already held a newer version of.
+const sendBatch = async (esClient, docs, options) => {
+    let pending = docs;
+    let attempt = 0;
+    let conflicts = 0;
+    const indexed = [];
+    const failed = [];
+    const rejected = [];
+
+    while (pending.length > 0) {
+        const response = await esClient.bulk({ body: buildOperations(pending, options.index, options.version) });
+        const items = response.body?.items || response.items || [];
+        const retry = [];
+
+        items.forEach((item, i) => {
+            const result = item.index;
+            if (!result.error) {
+                indexed.push(pending[i]);
+            } else if (result.status === CONFLICT_STATUS && result.error.type === 'version_conflict_engine_exception') {
+                conflicts++;
+            } else if (RETRYABLE_STATUSES.includes(result.status) && attempt < options.maxRetries) {
+                retry.push(pending[i]);
+            } else if (result.status === REJECTED_STATUS) {
+                rejected.push({
+                    doc: pending[i],
+                    reasons: [{ field: null, rule: 'elasticsearch', message: `${result.error.type}: ${result.error.reason}` }],
+                    source: 'elasticsearch'
+                });
+            } else {
+                failed.push({ id: result._id, status: result.status, error: result.error });
+            }
+        });
+
+        if (retry.length > 0) {
+            attempt++;
+            const delay = options.retryDelay * Math.pow(2, attempt - 1);
+            logger.warn(`Retrying ${retry.length} bulk items (attempt ${attempt}/${options.maxRetries}) in ${delay}ms`);
+            await sleep(delay);
+        }
+
+        pending = retry;
+    }
+
+    // Quarantine bookkeeping: refused documents go in, indexed ones come out
+    await quarantineDocuments(rejected);
+    await releaseFromQuarantine(indexed.map(doc => doc._id));
+
+    if (conflicts > 0) {
+        recordVersionConflict(options.versionPath, conflicts);
+    }
+
+    return { indexed: indexed.length, failed, rejected: rejected.length, conflicts };
+};
+
+/**
+ * Streams documents from a MongoDB cursor (or any iterable of documents) into
+ * Elasticsearch in bulk batches. At most `concurrency` batches are in flight; the
+ * cursor is not read further until one of them completes, so memory stays
+ * bounded by batchSize * concurrency.
+ *
+ * Documents that fail the subnet validation rules (utils/subnetValidation) or that the index
+ * refuses are quarantined instead of indexed; they count as quarantined, not failed.
+ *
+ * Writes are versioned (see syncVersionService) with the cluster time taken before the
+ * cursor is read, or options.version when the documents were read earlier than that.
+ * Documents the index already holds a newer version of count as versionConflicts.
+ *
+ * Passing an AbortSignal as options.signal stops the run: reading ends, the batches in
+ * flight are waited for and the signal's reason is thrown.
+ */
+const indexCursor = async (cursor, options = {}) => {
+    const esClient = getClient();
+    const settings = {
+        ...getBulkDefaults(),
+        index: getWriteAlias(),
+        refresh: true,
+        versionPath: 'bulk',
+        ...options
+    };
+
+    if (settings.version === undefined) {
+        settings.version = await getReadVersion();
+    }
+
+    const startedAt = Date.now();
+    const summary = { processed: 0, indexed: 0, failed: 0, quarantined: 0, versionConflicts: 0, batches: 0, errors: [] };
+    const inFlight = new Set();
+    let batch = [];
+    let invalid = [];
+    let firstError = null;
+
+    const dispatch = (docs) => {
+        const batchNumber = ++summary.batches;
+
+        const task = sendBatch(esClient, docs, settings)
+            .then(({ indexed, failed, rejected, conflicts }) => {
+                summary.indexed += indexed;
+                summary.failed += failed.length;
+                summary.quarantined += rejected;
+                summary.versionConflicts += conflicts;
+                summary.errors.push(...failed.slice(0, MAX_REPORTED_ERRORS - summary.errors.length));
+
+                if (failed.length > 0) {
+                    logger.error(`Bulk batch ${batchNumber} had ${failed.length} failed items`);
+                }
+
+                if (settings.onProgress) {
+                    settings.onProgress({
+                        batch: batchNumber,
+                        batchSize: docs.length,
+                        batchIndexed: indexed,
+                        batchFailed: failed.length,
+                        processed: summary.processed,
+                        indexed: summary.indexed,
+                        failed: summary.failed,
+                        quarantined: summary.quarantined,
+                        versionConflicts: summary.versionConflicts,
+                        elapsedMs: Date.now() - startedAt
+                    });
+                }
+            })
+            .catch(error => {
+                firstError = firstError || error;
+            })
+            .finally(() => inFlight.delete(task));
+
+        inFlight.add(task);
+    };
+
+    try {
+        for await (const doc of cursor) {
+            if (settings.signal?.aborted) {
+                // Let the batches in flight finish so their results are accounted for
+                await Promise.allSettled(inFlight);
+                settings.signal.throwIfAborted();
+            }
+
+            summary.processed++;
+
+            const violations = validateStoredRecord(doc);
+            if (violations.length > 0) {
+                invalid.push({ doc, reasons: violations, source: 'schema' });
+                summary.quarantined++;
+            } else {
+                batch.push(doc);
+            }
+
+            if (invalid.length >= settings.batchSize) {
+                await quarantineDocuments(invalid);
+                invalid = [];
+            }
+
+            if (batch.length >= settings.batchSize) {
+                dispatch(batch);
+                batch = [];
+
+                // Backpressure: stop reading from Mongo while all slots are busy
+                while (inFlight.size >= settings.concurrency) {
+                    await Promise.race(inFlight);
+                }
+            }
+
+            if (firstError) {
+                throw firstError;
+            }
+        }
+
+        if (batch.length > 0) {
+            dispatch(batch);
+        }
+
+        await quarantineDocuments(invalid);
+
+        await Promise.all(inFlight);
+
+        if (firstError) {
+            throw firstError;
+        }
+
+        if (settings.refresh && summary.indexed > 0) {
+            await esClient.indices.refresh({ index: settings.index });
+        }
+    } finally {
+        if (typeof cursor.close === 'function') {
+            await cursor.close();
+        }
+    }
+
+    summary.durationMs = Date.now() - startedAt;
+    return summary;
+};
+
+module.exports = {
+    indexCursor,
+    getBulkDefaults
+};
@@ -0,0 +1,176 @@
+const { getDB, toMongoId } = require('./mongoService');
+const { toElasticsearchId } = require('../utils/documentTransform');
+const logger = require('../utils/logger');
+
+// Change events that could not be applied to the index. Document events are kept one
+// entry per document: a replay re-reads the document, so only the latest failure matters.
+const getDeadLetterCollection = () => {
+    return getDB().collection(process.env.DLQ_COLLECTION || 'sync_dead_letters');
+};
+
+const getRetrySettings = () => ({
+    baseDelay: parseInt(process.env.DLQ_RETRY_BASE_MS || '5000'),
+    maxDelay: parseInt(process.env.DLQ_RETRY_MAX_MS || '600000'),
+    maxAttempts: parseInt(process.env.DLQ_MAX_ATTEMPTS || '10')
+});
+
+// Exponential backoff after the given number of failed attempts, capped at maxDelay
+const getRetryDelay = (attempts) => {
+    const { baseDelay, maxDelay } = getRetrySettings();
+    return Math.min(baseDelay * Math.pow(2, attempts - 1), maxDelay);
+};
+
+const describeError = (error) => ({
+    message: error.message,
+    ...(error.meta?.statusCode && { statusCode: error.meta.statusCode })
+});
+
+// The parts of a change event a replay needs
+const toStoredEvent = (change) => ({
+    operationType: change.operationType,
+    ...(change.documentKey && { documentKey: change.documentKey }),
+    ...(change.to && { to: change.to })
+});
+
+const addDeadLetter = async (change, error) => {
+    const now = new Date();
+    const documentId = change.documentKey?._id ?? null;
+
+    try {
+        const collection = getDeadLetterCollection();
+        const update = {
+            $set: {
+                event: toStoredEvent(change),
+                operationType: change.operationType,
+                error: describeError(error),
+                status: 'pending',
+                lastFailedAt: now,
+                nextAttemptAt: new Date(now.getTime() + getRetryDelay(1)),
+                attempts: 1
+            },
+            $setOnInsert: { documentId, firstFailedAt: now }
+        };
+
+        if (documentId !== null) {
+            await collection.updateOne({ documentId }, update, { upsert: true });
+        } else {
+            await collection.insertOne({ ...update.$set, ...update.$setOnInsert });
+        }
+
+        logger.warn(`Sync event ${change.operationType} ${documentId ?? ''} moved to the dead-letter queue: ${error.message}`);
+    } catch (dlqError) {
+        // Nothing left to fall back on, the reconcile job is the safety net from here
+        logger.error('Error writing to the dead-letter queue, event is lost:', dlqError);
+    }
+};
+
+// Entries whose backoff has run out, oldest first
+const getDueDeadLetters = async (limit) => {
+    return getDeadLetterCollection()
+        .find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit)
+        .toArray();
+};
+
+// Entries to replay by hand: the given ids, or every entry
+const getDeadLetters = async (ids, limit) => {
+    return getDeadLetterCollection()
+        .find(ids ? { _id: { $in: ids.map(toMongoId) } } : {})
+        .sort({ firstFailedAt: 1 })
+        .limit(limit)
+        .toArray();
+};
+
+const removeDeadLetter = async (id) => {
+    await getDeadLetterCollection().deleteOne({ _id: id });
+};
+
+// Schedules the next attempt, or parks the entry as failed once it is out of attempts
+const recordFailedAttempt = async (entry, error) => {
+    const attempts = entry.attempts + 1;
+    const exhausted = attempts >= getRetrySettings().maxAttempts;
+    const now = new Date();
+
+    await getDeadLetterCollection().updateOne({ _id: entry._id }, {
+        $set: {
+            attempts,
+            error: describeError(error),
+            lastFailedAt: now,
+            status: exhausted ? 'failed' : 'pending',
+            nextAttemptAt: exhausted ? null : new Date(now.getTime() + getRetryDelay(attempts))
+        }
+    });
+
+    if (exhausted) {
+        logger.error(`Dead-letter entry ${entry._id} gave up after ${attempts} attempts: ${error.message}`);
+    }
+
+    return exhausted;
+};
+
+// Options: status ('pending' or 'failed'), limit, skip
+const listDeadLetters = async (options = {}) => {
+    const { status, limit = 50, skip = 0 } = options;
+    const filter = status ? { status } : {};
+
+    try {
+        const collection = getDeadLetterCollection();
+        const [total, entries] = await Promise.all([
+            collection.countDocuments(filter),
+            collection.find(filter).sort({ firstFailedAt: 1 }).skip(skip).limit(limit).toArray()
+        ]);
+
+        return {
+            total,
+            entries: entries.map(({ _id, documentId, ...entry }) => ({
+                id: _id.toString(),
+                documentId: documentId === null ? null : toElasticsearchId(documentId),
+                ...entry
+            }))
+        };
+    } catch (error) {
+        logger.error('Error listing dead-letter queue:', error);
+        throw error;
+    }
+};
+
+// Removes the given entries, or every entry when no ids are given
+const discardDeadLetters = async (ids) => {
+    try {
+        const { deletedCount } = await getDeadLetterCollection()
+            .deleteMany(ids ? { _id: { $in: ids.map(toMongoId) } } : {});
+
+        logger.warn(`Discarded ${deletedCount} dead-letter entries`);
+
+        return deletedCount;
+    } catch (error) {
+        logger.error('Error discarding dead-letter entries:', error);
+        throw error;
+    }
+};
+
+// Queue depth by status, for the sync status endpoint
+const getDeadLetterDepth = async () => {
+    const counts = await getDeadLetterCollection().aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).toArray();
+
+    const depth = { pending: 0, failed: 0 };
+    counts.forEach(({ _id, count }) => {
+        depth[_id] = count;
+    });
+
+    return { ...depth, total: depth.pending + depth.failed };
+};
+
+module.exports = {
+    addDeadLetter,
+    getDueDeadLetters,
+    getDeadLetters,
+    removeDeadLetter,
+    recordFailedAttempt,
+    listDeadLetters,
+    discardDeadLetters,
+    getDeadLetterDepth
+};
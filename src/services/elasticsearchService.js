@@ -1,4 +1,5 @@
 const { Client } = require('@elastic/elasticsearch');
+const { buildIndexDefinition } = require('../migrations');
 const logger = require('../utils/logger');
 
 let esClient = null;
@@ -32,78 +33,53 @@ const connectElasticsearch = async () => {
     }
 };
 
+// The read alias keeps the name searches have always used, writes go through a separate
+// alias so a reindex can move both atomically. Concrete indices are <name>_v<version>.
+const getIndexBaseName = () => process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+
+const getReadAlias = () => getIndexBaseName();
+
+const getWriteAlias = () => process.env.ELASTICSEARCH_WRITE_ALIAS || `${getIndexBaseName()}_write`;
+
+const getVersionedIndexName = (version) => `${getIndexBaseName()}_v${version}`;
+
+// Settings and mappings come from the ordered migrations in src/migrations
+const getIndexDefinition = () => buildIndexDefinition();
+
 const createIndexIfNotExists = async () => {
-    const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+    const readAlias = getReadAlias();
+    const writeAlias = getWriteAlias();
 
     try {
-        const exists = await esClient.indices.exists({ index: indexName });
+        const exists = await esClient.indices.exists({ index: readAlias });
 
         if (!exists) {
+            const indexName = getVersionedIndexName(1);
+
             await esClient.indices.create({
                 index: indexName,
                 body: {
-                    settings: {
-                        analysis: {
-                            analyzer: {
-                                autocomplete_analyzer: {
-                                    type: 'custom',
-                                    tokenizer: 'standard',
-                                    filter: ['lowercase', 'autocomplete_filter']
-                                }
-                            },
-                            filter: {
-                                autocomplete_filter: {
-                                    type: 'edge_ngram',
-                                    min_gram: 1,
-                                    max_gram: 20
-                                }
-                            }
-                        }
-                    },
-                    mappings: {
-                        properties: {
-                            CLUSTERID: {
-                                type: 'keyword',
-                                fields: {
-                                    autocomplete: {
-                                        type: 'text',
-                                        analyzer: 'autocomplete_analyzer'
-                                    }
-                                }
-                            },
-                            CIDR: { type: 'keyword' },
-                            CIDRIPV4: { type: 'keyword' },
-                            IPV4: { type: 'ip' },
-                            IP: { type: 'ip' },
-                            SITE: {
-                                type: 'keyword',
-                                fields: {
-                                    autocomplete: {
-                                        type: 'text',
-                                        analyzer: 'autocomplete_analyzer'
-                                    }
-                                }
-                            },
-                            DESCRIPTION: {
-                                type: 'text',
-                                fields: {
-                                    autocomplete: {
-                                        type: 'text',
-                                        analyzer: 'autocomplete_analyzer'
-                                    }
-                                }
-                            },
-                            TIMESTAMP: { type: 'date' },
-                            USERNAME: { type: 'keyword' },
-                            suggest: {
-                                type: 'completion'
-                            }
-                        }
+                    ...getIndexDefinition(),
+                    aliases: {
+                        [readAlias]: {},
+                        [writeAlias]: { is_write_index: true }
                     }
                 }
             });
 
-            logger.info(`Created Elasticsearch index: ${indexName}`);
+            logger.info(`Created Elasticsearch index: ${indexName} (aliases ${readAlias}, ${writeAlias})`);
+            return;
+        }
+
+        // Indices created before aliases were introduced are a concrete index under the read name.
+        // Point the write alias at it so writes keep landing there until the first reindex.
+        const writeAliasExists = await esClient.indices.existsAlias({ name: writeAlias });
+        if (!writeAliasExists) {
+            const targets = await getAliasTargets(readAlias);
+            const target = targets.length > 0 ? targets[0] : readAlias;
+
+            await esClient.indices.putAlias({ index: target, name: writeAlias, is_write_index: true });
+            logger.info(`Created write alias ${writeAlias} on ${target}`);
         }
     } catch (error) {
         logger.error('Error creating Elasticsearch index:', error);
@@ -111,6 +87,19 @@ const createIndexIfNotExists = async () => {
     }
 };
 
+// Concrete indices behind an alias, empty when the name is not an alias
+const getAliasTargets = async (alias) => {
+    try {
+        const response = await esClient.indices.getAlias({ name: alias });
+        return Object.keys(response.body || response);
+    } catch (error) {
+        if (error.meta?.statusCode === 404) {
+            return [];
+        }
+        throw error;
+    }
+};
+
 const getClient = () => {
     if (!esClient) {
         throw new Error('Elasticsearch not connected. Call connectElasticsearch() first.');
@@ -122,5 +111,11 @@ const getClient = () => {
 module.exports = {
     connectElasticsearch,  // This was missing or incorrectly exported
     getClient,
-    createIndexIfNotExists
+    createIndexIfNotExists,
+    getIndexDefinition,
+    getIndexBaseName,
+    getReadAlias,
+    getWriteAlias,
+    getVersionedIndexName,
+    getAliasTargets
 };
@@ -0,0 +1,219 @@
+const { getCollection } = require('./mongoService');
+const { parseCsv } = require('../utils/csv');
+const { SUBNET_FIELDS, validateSubnetRecord } = require('../utils/subnetValidation');
+const logger = require('../utils/logger');
+
+const IMPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const DEFAULT_KEY_FIELDS = ['CIDR', 'SITE'];
+const WRITE_BATCH_SIZE = 500;
+const DUPLICATE_KEY = 11000;
+
+const importError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// "subnet:CIDR,owner:USERNAME" -> { subnet: 'CIDR', owner: 'USERNAME' }
+const parseColumnMapping = (text) => {
+    if (!text) {
+        return {};
+    }
+
+    return String(text).split(',').reduce((mapping, pair) => {
+        const [column, field] = pair.split(':').map(part => part && part.trim());
+
+        if (!column || !field) {
+            throw importError(`Invalid column mapping "${pair}", expected column:FIELD`);
+        }
+        if (!SUBNET_FIELDS.includes(field)) {
+            throw importError(`Cannot map ${column} to unknown field ${field}`);
+        }
+
+        mapping[column] = field;
+        return mapping;
+    }, {});
+};
+
+const formatFromFileName = (fileName) => {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    return IMPORT_FORMATS.includes(extension) ? extension : null;
+};
+
+/**
+ * Splits an upload into raw rows. NDJSON lines that don't parse become rows carrying a
+ * parseError, so they show up in the report instead of failing the whole file.
+ */
+const parseImport = (content, format) => {
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw importError(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    if (format === 'json') {
+        let rows = content;
+        if (typeof content === 'string') {
+            try {
+                rows = JSON.parse(content);
+            } catch (error) {
+                throw importError(`Invalid JSON: ${error.message}`);
+            }
+        }
+        if (!Array.isArray(rows)) {
+            throw importError('A JSON import must be an array of records');
+        }
+        return rows;
+    }
+
+    if (format === 'ndjson') {
+        return String(content).split(/\r?\n/)
+            .filter(line => line.trim() !== '')
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return { parseError: `Invalid JSON line: ${error.message}` };
+                }
+            });
+    }
+
+    try {
+        return parseCsv(content);
+    } catch (error) {
+        throw importError(`Invalid CSV: ${error.message}`);
+    }
+};
+
+const applyMapping = (row, mapping) => {
+    return Object.entries(row).reduce((record, [column, value]) => {
+        record[mapping[column] || column] = value;
+        return record;
+    }, {});
+};
+
+const toKeyFilter = (record, keyFields) => {
+    return keyFields.reduce((filter, field) => {
+        filter[field] = record[field];
+        return filter;
+    }, {});
+};
+
+/**
+ * Validates every row and upserts the valid ones into MongoDB, matched on the natural key
+ * (CIDR + SITE by default). The change stream then indexes them like any other write.
+ * Returns a per-row report: accepted (new record), updated (existing record) or rejected.
+ */
+const importRecords = async (rows, options = {}) => {
+    const { mapping = {}, keyFields = DEFAULT_KEY_FIELDS, dryRun = false } = options;
+    const startedAt = Date.now();
+
+    const unknownKeys = keyFields.filter(field => !SUBNET_FIELDS.includes(field));
+    if (keyFields.length === 0 || unknownKeys.length > 0) {
+        throw importError(`Key fields must be subnet fields, got: ${keyFields.join(', ')}`);
+    }
+
+    const report = rows.map((row, i) => {
+        if (!row || typeof row !== 'object' || Array.isArray(row) || row.parseError) {
+            return {
+                row: i + 1,
+                status: 'rejected',
+                errors: [{ type: 'parse_error', message: row?.parseError || 'Row is not an object' }]
+            };
+        }
+
+        const { record, errors, warnings } = validateSubnetRecord(applyMapping(row, mapping));
+
+        // Rows without a TIMESTAMP are stamped, so the incremental sync watermark sees them
+        if (!record.TIMESTAMP) {
+            record.TIMESTAMP = new Date();
+        }
+
+        // An upsert copies its filter into the new record, so every key field needs a value
+        keyFields.filter(field => record[field] === undefined && !errors.some(error => error.field === field))
+            .forEach(field => errors.push({ type: 'missing_key', field, message: `Key field ${field} is empty` }));
+
+        return {
+            row: i + 1,
+            status: errors.length > 0 ? 'rejected' : 'valid',
+            key: toKeyFilter(record, keyFields),
+            record,
+            errors,
+            warnings
+        };
+    });
+
+    const valid = report.filter(entry => entry.status === 'valid');
+
+    try {
+        if (!dryRun) {
+            const collection = getCollection();
+
+            // Ordered, so a key repeated within the file updates the record its first row created
+            let i = 0;
+            while (i < valid.length) {
+                const batch = valid.slice(i, i + WRITE_BATCH_SIZE);
+                let result;
+                let written = batch.length;
+
+                try {
+                    result = await collection.bulkWrite(batch.map(entry => ({
+                        updateOne: { filter: entry.key, update: { $set: entry.record }, upsert: true }
+                    })), { ordered: true });
+                } catch (error) {
+                    // A row that would give its record the CIDR + SITE of another one (unique index).
+                    // The rows before it were written; the batch goes on after it.
+                    const writeError = error.writeErrors?.[0];
+                    if (!writeError || writeError.code !== DUPLICATE_KEY) {
+                        throw error;
+                    }
+                    result = error.result;
+                    written = writeError.index;
+                    Object.assign(batch[written], {
+                        status: 'rejected',
+                        errors: [{ type: 'duplicate_key', message: `Another record already has CIDR ${batch[written].record.CIDR} at site ${batch[written].record.SITE || '(none)'}` }]
+                    });
+                }
+
+                const upserted = result.upsertedIds || {};
+                batch.slice(0, written).forEach((entry, j) => {
+                    entry.status = upserted[j] ? 'accepted' : 'updated';
+                    if (upserted[j]) {
+                        entry.id = upserted[j].toString();
+                    }
+                });
+
+                i += Math.min(written + 1, batch.length);
+            }
+        }
+
+        const summary = {
+            rows: rows.length,
+            accepted: report.filter(entry => entry.status === 'accepted').length,
+            updated: report.filter(entry => entry.status === 'updated').length,
+            rejected: report.filter(entry => entry.status === 'rejected').length,
+            ...(dryRun && { valid: valid.length })
+        };
+
+        logger.info(`Import${dryRun ? ' (dry run)' : ''}: ${summary.rows} rows, ${summary.accepted} accepted, ` +
+            `${summary.updated} updated, ${summary.rejected} rejected`);
+
+        return {
+            dryRun,
+            keyFields,
+            summary,
+            rows: report.map(({ record, ...entry }) => entry),
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        logger.error('Import error:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    IMPORT_FORMATS,
+    DEFAULT_KEY_FIELDS,
+    parseColumnMapping,
+    formatFromFileName,
+    parseImport,
+    importRecords
+};
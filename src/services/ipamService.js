@@ -0,0 +1,207 @@
+const { getCollection } = require('./mongoService');
+const { getClient, getReadAlias } = require('./elasticsearchService');
+const { withLock } = require('./lockService');
+const { createSubnet } = require('./subnetService');
+const { parseCIDR, formatCIDR, formatIP, toRange, rangeToCIDRs, overlaps } = require('../utils/cidr');
+const logger = require('../utils/logger');
+
+const MAX_BLOCKS = 256;
+
+// Every indexed prefix inside the supernet. Prefixes as large as the supernet itself
+// (the supernet record, containers above it) don't take space away.
+const getAllocatedRanges = async (supernet) => {
+    const esClient = getClient();
+    const rangeFields = supernet.version === 6 ? ['CIDR.range', 'CIDRIPV6.range'] : ['CIDR.range'];
+    const allocated = [];
+
+    const documents = esClient.helpers.scrollDocuments({
+        index: getReadAlias(),
+        size: 1000,
+        _source: ['CIDR', 'CIDRIPV6'],
+        query: {
+            bool: {
+                should: rangeFields.map(field => ({
+                    range: {
+                        [field]: {
+                            gte: formatIP(supernet.start, supernet.version),
+                            lte: formatIP(supernet.end, supernet.version),
+                            relation: 'within'
+                        }
+                    }
+                })),
+                minimum_should_match: 1
+            }
+        }
+    });
+
+    for await (const doc of documents) {
+        [doc.CIDR, doc.CIDRIPV6].forEach(value => {
+            const range = parseCIDR(value);
+            if (range && range.version === supernet.version && range.prefix > supernet.prefix &&
+                range.start >= supernet.start && range.end <= supernet.end) {
+                allocated.push(range);
+            }
+        });
+    }
+
+    return allocated;
+};
+
+// Gaps between the (merged) allocations, as [start, end] pairs
+const computeFreeIntervals = (supernet, allocated) => {
+    const sorted = [...allocated].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    const free = [];
+    let cursor = supernet.start;
+
+    sorted.forEach(range => {
+        if (range.start > cursor) {
+            free.push([cursor, range.start - 1n]);
+        }
+        if (range.end + 1n > cursor) {
+            cursor = range.end + 1n;
+        }
+    });
+
+    if (cursor <= supernet.end) {
+        free.push([cursor, supernet.end]);
+    }
+
+    return free;
+};
+
+// Aligned blocks of the requested prefix length that fit in the free intervals, lowest first
+const carveBlocks = (intervals, prefix, version, limit) => {
+    const blocks = [];
+
+    for (const [start, end] of intervals) {
+        const size = toRange(0n, prefix, version).size;
+        let blockStart = ((start + size - 1n) / size) * size;
+
+        while (blockStart + size - 1n <= end && blocks.length < limit) {
+            blocks.push(toRange(blockStart, prefix, version));
+            blockStart += size;
+        }
+
+        if (blocks.length >= limit) {
+            break;
+        }
+    }
+
+    return blocks;
+};
+
+const validateRequest = (supernetCidr, prefix) => {
+    const supernet = parseCIDR(supernetCidr);
+
+    if (!supernet) {
+        const error = new Error(`Invalid supernet: ${supernetCidr}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (!Number.isInteger(prefix) || prefix <= supernet.prefix || prefix > supernet.bits) {
+        const error = new Error(`Prefix length must be between ${supernet.prefix + 1} and ${supernet.bits}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return supernet;
+};
+
+/**
+ * Unallocated space inside a supernet: the free ranges as CIDRs and up to `count`
+ * free blocks of the requested prefix length, lowest address first.
+ */
+const findFreeBlocks = async (supernetCidr, prefix, options = {}) => {
+    const { count = 1 } = options;
+    const supernet = validateRequest(supernetCidr, prefix);
+    const allocated = await getAllocatedRanges(supernet);
+    const intervals = computeFreeIntervals(supernet, allocated);
+    const freeAddresses = intervals.reduce((total, [start, end]) => total + (end - start + 1n), 0n);
+
+    return {
+        supernet: formatCIDR(supernet),
+        prefix,
+        allocatedPrefixes: allocated.length,
+        freeAddresses: freeAddresses.toString(),
+        utilisation: Number(((supernet.size - freeAddresses) * 10000n) / supernet.size) / 100,
+        freeRanges: intervals
+            .flatMap(([start, end]) => rangeToCIDRs(start, end, supernet.version))
+            .slice(0, MAX_BLOCKS)
+            .map(range => formatCIDR(range)),
+        blocks: carveBlocks(intervals, prefix, supernet.version, Math.min(count, MAX_BLOCKS)).map(range => formatCIDR(range))
+    };
+};
+
+/**
+ * Picks the first free block (or the requested CIDR) and writes it to MongoDB as a new
+ * subnet record. Reservations are serialised with a lock, and the new
+ * record is indexed before the lock is released, so the next reservation sees it.
+ * Returns what createSubnet does: { id, record, warnings, indexed }.
+ */
+const reserveBlock = async (supernetCidr, prefix, record = {}) => {
+    const supernet = validateRequest(supernetCidr, prefix);
+    // One lock per address family, overlapping supernets must not reserve side by side either
+    const lockName = `ipam:reserve:v${supernet.version}`;
+
+    return withLock(lockName, async () => {
+        const allocated = await getAllocatedRanges(supernet);
+        let block;
+
+        if (record.CIDR) {
+            block = parseCIDR(record.CIDR);
+            if (!block || !block.exact || block.prefix !== prefix ||
+                block.start < supernet.start || block.end > supernet.end) {
+                const error = new Error(`${record.CIDR} is not a /${prefix} network inside ${formatCIDR(supernet)}`);
+                error.statusCode = 400;
+                throw error;
+            }
+        } else {
+            [block] = carveBlocks(computeFreeIntervals(supernet, allocated), prefix, supernet.version, 1);
+        }
+
+        if (!block || allocated.some(range => overlaps(range, block))) {
+            const error = new Error(record.CIDR
+                ? `${record.CIDR} overlaps an existing allocation`
+                : `No free /${prefix} left in ${formatCIDR(supernet)}`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const cidr = formatCIDR(block);
+
+        // The index can lag behind Mongo for writes made outside this service
+        const collection = getCollection();
+        const existing = await collection.findOne({ $or: [{ CIDR: cidr }, { CIDRIPV6: cidr }] });
+        if (existing) {
+            const error = new Error(`${cidr} already exists in MongoDB (${existing._id})`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const doc = {
+            CLUSTERID: record.CLUSTERID,
+            CIDR: cidr,
+            ...(block.version === 4 ? { CIDRIPV4: cidr } : { CIDRIPV6: cidr }),
+            SITE: record.SITE,
+            DESCRIPTION: record.DESCRIPTION || `Reserved from ${formatCIDR(supernet)}`,
+            TIMESTAMP: new Date(),
+            USERNAME: record.USERNAME
+        };
+        Object.keys(doc).forEach(key => doc[key] === undefined && delete doc[key]);
+
+        // Validated, stored and indexed like any other new record: a concurrent write of the
+        // same CIDR and site is a 409, and a failed index write leaves the reservation in place
+        // with indexed: false for the change stream to catch up on
+        const result = await createSubnet(doc, { refresh: 'wait_for' });
+
+        logger.info(`Reserved ${cidr} in ${formatCIDR(supernet)} for ${record.SITE || 'unknown site'}`);
+
+        return result;
+    }, { ttlMs: 30000, waitMs: 5000, holder: 'ipam-reserve' });
+};
+
+module.exports = {
+    findFreeBlocks,
+    reserveBlock
+};
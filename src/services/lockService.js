@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { getDB } = require('./mongoService');
+const logger = require('../utils/logger');
+
+// Mongo-backed mutex shared by every instance of the service. A lock expires after
+// its TTL so a crashed holder can't block the others forever.
+const getLockCollection = () => {
+    return getDB().collection(process.env.LOCK_COLLECTION || 'sync_locks');
+};
+
+const DUPLICATE_KEY = 11000;
+
+const acquireLock = async (name, options = {}) => {
+    const { ttlMs = 60000, holder = null } = options;
+    const owner = crypto.randomUUID();
+    const now = new Date();
+    const lock = { owner, holder, acquiredAt: now, expiresAt: new Date(now.getTime() + ttlMs) };
+
+    try {
+        await getLockCollection().insertOne({ _id: name, ...lock });
+        return owner;
+    } catch (error) {
+        if (error.code !== DUPLICATE_KEY) {
+            logger.error(`Error acquiring lock "${name}":`, error);
+            throw error;
+        }
+    }
+
+    // Held already - take it over only if the previous holder let it expire
+    const result = await getLockCollection().findOneAndUpdate(
+        { _id: name, expiresAt: { $lt: now } },
+        { $set: lock }
+    );
+
+    if (result) {
+        logger.warn(`Took over expired lock "${name}"`);
+        return owner;
+    }
+
+    return null;
+};
+
+const extendLock = async (name, owner, ttlMs = 60000) => {
+    const result = await getLockCollection().updateOne(
+        { _id: name, owner },
+        { $set: { expiresAt: new Date(Date.now() + ttlMs) } }
+    );
+    return result.matchedCount === 1;
+};
+
+const releaseLock = async (name, owner) => {
+    await getLockCollection().deleteOne({ _id: name, owner });
+};
+
+const getLock = async (name) => {
+    const lock = await getLockCollection().findOne({ _id: name });
+    return lock && lock.expiresAt > new Date() ? lock : null;
+};
+
+// Runs fn while holding the lock. Waits up to waitMs for it, then fails with statusCode 409.
+// With renewMs the lock is extended by its TTL that often while fn runs, for work that can outlast it.
+const withLock = async (name, fn, options = {}) => {
+    const { waitMs = 0, ttlMs = 60000, renewMs = 0 } = options;
+    const deadline = Date.now() + waitMs;
+    let owner = await acquireLock(name, options);
+
+    while (!owner && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        owner = await acquireLock(name, options);
+    }
+
+    if (!owner) {
+        const error = new Error(`Lock "${name}" is held by another operation`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const renewal = renewMs > 0 && setInterval(() => {
+        extendLock(name, owner, ttlMs).catch(error => logger.error(`Error extending lock "${name}":`, error));
+    }, renewMs);
+
+    try {
+        return await fn(owner);
+    } finally {
+        clearInterval(renewal);
+        await releaseLock(name, owner).catch(error => logger.error(`Error releasing lock "${name}":`, error));
+    }
+};
+
+module.exports = {
+    acquireLock,
+    extendLock,
+    releaseLock,
+    getLock,
+    withLock
+};
@@ -0,0 +1,186 @@
+const { getClient, getIndexBaseName } = require('./elasticsearchService');
+const { reindex, withReindexLock, getCurrentIndex } = require('./reindexService');
+const { getSyncState, saveSyncState } = require('./syncStateService');
+const { loadMigrations, getLatestVersion, buildIndexDefinition } = require('../migrations');
+const logger = require('../utils/logger');
+
+const getMigrationStateKey = () => `mappingVersion:${getIndexBaseName()}`;
+
+// Flattens a mapping into { 'FIELD.subfield': type } so two mappings can be compared
+const flattenProperties = (properties, prefix = '', result = {}) => {
+    Object.entries(properties || {}).forEach(([name, definition]) => {
+        const fieldPath = prefix ? `${prefix}.${name}` : name;
+        result[fieldPath] = definition.type || 'object';
+        flattenProperties(definition.properties, fieldPath, result);
+        flattenProperties(definition.fields, fieldPath, result);
+    });
+    return result;
+};
+
+const getCurrentMapping = async (indexName) => {
+    const response = await getClient().indices.getMapping({ index: indexName });
+    const body = response.body || response;
+    return Object.values(body)[0]?.mappings || {};
+};
+
+/**
+ * Reports the mapping version of the live index, the migrations still pending and
+ * any drift between the live mapping and what the applied migrations describe.
+ */
+const getMigrationStatus = async () => {
+    const indexName = await getCurrentIndex();
+    const mapping = await getCurrentMapping(indexName);
+    // Indices created before migrations existed match migration 1
+    const appliedVersion = mapping._meta?.migrationVersion ?? 1;
+    const latestVersion = getLatestVersion();
+    const recorded = await getSyncState(getMigrationStateKey());
+
+    const expected = flattenProperties(buildIndexDefinition(appliedVersion).mappings.properties);
+    const actual = flattenProperties(mapping.properties);
+    const drift = [];
+
+    Object.entries(expected).forEach(([field, type]) => {
+        if (!actual[field]) {
+            drift.push({ field, expected: type, actual: null });
+        } else if (actual[field] !== type) {
+            drift.push({ field, expected: type, actual: actual[field] });
+        }
+    });
+
+    Object.entries(actual).forEach(([field, type]) => {
+        if (!expected[field]) {
+            drift.push({ field, expected: null, actual: type });
+        }
+    });
+
+    return {
+        index: indexName,
+        appliedVersion,
+        latestVersion,
+        recordedVersion: recorded?.version ?? null,
+        pending: loadMigrations()
+            .filter(migration => migration.version > appliedVersion)
+            .map(({ version, description, breaking }) => ({ version, description, breaking: !!breaking })),
+        drift
+    };
+};
+
+const applyInPlace = async (indexName, migration) => {
+    if (migration.settings) {
+        throw new Error(`Migration ${migration.file} changes index settings and must be marked breaking`);
+    }
+
+    const esClient = getClient();
+
+    await esClient.indices.putMapping({
+        index: indexName,
+        body: {
+            ...migration.mappings,
+            _meta: { migrationVersion: migration.version }
+        }
+    });
+
+    // New fields and sub-fields only cover documents indexed from now on, unless the
+    // existing ones are run through the index again
+    if (migration.backfill) {
+        const task = await esClient.updateByQuery({
+            index: indexName,
+            conflicts: 'proceed',
+            wait_for_completion: false,
+            ...(migration.backfill.script && {
+                body: { script: { source: migration.backfill.script, lang: 'painless' } }
+            })
+        });
+        return { version: migration.version, backfillTask: task.body?.task || task.task };
+    }
+
+    return { version: migration.version };
+};
+
+/**
+ * Applies pending migrations. Additive ones go straight onto the live index; if any
+ * pending migration is breaking, the full definition is built into a new index version
+ * through a zero-downtime reindex instead.
+ */
+const applyMigrations = async (options = {}) => {
+    const { dryRun = false, ...reindexOptions } = options;
+    const status = await getMigrationStatus();
+
+    if (status.pending.length === 0) {
+        return { ...status, method: 'none', applied: [] };
+    }
+
+    const method = status.pending.some(migration => migration.breaking) ? 'reindex' : 'in-place';
+
+    if (dryRun) {
+        return { ...status, method, applied: [] };
+    }
+
+    let applied;
+
+    if (method === 'reindex') {
+        logger.info(`Breaking mapping migration pending, reindexing to version ${status.latestVersion}`);
+        // Under the reindex job lock, so a reindex job can't run alongside
+        const result = await withReindexLock('mapping-migration', () => reindex({
+            ...reindexOptions,
+            definition: buildIndexDefinition()
+        }));
+        applied = [{ version: status.latestVersion, reindex: result }];
+    } else {
+        applied = [];
+        const pending = loadMigrations().filter(migration => migration.version > status.appliedVersion);
+
+        for (const migration of pending) {
+            logger.info(`Applying mapping migration ${migration.file} to ${status.index}`);
+            applied.push(await applyInPlace(status.index, migration));
+        }
+    }
+
+    await saveSyncState(getMigrationStateKey(), {
+        version: status.latestVersion,
+        method,
+        appliedAt: new Date()
+    });
+
+    return { ...(await getMigrationStatus()), method, applied };
+};
+
+/**
+ * Startup check. Documents are built for the latest mapping, so an index that is behind
+ * a breaking migration refuses them (e.g. suggest inputs with contexts on a completion
+ * field mapped without), and every synced document would end up in quarantine. Pending
+ * migrations are applied when MIGRATE_ON_START is true; otherwise a pending breaking
+ * migration stops startup, and additive ones are only reported.
+ */
+const ensureMigrationsApplied = async () => {
+    const status = await getMigrationStatus();
+
+    if (status.pending.length === 0) {
+        return status;
+    }
+
+    if (process.env.MIGRATE_ON_START === 'true') {
+        logger.info(`Applying ${status.pending.length} pending mapping migration(s) to ${status.index} on startup`);
+        return applyMigrations();
+    }
+
+    const breaking = status.pending.filter(migration => migration.breaking);
+    const versions = (migrations) => migrations.map(migration => migration.version).join(', ');
+
+    if (breaking.length > 0) {
+        throw new Error(`Index ${status.index} is at mapping version ${status.appliedVersion} and breaking ` +
+            `migration(s) ${versions(breaking)} are pending; documents would be rejected until they are applied. ` +
+            'Run "npm run migrate -- apply" or start with MIGRATE_ON_START=true');
+    }
+
+    logger.warn(`Index ${status.index} has pending additive mapping migration(s) ${versions(status.pending)}, ` +
+        'run "npm run migrate -- apply" to add them');
+
+    return status;
+};
+
+module.exports = {
+    getMigrationStatus,
+    applyMigrations,
+    ensureMigrationsApplied
+};
@@ -1,4 +1,4 @@
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
 const logger = require('../utils/logger');
 
 let db = null;
@@ -44,6 +44,14 @@ const getCollection = (collectionName) => {
     return database.collection(collection);
 };
 
+// Elasticsearch ids are strings, documents created through the driver use ObjectId keys
+const toMongoId = (id) => {
+    if (id instanceof ObjectId) {
+        return id;
+    }
+    return typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id) ? new ObjectId(id) : id;
+};
+
 const closeMongoDB = async () => {
     try {
         if (client) {
@@ -63,5 +71,6 @@ module.exports = {
     getDB,
     getClient,
     getCollection,
+    toMongoId,
     closeMongoDB
 };
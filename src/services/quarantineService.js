@@ -0,0 +1,118 @@
+const { getDB } = require('./mongoService');
+const { toElasticsearchId } = require('../utils/documentTransform');
+const logger = require('../utils/logger');
+
+// Documents that could not be indexed, keyed by the _id of the source document, with the
+// reasons and a copy of the document as it was when it was rejected
+const getQuarantineCollection = () => {
+    return getDB().collection(process.env.QUARANTINE_COLLECTION || 'subnet_quarantine');
+};
+
+/**
+ * Records rejected documents. entries: [{ doc, reasons: [{ field, rule, message }], source }],
+ * source being 'schema' (failed validation) or 'elasticsearch' (refused by the index).
+ */
+const quarantineDocuments = async (entries) => {
+    if (entries.length === 0) {
+        return;
+    }
+
+    try {
+        const now = new Date();
+
+        await getQuarantineCollection().bulkWrite(entries.map(({ doc, reasons, source }) => ({
+            updateOne: {
+                filter: { _id: doc._id },
+                update: {
+                    $set: { reasons, source, document: doc, lastSeenAt: now },
+                    $setOnInsert: { firstSeenAt: now },
+                    $inc: { attempts: 1 }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+
+        logger.warn(`Quarantined ${entries.length} documents: ` +
+            entries.slice(0, 5).map(({ doc, reasons }) => `${doc._id} (${reasons[0]?.message})`).join(', ') +
+            (entries.length > 5 ? ', ...' : ''));
+    } catch (error) {
+        logger.error('Error quarantining documents:', error);
+        throw error;
+    }
+};
+
+// Drops the entries of documents that have since been indexed (or deleted)
+const releaseFromQuarantine = async (ids) => {
+    if (ids.length === 0) {
+        return 0;
+    }
+
+    try {
+        const { deletedCount } = await getQuarantineCollection().deleteMany({ _id: { $in: ids } });
+
+        if (deletedCount > 0) {
+            logger.info(`Released ${deletedCount} documents from quarantine`);
+        }
+
+        return deletedCount;
+    } catch (error) {
+        logger.error('Error releasing documents from quarantine:', error);
+        throw error;
+    }
+};
+
+const countQuarantined = async () => getQuarantineCollection().countDocuments();
+
+// Options: limit, skip, source ('schema' or 'elasticsearch'), field (a field with a violation)
+const listQuarantine = async (options = {}) => {
+    const { limit = 50, skip = 0, source, field } = options;
+    const filter = {
+        ...(source && { source }),
+        ...(field && { 'reasons.field': field })
+    };
+
+    try {
+        const collection = getQuarantineCollection();
+        const [total, entries] = await Promise.all([
+            collection.countDocuments(filter),
+            collection.find(filter).sort({ lastSeenAt: -1, _id: 1 }).skip(skip).limit(limit).toArray()
+        ]);
+
+        return {
+            total,
+            entries: entries.map(({ _id, ...entry }) => ({ id: toElasticsearchId(_id), ...entry }))
+        };
+    } catch (error) {
+        logger.error('Error listing quarantine:', error);
+        throw error;
+    }
+};
+
+// Source ids of quarantined documents, all of them or the given ones
+const getQuarantinedIds = async (ids, limit) => {
+    const filter = ids ? { _id: { $in: ids } } : {};
+    const entries = await getQuarantineCollection()
+        .find(filter, { projection: { _id: 1 } })
+        .limit(limit)
+        .toArray();
+
+    return entries.map(entry => entry._id);
+};
+
+// Ids among `ids` quarantined again at or after `since`
+const getRequarantinedIds = async (ids, since) => {
+    const entries = await getQuarantineCollection()
+        .find({ _id: { $in: ids }, lastSeenAt: { $gte: since } }, { projection: { _id: 1 } })
+        .toArray();
+
+    return entries.map(entry => entry._id);
+};
+
+module.exports = {
+    quarantineDocuments,
+    releaseFromQuarantine,
+    countQuarantined,
+    listQuarantine,
+    getQuarantinedIds,
+    getRequarantinedIds
+};
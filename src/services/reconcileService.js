@@ -0,0 +1,219 @@
+const { getCollection, toMongoId } = require('./mongoService');
+const { getClient, getReadAlias, getWriteAlias } = require('./elasticsearchService');
+const { indexCursor, getBulkDefaults } = require('./bulkIndexer');
+const { getReadVersion } = require('./syncVersionService');
+const { getQuarantinedIds } = require('./quarantineService');
+const { toElasticsearchDocument, toElasticsearchId, hashDocument } = require('../utils/documentTransform');
+const logger = require('../utils/logger');
+
+const createReport = (sampleLimit) => {
+    const report = {
+        mongoDocuments: 0,
+        esDocuments: 0,
+        missing: { count: 0, ids: [] },
+        extra: { count: 0, ids: [] },
+        different: { count: 0, ids: [] },
+        quarantined: { count: 0, ids: [] }
+    };
+
+    report.record = (kind, id) => {
+        report[kind].count++;
+        if (report[kind].ids.length < sampleLimit) {
+            report[kind].ids.push(id);
+        }
+    };
+
+    return report;
+};
+
+// Pass 1: walk Mongo in batches and look every document up in Elasticsearch.
+// Returns the documents that are missing or whose content hash differs. Quarantined
+// documents are kept out of the index on purpose: they are reported on their own and
+// left to the quarantine retry, as indexing them again would only quarantine them again.
+const compareMongoBatch = async (esClient, indexName, docs, report) => {
+    const [response, quarantinedIds] = await Promise.all([
+        esClient.mget({
+            index: indexName,
+            body: { ids: docs.map(doc => toElasticsearchId(doc._id)) }
+        }),
+        getQuarantinedIds(docs.map(doc => doc._id), docs.length)
+    ]);
+    const esDocs = response.body?.docs || response.docs || [];
+    const quarantined = new Set(quarantinedIds.map(id => toElasticsearchId(id)));
+    const stale = [];
+
+    docs.forEach((doc, i) => {
+        const id = toElasticsearchId(doc._id);
+        const esDoc = esDocs[i];
+
+        if (quarantined.has(id)) {
+            report.record('quarantined', id);
+        } else if (!esDoc || !esDoc.found) {
+            report.record('missing', id);
+            stale.push(doc);
+        } else if (hashDocument(toElasticsearchDocument(doc)) !== hashDocument(esDoc._source)) {
+            report.record('different', id);
+            stale.push(doc);
+        }
+    });
+
+    return stale;
+};
+
+// Pass 2: scroll over the ids in Elasticsearch and find the ones Mongo no longer has
+const findOrphans = async (esClient, indexName, batchSize, report, onOrphans, signal) => {
+    const collection = getCollection();
+
+    let response = await esClient.search({
+        index: indexName,
+        scroll: '2m',
+        size: batchSize,
+        _source: false,
+        sort: ['_doc']
+    });
+
+    let body = response.body || response;
+
+    try {
+        while (body.hits.hits.length > 0) {
+            signal?.throwIfAborted();
+            const ids = body.hits.hits.map(hit => hit._id);
+            report.esDocuments += ids.length;
+
+            const existing = await collection
+                .find({ _id: { $in: ids.map(toMongoId) } }, { projection: { _id: 1 } })
+                .toArray();
+            const existingIds = new Set(existing.map(doc => toElasticsearchId(doc._id)));
+            const orphans = ids.filter(id => !existingIds.has(id));
+
+            orphans.forEach(id => report.record('extra', id));
+
+            if (orphans.length > 0) {
+                await onOrphans(orphans);
+            }
+
+            response = await esClient.scroll({ scroll_id: body._scroll_id, scroll: '2m' });
+            body = response.body || response;
+        }
+    } finally {
+        if (body._scroll_id) {
+            await esClient.clearScroll({ scroll_id: body._scroll_id }).catch(() => {});
+        }
+    }
+};
+
+const deleteOrphans = async (esClient, indexName, ids) => {
+    const response = await esClient.bulk({
+        body: ids.map(id => ({ delete: { _index: indexName, _id: id } }))
+    });
+    const items = response.body?.items || response.items || [];
+
+    return items.filter(item => item.delete.error && item.delete.status !== 404).length;
+};
+
+/**
+ * Compares MongoDB and Elasticsearch document by document.
+ * In dry-run mode only the differences are reported; with repair, missing and
+ * stale documents are re-indexed from Mongo and orphans are deleted from the index.
+ * Quarantined documents are listed apart and don't count against inSync.
+ * Documents written while the job runs can show up as differences.
+ * onProgress gets the running counts after each batch and onPhase the step the run is
+ * on; an aborted signal stops it between batches.
+ */
+const reconcile = async (options = {}) => {
+    const {
+        repair = false,
+        batchSize = getBulkDefaults().batchSize,
+        sampleLimit = 100,
+        signal,
+        onProgress,
+        onPhase = () => {}
+    } = options;
+
+    const esClient = getClient();
+    const indexName = getReadAlias();
+    const report = createReport(sampleLimit);
+    const startedAt = Date.now();
+    const repaired = { indexed: 0, deleted: 0, failed: 0 };
+
+    logger.info(`Starting reconciliation (${repair ? 'repair' : 'dry run'})`);
+
+    try {
+        // Repairs are versioned with the cluster time from before the scan, not from when
+        // indexCursor gets the batch, so they never overwrite a change event applied since
+        const readVersion = await getReadVersion();
+        const cursor = getCollection().find({}).sort({ _id: 1 }).batchSize(batchSize);
+        let batch = [];
+
+        const flush = async () => {
+            const stale = await compareMongoBatch(esClient, indexName, batch, report);
+            batch = [];
+
+            if (repair && stale.length > 0) {
+                const summary = await indexCursor(stale, { batchSize, refresh: false, version: readVersion, versionPath: 'reconcile' });
+                repaired.indexed += summary.indexed;
+                repaired.failed += summary.failed;
+            }
+
+            if (onProgress) {
+                onProgress({
+                    processed: report.mongoDocuments,
+                    indexed: repaired.indexed,
+                    failed: repaired.failed,
+                    elapsedMs: Date.now() - startedAt
+                });
+            }
+        };
+
+        onPhase('comparing');
+
+        for await (const doc of cursor) {
+            signal?.throwIfAborted();
+            report.mongoDocuments++;
+            batch.push(doc);
+
+            if (batch.length >= batchSize) {
+                await flush();
+            }
+        }
+
+        if (batch.length > 0) {
+            await flush();
+        }
+
+        onPhase('finding-orphans');
+
+        await findOrphans(esClient, indexName, batchSize, report, async (orphans) => {
+            if (repair) {
+                const failed = await deleteOrphans(esClient, getWriteAlias(), orphans);
+                repaired.deleted += orphans.length - failed;
+                repaired.failed += failed;
+            }
+        }, signal);
+
+        if (repair) {
+            await esClient.indices.refresh({ index: getWriteAlias() });
+        }
+    } catch (error) {
+        logger.error('Reconciliation error:', error);
+        throw error;
+    }
+
+    const { record, ...result } = report;
+    result.inSync = report.missing.count === 0 && report.extra.count === 0 && report.different.count === 0;
+    result.mode = repair ? 'repair' : 'dry-run';
+    result.durationMs = Date.now() - startedAt;
+
+    if (repair) {
+        result.repaired = repaired;
+    }
+
+    logger.info(`Reconciliation finished: ${report.missing.count} missing, ${report.extra.count} extra, ` +
+        `${report.different.count} different, ${report.quarantined.count} quarantined`);
+
+    return result;
+};
+
+module.exports = {
+    reconcile
+};
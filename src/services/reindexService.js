@@ -0,0 +1,251 @@
+const { getDB, getCollection } = require('./mongoService');
+const {
+    getClient,
+    getIndexDefinition,
+    getIndexBaseName,
+    getReadAlias,
+    getWriteAlias,
+    getVersionedIndexName,
+    getAliasTargets
+} = require('./elasticsearchService');
+const { indexCursor, getBulkDefaults } = require('./bulkIndexer');
+const { handleChangeEvent } = require('./syncService');
+const { reconcile } = require('./reconcileService');
+const { getSyncState, saveSyncState } = require('./syncStateService');
+const { withLock } = require('./lockService');
+const logger = require('../utils/logger');
+
+const getReindexStateKey = () => `reindex:${getIndexBaseName()}`;
+
+// The lock reindex jobs run under (syncJobService locks each job type as sync-job:<type>).
+// Reindexing or switching the aliases outside a job takes it too, so neither can
+// interleave with a running reindex.
+const withReindexLock = (holder, fn) => {
+    return withLock('sync-job:reindex', fn, {
+        ttlMs: parseInt(process.env.SYNC_JOB_LOCK_TTL_MS || '60000'),
+        renewMs: parseInt(process.env.SYNC_JOB_HEARTBEAT_MS || '5000'),
+        holder
+    });
+};
+
+const parseVersion = (indexName) => {
+    const match = indexName.match(/_v(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+};
+
+const listIndexVersions = async () => {
+    const esClient = getClient();
+    const response = await esClient.indices.get({
+        index: `${getIndexBaseName()}_v*`,
+        ignore_unavailable: true,
+        allow_no_indices: true
+    });
+    const indices = response.body || response;
+    const readTargets = await getAliasTargets(getReadAlias());
+    const writeTargets = await getAliasTargets(getWriteAlias());
+
+    return Object.keys(indices)
+        .map(name => ({
+            index: name,
+            version: parseVersion(name),
+            read: readTargets.includes(name),
+            write: writeTargets.includes(name),
+            mappingVersion: indices[name].mappings?._meta?.migrationVersion ?? null
+        }))
+        .filter(entry => entry.version !== null)
+        .sort((a, b) => a.version - b.version);
+};
+
+// Index currently serving reads. Before the first reindex this is a concrete legacy index
+// that carries the read alias name itself.
+const getCurrentIndex = async () => {
+    const targets = await getAliasTargets(getReadAlias());
+    return targets.length > 0 ? targets[0] : getReadAlias();
+};
+
+// Opens a change stream positioned at "now" before the build starts. It is only read once
+// the build is done, so the oplog window must cover the build duration.
+const openCatchUpStream = async () => {
+    const { operationTime } = await getDB().command({ ping: 1 });
+
+    return getCollection().watch([], {
+        fullDocument: 'updateLookup',
+        startAtOperationTime: operationTime,
+        maxAwaitTimeMS: 1000
+    });
+};
+
+// Applies pending events until the server returns an empty batch
+const drainCatchUpStream = async (stream, esClient, indexName) => {
+    let applied = 0;
+
+    for (;;) {
+        const change = await stream.tryNext();
+        if (!change) {
+            return applied;
+        }
+        await handleChangeEvent(change, esClient, indexName);
+        applied++;
+    }
+};
+
+const switchAliases = async (esClient, fromIndex, toIndex) => {
+    const readAlias = getReadAlias();
+    const writeAlias = getWriteAlias();
+    const actions = [];
+
+    if (fromIndex === readAlias) {
+        // A legacy concrete index has to go for the alias to take over its name
+        actions.push({ remove_index: { index: fromIndex } });
+    } else {
+        actions.push({ remove: { index: fromIndex, alias: readAlias } });
+    }
+
+    actions.push(
+        { remove: { index: fromIndex, alias: writeAlias } },
+        { add: { index: toIndex, alias: readAlias } },
+        { add: { index: toIndex, alias: writeAlias, is_write_index: true } }
+    );
+
+    await esClient.indices.updateAliases({ body: { actions } });
+};
+
+/**
+ * Builds the next versioned index from MongoDB while the current one keeps serving,
+ * replays writes made during the build, then moves the read and write aliases in one
+ * atomic call. The previous index is kept for rollback.
+ *
+ * Besides the indexCursor options, onPhase is told when the run moves on to the next
+ * step. An aborted signal stops the run up to the alias switch and drops the new index.
+ */
+const reindex = async (options = {}) => {
+    const { onPhase = () => {}, ...buildOptions } = options;
+    const esClient = getClient();
+    const startedAt = Date.now();
+    const fromIndex = await getCurrentIndex();
+    const versions = await listIndexVersions();
+    const nextVersion = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+    const toIndex = getVersionedIndexName(nextVersion);
+    const definition = options.definition || getIndexDefinition();
+
+    logger.info(`Reindexing ${fromIndex} into ${toIndex}`);
+
+    // Refreshes are pointless while nothing reads from the new index
+    await esClient.indices.create({
+        index: toIndex,
+        body: {
+            ...definition,
+            settings: { ...definition.settings, refresh_interval: '-1' }
+        }
+    });
+
+    const catchUp = await openCatchUpStream();
+    let switched = false;
+
+    try {
+        onPhase('building');
+        const cursor = getCollection().find({}).batchSize(buildOptions.batchSize || getBulkDefaults().batchSize);
+        const summary = await indexCursor(cursor, { ...buildOptions, index: toIndex, refresh: false });
+
+        if (summary.failed > 0) {
+            throw new Error(`Reindex into ${toIndex} had ${summary.failed} failed documents, aliases not switched`);
+        }
+
+        await esClient.indices.putSettings({ index: toIndex, body: { index: { refresh_interval: null } } });
+
+        onPhase('catching-up');
+        let caughtUp = await drainCatchUpStream(catchUp, esClient, toIndex);
+        await esClient.indices.refresh({ index: toIndex });
+
+        // Last point the run can be called off; past the switch it has to finish
+        buildOptions.signal?.throwIfAborted();
+
+        onPhase('switching-aliases');
+        await switchAliases(esClient, fromIndex, toIndex);
+        switched = true;
+
+        // Writes that reached the old index between the last drain and the switch
+        caughtUp += await drainCatchUpStream(catchUp, esClient, toIndex);
+
+        await saveSyncState(getReindexStateKey(), {
+            currentIndex: toIndex,
+            previousIndex: fromIndex === getReadAlias() ? null : fromIndex,
+            switchedAt: new Date()
+        });
+
+        logger.info(`Aliases switched to ${toIndex} (${summary.indexed} documents, ${caughtUp} catch-up events)`);
+
+        return {
+            previousIndex: fromIndex,
+            currentIndex: toIndex,
+            version: nextVersion,
+            documentsIndexed: summary.indexed,
+            catchUpEvents: caughtUp,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        if (!switched) {
+            logger.error(`Reindex into ${toIndex} failed, ${fromIndex} keeps serving:`, error);
+            await esClient.indices.delete({ index: toIndex }).catch(() => {});
+        } else {
+            logger.error(`Catch-up after switching to ${toIndex} failed, run a reconciliation:`, error);
+        }
+        throw error;
+    } finally {
+        await catchUp.close().catch(() => {});
+    }
+};
+
+/**
+ * Points the aliases back at the previous index version. Writes made since the
+ * switch only exist in the newer index, so the old one is repaired from MongoDB
+ * unless repair is false. Fails with statusCode 409 while a reindex is running.
+ */
+const rollbackReindex = async (options = {}) => {
+    const { repair = true } = options;
+
+    // Under the reindex job lock, so a running reindex can't switch the aliases at the same time
+    return withReindexLock('reindex-rollback', async () => {
+        const esClient = getClient();
+        const fromIndex = await getCurrentIndex();
+        const state = await getSyncState(getReindexStateKey());
+
+        let toIndex = state?.currentIndex === fromIndex ? state.previousIndex : null;
+
+        if (!toIndex) {
+            const currentVersion = parseVersion(fromIndex);
+            const older = (await listIndexVersions()).filter(entry => entry.version < currentVersion);
+            toIndex = older.length > 0 ? older[older.length - 1].index : null;
+        }
+
+        if (!toIndex) {
+            throw new Error(`No previous index version to roll back to from ${fromIndex}`);
+        }
+
+        await switchAliases(esClient, fromIndex, toIndex);
+
+        await saveSyncState(getReindexStateKey(), {
+            currentIndex: toIndex,
+            previousIndex: fromIndex,
+            switchedAt: new Date()
+        });
+
+        logger.warn(`Rolled back aliases from ${fromIndex} to ${toIndex}`);
+
+        const result = { previousIndex: fromIndex, currentIndex: toIndex };
+
+        if (repair) {
+            result.reconciliation = await reconcile({ repair: true });
+        }
+
+        return result;
+    });
+};
+
+module.exports = {
+    reindex,
+    withReindexLock,
+    rollbackReindex,
+    listIndexVersions,
+    getCurrentIndex
+};
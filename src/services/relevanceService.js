@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const { getClient, getReadAlias, getAliasTargets } = require('./elasticsearchService');
+const { parseQuery, compileQuery } = require('../utils/queryParser');
+const logger = require('../utils/logger');
+
+// Clause types a profile can switch on, in the order they are added to the query
+const CLAUSE_TYPES = ['exact', 'wildcard', 'match', 'autocomplete', 'prefix'];
+const FUZZINESS_VALUES = ['AUTO', '0', '1', '2'];
+
+// rank_eval metrics a profile comparison can be scored with
+const METRICS = {
+    ndcg: (k) => ({ dcg: { k, normalize: true } }),
+    precision: (k) => ({ precision: { k, relevant_rating_threshold: 1 } }),
+    recall: (k) => ({ recall: { k, relevant_rating_threshold: 1 } }),
+    mrr: (k) => ({ mean_reciprocal_rank: { k, relevant_rating_threshold: 1 } })
+};
+
+let profiles = null;
+let loadedAt = null;
+
+const getProfilesPath = () => {
+    return process.env.RELEVANCE_PROFILES_PATH || path.join(__dirname, '../config/relevanceProfiles.json');
+};
+
+const getDefaultProfileName = () => process.env.SEARCH_PROFILE || 'default';
+
+const invalidProfile = (name, message) => {
+    const error = new Error(`Relevance profile "${name}": ${message}`);
+    error.statusCode = 400;
+    return error;
+};
+
+const validateProfile = (name, profile) => {
+    const clauses = Object.entries(profile.clauses || {});
+
+    if (clauses.length === 0) {
+        throw invalidProfile(name, 'needs at least one clause');
+    }
+
+    clauses.forEach(([type, fields]) => {
+        if (!CLAUSE_TYPES.includes(type)) {
+            throw invalidProfile(name, `unknown clause type "${type}", expected one of ${CLAUSE_TYPES.join(', ')}`);
+        }
+        Object.entries(fields || {}).forEach(([field, boost]) => {
+            if (typeof boost !== 'number' || boost <= 0) {
+                throw invalidProfile(name, `boost for ${type}.${field} must be a positive number`);
+            }
+        });
+    });
+
+    if (profile.fuzziness !== undefined && !FUZZINESS_VALUES.includes(String(profile.fuzziness))) {
+        throw invalidProfile(name, `fuzziness must be one of ${FUZZINESS_VALUES.join(', ')}`);
+    }
+
+    return {
+        description: profile.description || '',
+        fuzzy: profile.fuzzy === true,
+        fuzziness: String(profile.fuzziness ?? 'AUTO'),
+        clauses: profile.clauses
+    };
+};
+
+// Reads and validates the profiles file. A broken file leaves the loaded profiles in place.
+const loadProfiles = () => {
+    const file = getProfilesPath();
+    let raw;
+
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        error.message = `Cannot read relevance profiles from ${file}: ${error.message}`;
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const loaded = Object.entries(raw).reduce((result, [name, profile]) => {
+        result[name] = validateProfile(name, profile);
+        return result;
+    }, {});
+
+    if (!loaded[getDefaultProfileName()]) {
+        throw invalidProfile(getDefaultProfileName(), `default profile is missing from ${file}`);
+    }
+
+    profiles = loaded;
+    loadedAt = new Date();
+    logger.info(`Loaded ${Object.keys(profiles).length} relevance profiles from ${file}`);
+
+    return profiles;
+};
+
+const getProfiles = () => profiles || loadProfiles();
+
+const getProfile = (name = getDefaultProfileName()) => {
+    const profile = getProfiles()[name];
+
+    if (!profile) {
+        const error = new Error(`Unknown relevance profile "${name}", available: ${Object.keys(getProfiles()).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return { name, ...profile };
+};
+
+const listProfiles = () => {
+    const loaded = getProfiles();
+
+    return {
+        source: getProfilesPath(),
+        defaultProfile: getDefaultProfileName(),
+        loadedAt,
+        profiles: loaded
+    };
+};
+
+const reloadProfiles = () => {
+    try {
+        loadProfiles();
+        return listProfiles();
+    } catch (error) {
+        logger.error('Error reloading relevance profiles:', error);
+        throw error;
+    }
+};
+
+const CLAUSE_BUILDERS = {
+    exact: (q, field, boost) => ({ term: { [field]: { value: q, boost } } }),
+    wildcard: (q, field, boost) => ({ wildcard: { [field]: { value: `*${q.toLowerCase()}*`, boost } } }),
+    match: (q, field, boost, fuzziness) => ({ match: { [field]: { query: q, fuzziness, boost } } }),
+    autocomplete: (q, field, boost) => ({ match: { [field]: { query: q, boost } } }),
+    prefix: (q, field, boost) => ({ prefix: { [field]: { value: q.toLowerCase(), boost } } })
+};
+
+/**
+ * Multi-field query for free text, built from a profile's clauses and boosts. `fuzzy` and
+ * `fuzziness` from the request override the profile's own settings.
+ */
+const buildProfileQuery = (q, profile, options = {}) => {
+    const fuzzy = options.fuzzy === undefined ? profile.fuzzy : String(options.fuzzy) === 'true';
+    const fuzziness = fuzzy ? (options.fuzziness || profile.fuzziness) : 0;
+
+    const should = CLAUSE_TYPES
+        .filter(type => profile.clauses[type])
+        .map(type => ({
+            bool: {
+                should: Object.entries(profile.clauses[type])
+                    .map(([field, boost]) => CLAUSE_BUILDERS[type](q, field, boost, fuzziness))
+            }
+        }));
+
+    return { bool: { should, minimum_should_match: 1 } };
+};
+
+// Search box input (query syntax included) with free text scored by the profile
+const buildSearchQuery = (q, profile, options = {}) => {
+    return compileQuery(parseQuery(q), (value, phrase) => {
+        if (!phrase) {
+            return buildProfileQuery(value, profile, options);
+        }
+
+        return {
+            bool: {
+                should: [
+                    { multi_match: { query: value, type: 'phrase', fields: ['VALUE', 'DESCRIPTION'] } },
+                    ...['CLUSTERID', 'SITE', 'USERNAME'].map(field => ({ term: { [field]: { value, case_insensitive: true } } }))
+                ],
+                minimum_should_match: 1
+            }
+        };
+    });
+};
+
+const normalizeRatings = (ratings, index) => {
+    const entries = Array.isArray(ratings)
+        ? ratings.map(rating => [rating.id, rating.rating])
+        : Object.entries(ratings || {});
+
+    return entries.map(([id, rating]) => ({ _index: index, _id: String(id), rating: Number(rating) }));
+};
+
+/**
+ * Replays judged sample queries against each profile with the rank evaluation API.
+ * queries: [{ id, query, ratings: { <document id>: <grade> } }], grades 0 (irrelevant) and up.
+ */
+const evaluateProfiles = async (options = {}) => {
+    const { queries = [], metric = 'ndcg', k = 10 } = options;
+    const names = options.profiles && options.profiles.length > 0 ? options.profiles : Object.keys(getProfiles());
+
+    if (!METRICS[metric]) {
+        const error = new Error(`Metric must be one of ${Object.keys(METRICS).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (queries.length === 0) {
+        const error = new Error('At least one judged query is required');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    try {
+        const esClient = getClient();
+        const readAlias = getReadAlias();
+        // Ratings have to name the concrete index the hits come from
+        const [index = readAlias] = await getAliasTargets(readAlias);
+        const results = [];
+
+        for (const name of names) {
+            const profile = getProfile(name);
+            const ids = queries.map((sample, i) => String(sample.id || `q${i + 1}`));
+            const requests = await Promise.all(queries.map(async (sample, i) => ({
+                id: ids[i],
+                request: { query: await buildSearchQuery(sample.query, profile) },
+                ratings: normalizeRatings(sample.ratings, index)
+            })));
+
+            const response = await esClient.rankEval({
+                index: readAlias,
+                body: { requests, metric: METRICS[metric](parseInt(k)) }
+            });
+            const body = response.body || response;
+
+            results.push({
+                profile: name,
+                score: body.metric_score,
+                queries: ids.map((id, i) => ({
+                    id,
+                    query: queries[i].query,
+                    score: body.details?.[id]?.metric_score ?? null,
+                    unratedDocs: body.details?.[id]?.unrated_docs?.length ?? 0
+                })),
+                failures: body.failures || {}
+            });
+        }
+
+        results.sort((a, b) => b.score - a.score);
+
+        return {
+            metric,
+            k: parseInt(k),
+            queries: queries.length,
+            best: results[0].profile,
+            profiles: results
+        };
+    } catch (error) {
+        logger.error('Relevance evaluation error:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    getProfile,
+    listProfiles,
+    reloadProfiles,
+    buildProfileQuery,
+    buildSearchQuery,
+    evaluateProfiles
+};
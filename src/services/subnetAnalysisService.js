@@ -0,0 +1,155 @@
+const { getCollection } = require('./mongoService');
+const { formatCIDR } = require('../utils/cidr');
+const { checkRecord } = require('../utils/subnetValidation');
+const logger = require('../utils/logger');
+
+const ANALYSIS_FIELDS = { CIDR: 1, CIDRIPV4: 1, CIDRIPV6: 1, IPV4: 1, IP: 1, IPV6: 1, SITE: 1, CLUSTERID: 1 };
+
+const describeRecord = (record) => ({
+    id: record.id,
+    CIDR: record.cidr,
+    SITE: record.site ?? null,
+    CLUSTERID: record.cluster ?? null
+});
+
+const matchesFilter = (record, filter) => {
+    return (!filter.site || record.site === filter.site) && (!filter.cluster || record.cluster === filter.cluster);
+};
+
+// Sweeps the prefixes in address order; every range still "open" when the next one starts overlaps it
+const findConflicts = (records, includeNested) => {
+    const sorted = [...records].sort((a, b) => {
+        if (a.range.version !== b.range.version) return a.range.version - b.range.version;
+        if (a.range.start !== b.range.start) return a.range.start < b.range.start ? -1 : 1;
+        return a.range.prefix - b.range.prefix;
+    });
+
+    const conflicts = [];
+    const duplicates = new Map();
+    let open = [];
+
+    sorted.forEach(record => {
+        open = open.filter(other => other.range.version === record.range.version && other.range.end >= record.range.start);
+
+        open.forEach(other => {
+            const sameSite = other.site === record.site;
+            const sameCluster = other.cluster === record.cluster;
+
+            if (other.range.start === record.range.start && other.range.prefix === record.range.prefix) {
+                const key = formatCIDR(record.range);
+                if (!duplicates.has(key)) {
+                    duplicates.set(key, { type: 'duplicate', prefix: key, records: [other] });
+                    conflicts.push(duplicates.get(key));
+                }
+                duplicates.get(key).records.push(record);
+                return;
+            }
+
+            // A smaller prefix carved out of a bigger one for the same site and cluster is normal nesting
+            if (sameSite && sameCluster && !includeNested) {
+                return;
+            }
+
+            conflicts.push({
+                type: 'overlap',
+                prefix: formatCIDR(other.range),
+                contains: formatCIDR(record.range),
+                records: [other, record]
+            });
+        });
+
+        open.push(record);
+    });
+
+    // Duplicate groups collect every record once, even if several "open" copies matched
+    conflicts.forEach(conflict => {
+        conflict.records = [...new Set(conflict.records)];
+        conflict.sameSite = new Set(conflict.records.map(r => r.site)).size === 1;
+        conflict.sameCluster = new Set(conflict.records.map(r => r.cluster)).size === 1;
+    });
+
+    return conflicts;
+};
+
+const groupBySiteAndCluster = (conflicts) => {
+    const groups = new Map();
+
+    conflicts.forEach(conflict => {
+        const seen = new Set();
+
+        conflict.records.forEach(record => {
+            const key = `${record.site}\u0000${record.cluster}`;
+            if (!groups.has(key)) {
+                groups.set(key, { SITE: record.site ?? null, CLUSTERID: record.cluster ?? null, duplicates: 0, overlaps: 0 });
+            }
+            if (!seen.has(key)) {
+                seen.add(key);
+                groups.get(key)[conflict.type === 'duplicate' ? 'duplicates' : 'overlaps']++;
+            }
+        });
+    });
+
+    return [...groups.values()].sort((a, b) => (b.duplicates + b.overlaps) - (a.duplicates + a.overlaps));
+};
+
+/**
+ * Reads every subnet record from MongoDB and reports duplicate and overlapping
+ * prefixes plus per-record problems (invalid CIDR, IP outside its CIDR, ...).
+ * A site/cluster filter keeps the conflicts involving at least one matching record.
+ */
+const analyzeSubnets = async (options = {}) => {
+    const { site, cluster, includeNested = false, limit = 1000 } = options;
+    const filter = { site, cluster };
+    const startedAt = Date.now();
+
+    try {
+        const cursor = getCollection().find({}, { projection: ANALYSIS_FIELDS });
+        const records = [];
+        const recordIssues = [];
+        let scanned = 0;
+
+        for await (const doc of cursor) {
+            scanned++;
+            const { ranges, issues } = checkRecord(doc);
+            const record = { id: doc._id.toString(), cidr: doc.CIDR || doc.CIDRIPV6, site: doc.SITE, cluster: doc.CLUSTERID };
+
+            if (issues.length > 0 && matchesFilter(record, filter)) {
+                recordIssues.push({ ...describeRecord(record), issues });
+            }
+
+            ranges.forEach(({ cidr, range }) => records.push({ ...record, cidr, range }));
+        }
+
+        const conflicts = findConflicts(records, includeNested)
+            .filter(conflict => conflict.records.some(record => matchesFilter(record, filter)));
+
+        const result = {
+            scanned,
+            summary: {
+                duplicates: conflicts.filter(conflict => conflict.type === 'duplicate').length,
+                overlaps: conflicts.filter(conflict => conflict.type === 'overlap').length,
+                recordIssues: recordIssues.length
+            },
+            groups: groupBySiteAndCluster(conflicts),
+            conflicts: conflicts.slice(0, limit).map(({ records: conflictRecords, ...conflict }) => ({
+                ...conflict,
+                records: conflictRecords.map(describeRecord)
+            })),
+            recordIssues: recordIssues.slice(0, limit),
+            truncated: conflicts.length > limit || recordIssues.length > limit,
+            durationMs: Date.now() - startedAt
+        };
+
+        logger.info(`Subnet analysis: ${result.summary.duplicates} duplicates, ${result.summary.overlaps} overlaps, ` +
+            `${result.summary.recordIssues} records with issues`);
+
+        return result;
+    } catch (error) {
+        logger.error('Subnet analysis error:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    analyzeSubnets
+};
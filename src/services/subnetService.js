@@ -0,0 +1,454 @@
+const { getCollection, toMongoId } = require('./mongoService');
+const { getClient, getWriteAlias } = require('./elasticsearchService');
+const { indexCursor } = require('./bulkIndexer');
+const { indexDocument, deleteDocument } = require('./syncService');
+const { getReadVersion, getDocumentVersion } = require('./syncVersionService');
+const { toElasticsearchId } = require('../utils/documentTransform');
+const { SUBNET_FIELDS, validateSubnetRecord } = require('../utils/subnetValidation');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Fields a bulk edit can set across many records; prefixes and addresses are per record
+const BULK_EDIT_FIELDS = ['SITE', 'USERNAME', 'CLUSTERID', 'DESCRIPTION', 'VALUE'];
+const BULK_EDIT_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 100;
+
+const writeError = (statusCode, message, details) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+const validateOrThrow = (input) => {
+    const { record, errors, warnings } = validateSubnetRecord(input);
+
+    if (errors.length > 0) {
+        throw writeError(400, errors.map(error => error.message).join('; '), errors);
+    }
+
+    // Writes without a TIMESTAMP are stamped, so the incremental sync watermark sees them
+    if (!record.TIMESTAMP) {
+        record.TIMESTAMP = new Date();
+    }
+
+    return { record, warnings };
+};
+
+const DUPLICATE_KEY = 11000;
+
+// Two records for the same prefix at the same site would be duplicates. The unique index
+// enforces it, so concurrent writes can't both get through a check made beforehand.
+const NATURAL_KEY_INDEX = { key: { CIDR: 1, SITE: 1 }, name: 'subnet_natural_key' };
+
+const ensureSubnetIndexes = async () => {
+    try {
+        await getCollection().createIndex(NATURAL_KEY_INDEX.key, { name: NATURAL_KEY_INDEX.name, unique: true });
+    } catch (error) {
+        if (error.code !== DUPLICATE_KEY) {
+            logger.error('Error creating the subnet natural key index:', error);
+            throw error;
+        }
+        // Existing duplicates have to be cleaned up by hand; writes work meanwhile, unguarded
+        logger.error(`Unique index on CIDR + SITE not created, the collection already has duplicates: ${error.message}`);
+    }
+};
+
+// Turns the unique index violation into the 409 the API reports
+const toWriteError = (error, record) => {
+    if (error.code === DUPLICATE_KEY) {
+        return writeError(409, `${record.CIDR} already exists for site ${record.SITE || '(none)'}`);
+    }
+    return error;
+};
+
+const findExisting = async (collection, id) => {
+    const existing = await collection.findOne({ _id: toMongoId(id) });
+
+    if (!existing) {
+        throw writeError(404, `Subnet record ${id} not found`);
+    }
+
+    return existing;
+};
+
+// Writes the validated subnet fields over the stored ones. Fields outside SUBNET_FIELDS are left alone.
+const saveRecord = async (collection, existing, record) => {
+    const unset = SUBNET_FIELDS.filter(field => existing[field] !== undefined && record[field] === undefined);
+
+    return collection.findOneAndUpdate(
+        { _id: existing._id },
+        {
+            $set: record,
+            ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(field => [field, ''])) })
+        },
+        { returnDocument: 'after' }
+    );
+};
+
+/**
+ * Mirrors a write into the index right away instead of waiting for the change stream, which
+ * indexes the same document again moments later. It goes through the same validate, index
+ * or quarantine step as sync. MongoDB stays the source of truth: if this fails the change
+ * stream still catches up, so the failure is reported rather than thrown.
+ * readVersion is the cluster time taken before the MongoDB write: if the change stream has
+ * already indexed a later write, the index keeps it and this one is dropped.
+ */
+const writeThrough = async (id, doc, refresh, readVersion) => {
+    const options = { refresh, path: 'write_through' };
+
+    try {
+        if (doc) {
+            return await indexDocument(doc, getClient(), getWriteAlias(), { ...options, version: getDocumentVersion(doc, readVersion) });
+        }
+
+        await deleteDocument(id, getClient(), getWriteAlias(), { ...options, version: readVersion });
+        return true;
+    } catch (error) {
+        logger.warn(`Write-through indexing of ${id} failed, the change stream will pick it up: ${error.message}`);
+        return false;
+    }
+};
+
+const toResult = (doc, warnings, indexed) => {
+    const { _id, ...record } = doc;
+    return { id: toElasticsearchId(_id), record, warnings, indexed };
+};
+
+// Options: refresh - false (default), true or 'wait_for', passed on to the index request
+const createSubnet = async (input, options = {}) => {
+    const { refresh = false } = options;
+    const { record, warnings } = validateOrThrow(input);
+
+    try {
+        const collection = getCollection();
+
+        const readVersion = await getReadVersion();
+        const { insertedId } = await collection.insertOne(record).catch(error => {
+            throw toWriteError(error, record);
+        });
+        const doc = { _id: insertedId, ...record };
+        const indexed = await writeThrough(insertedId, doc, refresh, readVersion);
+
+        logger.info(`Created subnet record ${insertedId} (${record.CIDR})`);
+
+        return toResult(doc, warnings, indexed);
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('Create subnet error:', error);
+        }
+        throw error;
+    }
+};
+
+// Replaces every subnet field of the record
+const replaceSubnet = async (id, input, options = {}) => {
+    const { refresh = false } = options;
+    const { record, warnings } = validateOrThrow(input);
+
+    try {
+        const collection = getCollection();
+        const existing = await findExisting(collection, id);
+
+        const readVersion = await getReadVersion();
+        const doc = await saveRecord(collection, existing, record).catch(error => {
+            throw toWriteError(error, record);
+        });
+        const indexed = await writeThrough(existing._id, doc, refresh, readVersion);
+
+        logger.info(`Replaced subnet record ${id} (${record.CIDR})`);
+
+        return toResult(doc, warnings, indexed);
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('Replace subnet error:', error);
+        }
+        throw error;
+    }
+};
+
+// Merges the given fields into the record; a field set to null is removed
+const updateSubnet = async (id, changes, options = {}) => {
+    const { refresh = false } = options;
+
+    try {
+        const collection = getCollection();
+        const existing = await findExisting(collection, id);
+
+        const merged = SUBNET_FIELDS.reduce((result, field) => {
+            if (existing[field] !== undefined) {
+                result[field] = existing[field];
+            }
+            return result;
+        }, {});
+        Object.entries(changes).forEach(([field, value]) => {
+            if (value === null) {
+                delete merged[field];
+            } else {
+                merged[field] = value;
+            }
+        });
+
+        // A patch that doesn't set TIMESTAMP is stamped with the time of the change,
+        // and CIDRIPV4 is derived again from a changed CIDR unless it is set as well
+        if (changes.TIMESTAMP === undefined) {
+            delete merged.TIMESTAMP;
+        }
+        if (changes.CIDR !== undefined && changes.CIDRIPV4 === undefined) {
+            delete merged.CIDRIPV4;
+        }
+
+        const { record, warnings } = validateOrThrow(merged);
+
+        const readVersion = await getReadVersion();
+        const doc = await saveRecord(collection, existing, record).catch(error => {
+            throw toWriteError(error, record);
+        });
+        const indexed = await writeThrough(existing._id, doc, refresh, readVersion);
+
+        logger.info(`Updated subnet record ${id} (${Object.keys(changes).join(', ')})`);
+
+        return toResult(doc, warnings, indexed);
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('Update subnet error:', error);
+        }
+        throw error;
+    }
+};
+
+const deleteSubnet = async (id, options = {}) => {
+    const { refresh = false } = options;
+
+    try {
+        const collection = getCollection();
+        const existing = await findExisting(collection, id);
+
+        const readVersion = await getReadVersion();
+        await collection.deleteOne({ _id: existing._id });
+        const indexed = await writeThrough(existing._id, null, refresh, readVersion);
+
+        logger.info(`Deleted subnet record ${id} (${existing.CIDR})`);
+
+        return { id: toElasticsearchId(existing._id), indexed };
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('Delete subnet error:', error);
+        }
+        throw error;
+    }
+};
+
+const getBulkEditLimit = () => parseInt(process.env.BULK_EDIT_MAX_RECORDS || '10000');
+
+const validateBulkPatch = (patch) => {
+    const fields = Object.keys(patch || {});
+
+    if (fields.length === 0) {
+        throw writeError(400, `patch needs at least one of: ${BULK_EDIT_FIELDS.join(', ')}`);
+    }
+
+    fields.forEach(field => {
+        if (!BULK_EDIT_FIELDS.includes(field)) {
+            throw writeError(400, `${field} cannot be bulk edited, allowed: ${BULK_EDIT_FIELDS.join(', ')}`);
+        }
+        if (typeof patch[field] !== 'string' || patch[field].trim() === '') {
+            throw writeError(400, `${field} must be a non-empty string`);
+        }
+    });
+
+    return Object.fromEntries(fields.map(field => [field, patch[field].trim()]));
+};
+
+// Advanced search parameters a bulk edit can be scoped with
+const BULK_EDIT_FILTER_PARAMS = ['q', 'sites', 'clusters', 'usernames', 'dateFrom', 'dateTo', 'family', 'profile'];
+
+const normalizeBulkEditFilter = (filter) => {
+    const params = Object.fromEntries(Object.entries(filter || {})
+        .filter(([key, value]) => BULK_EDIT_FILTER_PARAMS.includes(key) && value !== undefined && value !== ''));
+
+    // An empty filter would match every record
+    if (Object.keys(params).length === 0) {
+        throw writeError(400, `filter needs at least one of: ${BULK_EDIT_FILTER_PARAMS.join(', ')}`);
+    }
+
+    return params;
+};
+
+/**
+ * Ids of every record the filter matches, refused above the bulk edit limit.
+ * searchHits(params, isAborted) yields the hits of the advanced search for params and
+ * stops once isAborted() turns true.
+ */
+const collectMatchingIds = async (params, searchHits) => {
+    const limit = getBulkEditLimit();
+    const ids = [];
+
+    for await (const hit of searchHits(params, () => ids.length > limit)) {
+        ids.push(hit._id);
+    }
+
+    if (ids.length > limit) {
+        throw writeError(400, `Filter matches more than ${limit} records, narrow it down`);
+    }
+
+    return ids;
+};
+
+// Ties a confirmation to the exact filter, patch and matched records of its preview
+const bulkEditToken = (filter, patch, ids) => {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ filter, patch, ids: [...ids].sort() }))
+        .digest('hex');
+};
+
+// Records of the batch a SITE change would turn into duplicates of a CIDR already at the
+// new site; `claimed` carries the CIDRs moved there by earlier batches
+const findSiteConflicts = async (collection, docs, site, claimed) => {
+    const ids = docs.map(doc => doc._id);
+    const taken = await collection.find(
+        { SITE: site, CIDR: { $in: docs.map(doc => doc.CIDR) }, _id: { $nin: ids } },
+        { projection: { CIDR: 1 } }
+    ).toArray();
+    const takenCidrs = new Set(taken.map(doc => doc.CIDR));
+
+    return docs.filter(doc => {
+        if (doc.SITE === site) {
+            return false;
+        }
+        if (takenCidrs.has(doc.CIDR) || claimed.has(doc.CIDR)) {
+            return true;
+        }
+        claimed.add(doc.CIDR);
+        return false;
+    });
+};
+
+/**
+ * Sets the patched fields on the given records in batches, then reindexes the records
+ * that changed. A batch that fails in MongoDB is counted as failed and the rest go on.
+ * Returns how many records were updated, left unchanged, skipped as conflicts and failed.
+ */
+const applyBulkEdit = async (ids, patch) => {
+    const changes = validateBulkPatch(patch);
+    const startedAt = Date.now();
+    const summary = { matched: ids.length, updated: 0, unchanged: 0, conflicts: 0, failed: 0, indexed: 0, errors: [] };
+    const claimed = new Set();
+
+    try {
+        const collection = getCollection();
+        const changed = [];
+
+        for (let i = 0; i < ids.length; i += BULK_EDIT_BATCH_SIZE) {
+            const batchIds = ids.slice(i, i + BULK_EDIT_BATCH_SIZE).map(toMongoId);
+
+            try {
+                let docs = await collection.find({ _id: { $in: batchIds } }, { projection: { CIDR: 1, SITE: 1 } }).toArray();
+
+                // Deleted since the preview
+                const missing = batchIds.length - docs.length;
+                if (missing > 0) {
+                    summary.failed += missing;
+                    summary.errors.push({ batch: i / BULK_EDIT_BATCH_SIZE + 1, error: `${missing} records no longer exist` });
+                }
+
+                if (changes.SITE) {
+                    const conflicts = await findSiteConflicts(collection, docs, changes.SITE, claimed);
+                    if (conflicts.length > 0) {
+                        summary.conflicts += conflicts.length;
+                        summary.errors.push(...conflicts.map(doc => ({
+                            id: toElasticsearchId(doc._id),
+                            error: `${doc.CIDR} already exists at site ${changes.SITE}`
+                        })));
+                        const skipped = new Set(conflicts.map(doc => doc._id.toString()));
+                        docs = docs.filter(doc => !skipped.has(doc._id.toString()));
+                    }
+                }
+
+                // Only records that differ get written (and stamped), so a retried edit is a no-op
+                const filter = {
+                    _id: { $in: docs.map(doc => doc._id) },
+                    $or: Object.entries(changes).map(([field, value]) => ({ [field]: { $ne: value } }))
+                };
+                const toChange = await collection.find(filter, { projection: { _id: 1 } }).toArray();
+                const result = await collection.updateMany(
+                    { _id: { $in: toChange.map(doc => doc._id) } },
+                    { $set: { ...changes, TIMESTAMP: new Date() } }
+                );
+
+                summary.updated += result.modifiedCount;
+                summary.unchanged += docs.length - toChange.length;
+                changed.push(...toChange.map(doc => doc._id));
+            } catch (error) {
+                logger.error(`Bulk edit batch ${i / BULK_EDIT_BATCH_SIZE + 1} failed:`, error);
+                summary.failed += batchIds.length;
+                summary.errors.push({ batch: i / BULK_EDIT_BATCH_SIZE + 1, error: error.message });
+            }
+        }
+
+        // The change stream would get there too, this makes the edit searchable on return
+        if (changed.length > 0) {
+            const reindex = await indexCursor(collection.find({ _id: { $in: changed } }), { versionPath: 'write_through' });
+            summary.indexed = reindex.indexed;
+            summary.indexFailed = reindex.failed;
+            summary.errors.push(...reindex.errors);
+        }
+
+        summary.errors = summary.errors.slice(0, MAX_REPORTED_ERRORS);
+        summary.durationMs = Date.now() - startedAt;
+
+        logger.info(`Bulk edit of ${Object.keys(changes).join(', ')}: ${summary.updated} updated, ` +
+            `${summary.unchanged} unchanged, ${summary.conflicts} conflicts, ${summary.failed} failed`);
+
+        return summary;
+    } catch (error) {
+        logger.error('Bulk edit error:', error);
+        throw error;
+    }
+};
+
+// What a bulk edit of the records the filter matched would do, with the token confirming it
+const previewBulkEdit = (filter, patch, ids) => {
+    const changes = validateBulkPatch(patch);
+
+    return {
+        filter,
+        patch: changes,
+        matched: ids.length,
+        ids,
+        confirmToken: bulkEditToken(filter, changes, ids)
+    };
+};
+
+/**
+ * Applies a previewed bulk edit. `ids` are the records the filter matches now; when they,
+ * the filter or the patch differ from the preview the token was issued for, the edit is
+ * refused with statusCode 409.
+ */
+const confirmBulkEdit = async (filter, patch, ids, confirmToken) => {
+    const changes = validateBulkPatch(patch);
+
+    if (bulkEditToken(filter, changes, ids) !== confirmToken) {
+        const error = writeError(409, 'The filter, patch or matched records changed since the preview, preview again');
+        error.matched = ids.length;
+        throw error;
+    }
+
+    return { patch: changes, ...(await applyBulkEdit(ids, changes)) };
+};
+
+module.exports = {
+    BULK_EDIT_FIELDS,
+    validateBulkPatch,
+    normalizeBulkEditFilter,
+    collectMatchingIds,
+    previewBulkEdit,
+    confirmBulkEdit,
+    ensureSubnetIndexes,
+    createSubnet,
+    replaceSubnet,
+    updateSubnet,
+    deleteSubnet
+};
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const os = require('os');
+const { getDB, getCollection } = require('./mongoService');
+const { acquireLock, extendLock, releaseLock, getLock } = require('./lockService');
+const { bulkSyncToElasticsearch, incrementalSyncToElasticsearch } = require('./syncService');
+const { reindex } = require('./reindexService');
+const { reconcile } = require('./reconcileService');
+const logger = require('../utils/logger');
+
+// Sync operations run as background jobs. Every run is recorded with its progress and
+// outcome; the record is the job's history once it has finished.
+const getJobCollection = () => {
+    return getDB().collection(process.env.SYNC_JOBS_COLLECTION || 'sync_jobs');
+};
+
+const JOB_STATUSES = ['running', 'completed', 'failed', 'cancelled', 'interrupted'];
+
+const countSourceDocuments = () => getCollection().estimatedDocumentCount();
+
+// What each job type runs, and how many documents it is expected to go through (null when
+// that isn't known upfront). Runners get the job params plus signal, onProgress and onPhase.
+const JOB_TYPES = {
+    full: {
+        label: 'full sync',
+        countTotal: countSourceDocuments,
+        run: (options) => {
+            options.onPhase('indexing');
+            return bulkSyncToElasticsearch(options);
+        }
+    },
+    incremental: {
+        label: 'incremental sync',
+        countTotal: async () => null,
+        run: (options) => {
+            options.onPhase('indexing');
+            return incrementalSyncToElasticsearch(options);
+        }
+    },
+    reindex: {
+        label: 'reindex',
+        countTotal: countSourceDocuments,
+        run: (options) => reindex(options)
+    },
+    reconcile: {
+        label: 'reconciliation',
+        countTotal: countSourceDocuments,
+        run: (options) => reconcile(options)
+    }
+};
+
+const getJobSettings = () => ({
+    lockTtl: parseInt(process.env.SYNC_JOB_LOCK_TTL_MS || '60000'),
+    heartbeat: parseInt(process.env.SYNC_JOB_HEARTBEAT_MS || '5000')
+});
+
+// Jobs running in this process: id -> { controller, record, completion }
+const runningJobs = new Map();
+
+const getLockName = (type) => `sync-job:${type}`;
+
+const withRates = (progress, startedAt, finishedAt) => {
+    const elapsedMs = (finishedAt || new Date()) - startedAt;
+    const rate = elapsedMs > 0 ? progress.processed / (elapsedMs / 1000) : 0;
+    const remaining = progress.total !== null ? Math.max(progress.total - progress.processed, 0) : null;
+
+    return {
+        ...progress,
+        elapsedMs,
+        ratePerSecond: Math.round(rate * 10) / 10,
+        etaSeconds: finishedAt ? 0 : (remaining !== null && rate > 0 ? Math.round(remaining / rate) : null)
+    };
+};
+
+const toJob = ({ _id, ...record }) => ({
+    id: _id,
+    ...record,
+    progress: withRates(record.progress, record.startedAt, record.finishedAt)
+});
+
+const saveJob = async (record, fields) => {
+    Object.assign(record, fields);
+    await getJobCollection().updateOne({ _id: record._id }, { $set: { ...fields, updatedAt: new Date() } });
+};
+
+// Keeps the lock alive, writes the latest progress and picks up cancellations requested
+// through another instance
+const heartbeat = async (job) => {
+    const { record, controller, owner } = job;
+    const { lockTtl } = getJobSettings();
+
+    if (!(await extendLock(getLockName(record.type), owner, lockTtl))) {
+        controller.abort(new Error('Job lock was lost'));
+        return;
+    }
+
+    await saveJob(record, { progress: record.progress, phase: record.phase, heartbeatAt: new Date() });
+
+    const stored = await getJobCollection().findOne({ _id: record._id }, { projection: { cancelRequested: 1 } });
+    if (stored?.cancelRequested && !controller.signal.aborted) {
+        controller.abort(new Error('Cancelled'));
+    }
+};
+
+const finishJob = async (job, outcome) => {
+    const { record, controller } = job;
+    const finishedAt = new Date();
+    const cancelled = controller.signal.aborted;
+    // A run that got to the end with documents it could not index still failed
+    const failedDocuments = outcome.result?.failed ?? outcome.result?.repaired?.failed ?? 0;
+    let error = null;
+
+    if (outcome.error) {
+        error = cancelled ? controller.signal.reason?.message || 'Cancelled' : outcome.error.message;
+    } else if (failedDocuments > 0) {
+        error = `${failedDocuments} documents failed`;
+    }
+
+    await saveJob(record, {
+        status: outcome.error && cancelled ? 'cancelled' : error ? 'failed' : 'completed',
+        phase: 'done',
+        progress: record.progress,
+        finishedAt,
+        ...(outcome.result && { result: outcome.result }),
+        ...(error && { error })
+    });
+
+    const { status, progress } = toJob(record);
+    const level = { completed: 'info', cancelled: 'warn', failed: 'error' }[status];
+    logger[level](`Sync job ${record._id} (${record.type}) ${status} after ${Math.round(progress.elapsedMs / 1000)}s, ` +
+        `${progress.processed} documents processed${error ? `: ${error}` : ''}`);
+};
+
+const runJob = async (job, listener) => {
+    const { record, controller } = job;
+    const timer = setInterval(() => {
+        heartbeat(job).catch(error => logger.error(`Sync job ${record._id} heartbeat error:`, error));
+    }, getJobSettings().heartbeat);
+
+    try {
+        const result = await JOB_TYPES[record.type].run({
+            ...record.params,
+            signal: controller.signal,
+            onPhase: (phase) => {
+                record.phase = phase;
+                logger.info(`Sync job ${record._id} (${record.type}): ${phase}`);
+            },
+            onProgress: (progress) => {
+                record.progress = {
+                    ...record.progress,
+                    processed: progress.processed,
+                    indexed: progress.indexed,
+                    failed: progress.failed,
+                    quarantined: progress.quarantined ?? record.progress.quarantined
+                };
+                if (listener) {
+                    listener(progress);
+                }
+            }
+        });
+
+        if (result.processed !== undefined) {
+            record.progress.processed = result.processed;
+            record.progress.indexed = result.indexed;
+            record.progress.failed = result.failed;
+        }
+
+        await finishJob(job, { result });
+        return toJob(record);
+    } catch (error) {
+        await finishJob(job, { error });
+        return toJob(record);
+    } finally {
+        clearInterval(timer);
+        runningJobs.delete(record._id);
+        await releaseLock(getLockName(record.type), job.owner)
+            .catch(error => logger.error(`Error releasing lock for sync job ${record._id}:`, error));
+    }
+};
+
+/**
+ * Starts a sync job in the background and returns it once it is recorded and holds its lock.
+ * Only one job of a type runs at a time across all instances: starting a second one fails
+ * with statusCode 409. `completion` resolves with the finished job; `onProgress` receives
+ * the runner's progress reports as they come.
+ */
+const startJob = async (type, params = {}, options = {}) => {
+    const definition = JOB_TYPES[type];
+
+    if (!definition) {
+        const error = new Error(`Unknown sync job type: ${type}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const id = crypto.randomUUID();
+    const owner = await acquireLock(getLockName(type), { ttlMs: getJobSettings().lockTtl, holder: id });
+
+    if (!owner) {
+        const lock = await getLock(getLockName(type));
+        const error = new Error(`A ${definition.label} is already running`);
+        error.statusCode = 409;
+        error.jobId = lock?.holder || null;
+        throw error;
+    }
+
+    try {
+        const now = new Date();
+        const record = {
+            _id: id,
+            type,
+            params,
+            status: 'running',
+            phase: 'starting',
+            host: os.hostname(),
+            progress: { total: await definition.countTotal(), processed: 0, indexed: 0, failed: 0, quarantined: 0 },
+            createdAt: now,
+            startedAt: now,
+            heartbeatAt: now
+        };
+
+        await getJobCollection().insertOne(record);
+
+        const job = { record, owner, controller: new AbortController() };
+        runningJobs.set(id, job);
+        job.completion = runJob(job, options.onProgress).catch(error => {
+            // Only reached when the outcome could not be recorded
+            logger.error(`Error recording the outcome of sync job ${id}:`, error);
+            return toJob(record);
+        });
+
+        logger.info(`Sync job ${id} (${type}) started`);
+
+        return { job: toJob(record), completion: job.completion };
+    } catch (error) {
+        await releaseLock(getLockName(type), owner).catch(() => {});
+        logger.error(`Error starting ${definition.label} job:`, error);
+        throw error;
+    }
+};
+
+// Running jobs whose instance stopped sending heartbeats (crashed or killed) are marked
+// interrupted; their lock has expired by then, so another run can start
+const markInterruptedJobs = async () => {
+    const cutoff = new Date(Date.now() - getJobSettings().lockTtl);
+
+    await getJobCollection().updateMany(
+        { status: 'running', heartbeatAt: { $lt: cutoff } },
+        { $set: { status: 'interrupted', phase: 'done', error: 'The instance running the job stopped responding', updatedAt: new Date() } }
+    );
+};
+
+const getJob = async (id) => {
+    const running = runningJobs.get(id);
+    if (running) {
+        return toJob(running.record);
+    }
+
+    try {
+        await markInterruptedJobs();
+        const record = await getJobCollection().findOne({ _id: id });
+        return record ? toJob(record) : null;
+    } catch (error) {
+        logger.error('Error reading sync job:', error);
+        throw error;
+    }
+};
+
+// Options: type, status, limit, skip. Newest first.
+const listJobs = async (options = {}) => {
+    const { type, status, limit = 20, skip = 0 } = options;
+    const filter = {
+        ...(type && { type }),
+        ...(status && { status })
+    };
+
+    try {
+        await markInterruptedJobs();
+
+        const collection = getJobCollection();
+        const [total, records] = await Promise.all([
+            collection.countDocuments(filter),
+            collection.find(filter, { projection: { result: 0 } }).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray()
+        ]);
+
+        return {
+            total,
+            jobs: records.map(record => toJob(runningJobs.get(record._id)?.record || record))
+        };
+    } catch (error) {
+        logger.error('Error listing sync jobs:', error);
+        throw error;
+    }
+};
+
+/**
+ * Asks a running job to stop. A job in this process is aborted right away; one running on
+ * another instance stops at its next heartbeat. Returns null for an unknown job and throws
+ * with statusCode 409 for one that has already finished.
+ */
+const cancelJob = async (id) => {
+    const running = runningJobs.get(id);
+
+    if (running) {
+        running.controller.abort(new Error('Cancelled'));
+        logger.warn(`Sync job ${id} (${running.record.type}) cancellation requested`);
+        return toJob(running.record);
+    }
+
+    const job = await getJob(id);
+
+    if (!job) {
+        return null;
+    }
+
+    if (job.status !== 'running') {
+        const outcome = { completed: 'completed', failed: 'failed', cancelled: 'been cancelled', interrupted: 'stopped' };
+        const error = new Error(`Sync job ${id} has already ${outcome[job.status]}`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    await getJobCollection().updateOne({ _id: id }, { $set: { cancelRequested: true, updatedAt: new Date() } });
+    logger.warn(`Sync job ${id} (${job.type}) cancellation requested from another instance`);
+
+    return job;
+};
+
+// Cancels the jobs of this process and waits for them to record their outcome (shutdown)
+const cancelRunningJobs = async () => {
+    const jobs = [...runningJobs.values()];
+
+    jobs.forEach(job => job.controller.abort(new Error('Cancelled by shutdown')));
+    await Promise.all(jobs.map(job => job.completion));
+};
+
+module.exports = {
+    JOB_TYPES,
+    JOB_STATUSES,
+    startJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    cancelRunningJobs
+};
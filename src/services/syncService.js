@@ -1,8 +1,32 @@
-const { getClient, getCollection } = require('./mongoService');
-const { getClient: getESClient } = require('./elasticsearchService');
+const { getCollection } = require('./mongoService');
+const { getClient: getESClient, getWriteAlias } = require('./elasticsearchService');
+const { getSyncState, saveSyncState, clearSyncState } = require('./syncStateService');
+const { indexCursor, getBulkDefaults } = require('./bulkIndexer');
+const { quarantineDocuments, releaseFromQuarantine, getQuarantinedIds, getRequarantinedIds } = require('./quarantineService');
+const { addDeadLetter, getDueDeadLetters, getDeadLetters, removeDeadLetter, recordFailedAttempt } = require('./deadLetterService');
+const { getReadVersion, getEventVersion, getDocumentVersion, versionParams, isVersionConflict, recordVersionConflict } = require('./syncVersionService');
+const { toElasticsearchDocument, toElasticsearchId } = require('../utils/documentTransform');
+const { validateStoredRecord } = require('../utils/subnetValidation');
 const logger = require('../utils/logger');
 
+// Mongo error code raised when a resume token has already rolled off the oplog
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
 let changeStream = null;
+let stopped = false;
+let restartTimer = null;
+let deadLetterTimer = null;
+
+const getResumeTokenKey = () => {
+    return `changeStream:${process.env.MONGODB_COLLECTION || 'subnet_details'}`;
+};
+
+const getWatermarkKey = (field) => {
+    return `incremental:${process.env.MONGODB_COLLECTION || 'subnet_details'}:${field}`;
+};
+
+// Fields the incremental sync can use as a high-water mark
+const WATERMARK_FIELDS = ['TIMESTAMP', '_id'];
 
 const setupChangeStreams = async () => {
     try {
@@ -11,93 +35,521 @@ const setupChangeStreams = async () => {
 
         logger.info('Setting up MongoDB Change Streams...');
 
-        // For now, just log that change streams are ready
-        // We'll implement the actual change stream logic later
-        logger.info('Change streams ready - will implement actual streaming later');
+        stopped = false;
+        scheduleDeadLetterRetries();
+        await openChangeStream();
 
         return true;
     } catch (error) {
         logger.error('Error setting up change streams:', error);
-        // Don't throw the error, just log it for now
-        logger.warn('Continuing without change streams - they will be set up later');
+        // Don't throw the error, just log it - the app can still serve search traffic
+        logger.warn('Continuing without change streams - they will be retried in the background');
+        scheduleRestart();
         return false;
     }
 };
 
-const bulkSyncToElasticsearch = async () => {
-    try {
-        const collection = getCollection();
-        const esClient = getESClient();
+const openChangeStream = async () => {
+    const collection = getCollection();
+    const state = await getSyncState(getResumeTokenKey());
+    // Update events carry the whole document, so every event is a versioned index request
+    // (a scripted partial update can't be versioned)
+    const options = { fullDocument: 'updateLookup' };
+
+    // After an invalidate event the stream can only be restarted with startAfter
+    if (state?.resumeToken) {
+        if (state.invalidated) {
+            options.startAfter = state.resumeToken;
+        } else {
+            options.resumeAfter = state.resumeToken;
+        }
+        logger.info('Resuming change stream from stored resume token');
+    } else {
+        logger.info('No resume token stored, change stream starts from now');
+    }
+
+    changeStream = collection.watch([], options);
+    consumeChangeStream(changeStream).catch(error => {
+        logger.error('Change stream consumer failed:', error);
+    });
 
-        const documents = await collection.find({}).toArray();
-        logger.info(`Found ${documents.length} documents to sync`);
+    logger.info(`Change stream opened on ${collection.collectionName}`);
+};
 
-        if (documents.length > 0) {
-            const indexName = process.env.ELASTICSEARCH_INDEX || 'subnet_search';
+// Events are processed one at a time so writes reach Elasticsearch in oplog order
+const consumeChangeStream = async (stream) => {
+    const esClient = getESClient();
+    const indexName = getWriteAlias();
+
+    try {
+        for await (const change of stream) {
+            await handleChangeEvent(change, esClient, indexName);
 
-            const body = documents.flatMap(doc => [
-                { index: { _index: indexName, _id: doc._id } },
-                doc
-            ]);
+            await saveSyncState(getResumeTokenKey(), {
+                resumeToken: change._id,
+                invalidated: change.operationType === 'invalidate'
+            });
 
-            const response = await esClient.bulk({ refresh: true, body });
+            if (change.operationType === 'invalidate') {
+                break;
+            }
+        }
+    } catch (error) {
+        if (stopped) {
+            return;
+        }
 
-            if (response.errors) {
-                logger.error('Bulk sync had errors:', response.items);
-            } else {
-                logger.info(`Successfully synced ${documents.length} documents`);
+        if (error.code === CHANGE_STREAM_HISTORY_LOST) {
+            logger.error('Stored resume token is no longer in the oplog, a full bulk sync is required');
+            // Mongo is often what failed the stream; the restart below has to happen regardless
+            try {
+                await clearSyncState(getResumeTokenKey());
+            } catch (stateError) {
+                logger.error('Error clearing the stale resume token:', stateError);
             }
+        } else {
+            logger.error('Change stream error:', error);
+        }
+    } finally {
+        await stream.close().catch(() => {});
+    }
+
+    if (!stopped) {
+        scheduleRestart();
+    }
+};
+
+const scheduleRestart = () => {
+    if (stopped || restartTimer) {
+        return;
+    }
+
+    const delay = parseInt(process.env.CHANGE_STREAM_RETRY_MS || '5000');
+
+    restartTimer = setTimeout(async () => {
+        restartTimer = null;
+        try {
+            await openChangeStream();
+        } catch (error) {
+            logger.error('Failed to reopen change stream:', error);
+            scheduleRestart();
+        }
+    }, delay);
+};
+
+const closeChangeStreams = async () => {
+    stopped = true;
+
+    if (restartTimer) {
+        clearTimeout(restartTimer);
+        restartTimer = null;
+    }
+
+    if (deadLetterTimer) {
+        clearTimeout(deadLetterTimer);
+        deadLetterTimer = null;
+    }
+
+    if (changeStream) {
+        await changeStream.close();
+        changeStream = null;
+        logger.info('Change stream closed');
+    }
+};
+
+// Options: batchSize, concurrency, maxRetries, onProgress, signal (see bulkIndexer.indexCursor)
+const bulkSyncToElasticsearch = async (options = {}) => {
+    try {
+        const collection = getCollection();
+        const cursor = collection.find({}).batchSize(options.batchSize || getBulkDefaults().batchSize);
+
+        logger.info('Starting streaming bulk sync to Elasticsearch');
+
+        const summary = await indexCursor(cursor, options);
+
+        if (summary.failed > 0) {
+            logger.error(`Bulk sync finished with ${summary.failed} failed documents`);
+        } else {
+            logger.info(`Successfully synced ${summary.indexed} documents in ${summary.batches} batches`);
         }
 
-        return documents.length;
+        return summary;
     } catch (error) {
         logger.error('Bulk sync error:', error);
         throw error;
     }
 };
 
+// Builds the filter for documents past the stored watermark. TIMESTAMP values are not
+// unique, so ties are broken on _id to neither skip nor repeat documents.
+const buildWatermarkFilter = (field, watermark) => {
+    if (!watermark) {
+        return field === '_id' ? {} : { [field]: { $exists: true } };
+    }
+
+    if (field === '_id') {
+        return { _id: { $gt: watermark.lastId } };
+    }
+
+    return {
+        $or: [
+            { [field]: { $gt: watermark.value } },
+            { [field]: watermark.value, _id: { $gt: watermark.lastId } }
+        ]
+    };
+};
+
+// Only pushes documents whose TIMESTAMP (or ObjectId) is past the high-water mark of the
+// previous successful run. Options: field, reset, plus the bulkSyncToElasticsearch options.
+const incrementalSyncToElasticsearch = async (options = {}) => {
+    const { field = 'TIMESTAMP', reset = false, ...bulkOptions } = options;
+
+    if (!WATERMARK_FIELDS.includes(field)) {
+        throw new Error(`Invalid watermark field: ${field}`);
+    }
+
+    try {
+        const collection = getCollection();
+        const key = getWatermarkKey(field);
+
+        if (reset) {
+            await clearSyncState(key);
+            logger.info(`Incremental sync watermark for ${field} reset`);
+        }
+
+        const watermark = await getSyncState(key);
+        const sort = field === '_id' ? { _id: 1 } : { [field]: 1, _id: 1 };
+
+        if (field !== '_id') {
+            await collection.createIndex(sort);
+        }
+
+        logger.info(`Starting incremental sync on ${field} from ${watermark ? watermark.value : 'the beginning'}`);
+
+        let lastDoc = null;
+        const cursor = collection
+            .find(buildWatermarkFilter(field, watermark))
+            .sort(sort)
+            .batchSize(bulkOptions.batchSize || getBulkDefaults().batchSize)
+            .map(doc => {
+                lastDoc = doc;
+                return doc;
+            });
+
+        const summary = await indexCursor(cursor, bulkOptions);
+
+        // A failed document must be picked up again next time, so the watermark only moves on a clean run
+        if (lastDoc && summary.failed === 0) {
+            await saveSyncState(key, {
+                field,
+                value: field === '_id' ? lastDoc._id : lastDoc[field],
+                lastId: lastDoc._id
+            });
+        } else if (summary.failed > 0) {
+            logger.error(`Incremental sync had ${summary.failed} failed documents, watermark not advanced`);
+        }
+
+        const current = await getSyncState(key);
+
+        logger.info(`Incremental sync indexed ${summary.indexed} documents`);
+
+        return {
+            ...summary,
+            field,
+            previousWatermark: watermark ? watermark.value : null,
+            watermark: current ? current.value : null
+        };
+    } catch (error) {
+        logger.error('Incremental sync error:', error);
+        throw error;
+    }
+};
+
+const MAX_QUARANTINE_RETRY = 10000;
+
+/**
+ * Sends quarantined documents through the sync again, reading them fresh from MongoDB so
+ * fixes made there are picked up. Documents that still fail validation stay quarantined with
+ * the new reasons; documents deleted from MongoDB in the meantime are dropped from quarantine.
+ * Reports per document: `succeeded` were indexed, `failed` could not be sent to the index
+ * this time and stay quarantined as they were.
+ */
+const retryQuarantined = async (options = {}) => {
+    const { ids, limit = MAX_QUARANTINE_RETRY } = options;
+    const startedAt = new Date();
+
+    try {
+        const quarantined = await getQuarantinedIds(ids, limit);
+
+        if (quarantined.length === 0) {
+            return { retried: 0, succeeded: [], failed: [], stillQuarantined: [], removed: 0 };
+        }
+
+        const collection = getCollection();
+        const existing = await collection.find({ _id: { $in: quarantined } }, { projection: { _id: 1 } }).toArray();
+        const existingIds = new Set(existing.map(doc => doc._id.toString()));
+        const removed = await releaseFromQuarantine(quarantined.filter(id => !existingIds.has(id.toString())));
+
+        const summary = await indexCursor(collection.find({ _id: { $in: quarantined } }));
+        const [still, remaining] = await Promise.all([
+            getRequarantinedIds(quarantined, startedAt),
+            getQuarantinedIds(quarantined, quarantined.length)
+        ]);
+
+        // Indexed documents leave quarantine; ones left there without a new reason were not sent
+        const stillIds = new Set(still.map(id => id.toString()));
+        const remainingIds = new Set(remaining.map(id => id.toString()));
+        const errors = new Map(summary.errors.map(error => [error.id, error]));
+        const succeeded = [];
+        const failed = [];
+
+        quarantined.filter(id => existingIds.has(id.toString()) && !stillIds.has(id.toString())).forEach(id => {
+            const esId = toElasticsearchId(id);
+
+            if (!remainingIds.has(id.toString())) {
+                succeeded.push(esId);
+                return;
+            }
+
+            const error = errors.get(esId)?.error;
+            failed.push({ id: esId, error: error ? `${error.type}: ${error.reason}` : 'Not indexed' });
+        });
+
+        logger.info(`Quarantine retry: ${succeeded.length} indexed, ${failed.length} failed, ` +
+            `${still.length} still quarantined, ${removed} removed`);
+
+        return {
+            retried: quarantined.length,
+            succeeded,
+            failed,
+            stillQuarantined: still.map(id => toElasticsearchId(id)),
+            removed
+        };
+    } catch (error) {
+        logger.error('Quarantine retry error:', error);
+        throw error;
+    }
+};
+
+// Indexes one document at the given version, or quarantines it when it fails validation
+// or the index refuses it. A write the index already holds a newer version of is dropped.
+// Options: version (see syncVersionService), path (metrics label), refresh
+const indexDocument = async (doc, esClient, indexName, options = {}) => {
+    const { version = null, path = 'change_stream', refresh } = options;
+    const violations = validateStoredRecord(doc);
+
+    if (violations.length > 0) {
+        await quarantineDocuments([{ doc, reasons: violations, source: 'schema' }]);
+        return false;
+    }
+
+    try {
+        await esClient.index({
+            index: indexName,
+            id: toElasticsearchId(doc._id),
+            body: toElasticsearchDocument(doc),
+            ...(refresh !== undefined && { refresh }),
+            ...versionParams(version)
+        });
+    } catch (error) {
+        if (isVersionConflict(error)) {
+            recordVersionConflict(path);
+            return false;
+        }
+        if (error.meta?.statusCode !== 400) {
+            throw error;
+        }
+        const cause = error.meta.body?.error;
+        await quarantineDocuments([{
+            doc,
+            reasons: [{ field: null, rule: 'elasticsearch', message: cause ? `${cause.type}: ${cause.reason}` : error.message }],
+            source: 'elasticsearch'
+        }]);
+        return false;
+    }
+
+    await releaseFromQuarantine([doc._id]);
+    return true;
+};
+
+// Deletes at the given version; a document already gone counts as deleted
+const deleteDocument = async (documentId, esClient, indexName, options = {}) => {
+    const { version = null, path = 'change_stream', refresh } = options;
+
+    try {
+        await esClient.delete({
+            index: indexName,
+            id: toElasticsearchId(documentId),
+            ...(refresh !== undefined && { refresh }),
+            ...versionParams(version)
+        });
+    } catch (error) {
+        if (isVersionConflict(error)) {
+            recordVersionConflict(path);
+            return;
+        }
+        if (error.meta?.statusCode !== 404) {
+            throw error;
+        }
+    }
+    await releaseFromQuarantine([documentId]);
+};
+
+const clearIndex = async (esClient, indexName) => {
+    await esClient.deleteByQuery({
+        index: indexName,
+        body: { query: { match_all: {} } },
+        refresh: true,
+        conflicts: 'proceed'
+    });
+};
+
 const handleChangeEvent = async (change, esClient, indexName) => {
     try {
         switch (change.operationType) {
             case 'insert':
-                await esClient.index({
-                    index: indexName,
-                    id: change.documentKey._id,
-                    body: change.fullDocument
-                });
-                logger.info('Document inserted in Elasticsearch:', change.documentKey._id);
+            case 'replace':
+                if (await indexDocument(change.fullDocument, esClient, indexName, { version: getEventVersion(change) })) {
+                    logger.info('Document indexed in Elasticsearch:', change.documentKey._id);
+                }
                 break;
 
             case 'update':
-                await esClient.update({
-                    index: indexName,
-                    id: change.documentKey._id,
-                    body: {
-                        doc: change.fullDocument
-                    }
-                });
-                logger.info('Document updated in Elasticsearch:', change.documentKey._id);
+                if (!change.fullDocument) {
+                    // Deleted again before the lookup, the delete event will follow
+                    break;
+                }
+                if (await indexDocument(change.fullDocument, esClient, indexName, { version: getEventVersion(change) })) {
+                    logger.info('Document updated in Elasticsearch:', change.documentKey._id);
+                }
                 break;
 
             case 'delete':
-                await esClient.delete({
-                    index: indexName,
-                    id: change.documentKey._id
-                });
+                await deleteDocument(change.documentKey._id, esClient, indexName, { version: getEventVersion(change) });
                 logger.info('Document deleted from Elasticsearch:', change.documentKey._id);
                 break;
 
+            case 'drop':
+            case 'dropDatabase':
+                await clearIndex(esClient, indexName);
+                logger.warn(`Source collection dropped (${change.operationType}), cleared index ${indexName}`);
+                break;
+
+            case 'rename':
+                // The watched namespace no longer holds any documents
+                await clearIndex(esClient, indexName);
+                logger.warn(`Source collection renamed to ${change.to?.db}.${change.to?.coll}, cleared index ${indexName}`);
+                break;
+
+            case 'invalidate':
+                logger.warn('Change stream invalidated, it will be restarted after the invalidate event');
+                break;
+
             default:
                 logger.info('Unhandled change operation:', change.operationType);
         }
     } catch (error) {
+        // The stream moves on either way; the dead-letter queue keeps the event for a retry
         logger.error('Error handling change event:', error);
+        await addDeadLetter(change, error);
+    }
+};
+
+// Brings one document in the index in line with MongoDB, whatever events it missed.
+// The version is taken before the read, so an event applied since can't be overwritten.
+const resyncDocument = async (documentId, esClient, indexName) => {
+    const readVersion = await getReadVersion();
+    const doc = await getCollection().findOne({ _id: documentId });
+
+    if (doc) {
+        await indexDocument(doc, esClient, indexName, { version: getDocumentVersion(doc, readVersion), path: 'resync' });
+        return;
+    }
+
+    await deleteDocument(documentId, esClient, indexName, { version: readVersion, path: 'resync' });
+};
+
+// Document events are replayed from the current state in MongoDB, so a replay is safe
+// however late it runs; collection-level events clear the index again
+const replayDeadLetter = async (entry) => {
+    const esClient = getESClient();
+    const indexName = getWriteAlias();
+
+    if (entry.documentId !== null && entry.documentId !== undefined) {
+        await resyncDocument(entry.documentId, esClient, indexName);
+    } else if (['drop', 'dropDatabase', 'rename'].includes(entry.operationType)) {
+        await clearIndex(esClient, indexName);
+    }
+};
+
+const processDeadLetters = async (entries) => {
+    const result = { replayed: entries.length, succeeded: [], failed: [] };
+
+    for (const entry of entries) {
+        try {
+            await replayDeadLetter(entry);
+            await removeDeadLetter(entry._id);
+            result.succeeded.push(entry._id.toString());
+        } catch (error) {
+            const exhausted = await recordFailedAttempt(entry, error);
+            result.failed.push({ id: entry._id.toString(), error: error.message, exhausted });
+        }
+    }
+
+    return result;
+};
+
+const DEAD_LETTER_BATCH = 100;
+
+// Retries due dead-letter entries on a timer while the change stream runs
+const scheduleDeadLetterRetries = () => {
+    if (stopped || deadLetterTimer) {
+        return;
+    }
+
+    const interval = parseInt(process.env.DLQ_POLL_INTERVAL_MS || '10000');
+
+    deadLetterTimer = setTimeout(async () => {
+        try {
+            const due = await getDueDeadLetters(DEAD_LETTER_BATCH);
+            if (due.length > 0) {
+                const result = await processDeadLetters(due);
+                logger.info(`Dead-letter retry: ${result.succeeded.length} of ${result.replayed} events applied`);
+            }
+        } catch (error) {
+            logger.error('Dead-letter retry error:', error);
+        }
+        deadLetterTimer = null;
+        scheduleDeadLetterRetries();
+    }, interval);
+};
+
+// Replays the given entries (or all of them) right away, whatever their backoff or status
+const replayDeadLetters = async (options = {}) => {
+    const { ids, limit = 1000 } = options;
+
+    try {
+        const entries = await getDeadLetters(ids, limit);
+        const result = await processDeadLetters(entries);
+
+        logger.info(`Dead-letter replay: ${result.succeeded.length} of ${result.replayed} events applied`);
+
+        return result;
+    } catch (error) {
+        logger.error('Dead-letter replay error:', error);
+        throw error;
     }
 };
 
 // IMPORTANT: Make sure all functions are properly exported
 module.exports = {
     setupChangeStreams,
+    closeChangeStreams,
     bulkSyncToElasticsearch,
-    handleChangeEvent
+    incrementalSyncToElasticsearch,
+    retryQuarantined,
+    replayDeadLetters,
+    handleChangeEvent,
+    indexDocument,
+    deleteDocument
 };
@@ -0,0 +1,45 @@
+const { getDB } = require('./mongoService');
+const logger = require('../utils/logger');
+
+// Small key/value store in MongoDB for sync bookkeeping (resume tokens, watermarks, ...).
+// Keeping it in Mongo means every host running the service sees the same state.
+const getStateCollection = () => {
+    return getDB().collection(process.env.SYNC_STATE_COLLECTION || 'sync_state');
+};
+
+const getSyncState = async (key) => {
+    try {
+        return await getStateCollection().findOne({ _id: key });
+    } catch (error) {
+        logger.error(`Error reading sync state "${key}":`, error);
+        throw error;
+    }
+};
+
+const saveSyncState = async (key, fields) => {
+    try {
+        await getStateCollection().updateOne(
+            { _id: key },
+            { $set: { ...fields, updatedAt: new Date() } },
+            { upsert: true }
+        );
+    } catch (error) {
+        logger.error(`Error saving sync state "${key}":`, error);
+        throw error;
+    }
+};
+
+const clearSyncState = async (key) => {
+    try {
+        await getStateCollection().deleteOne({ _id: key });
+    } catch (error) {
+        logger.error(`Error clearing sync state "${key}":`, error);
+        throw error;
+    }
+};
+
+module.exports = {
+    getSyncState,
+    saveSyncState,
+    clearSyncState
+};
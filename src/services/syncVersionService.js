@@ -0,0 +1,91 @@
+const { getDB } = require('./mongoService');
+const { incrementCounter } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+/**
+ * Index writes carry an external version so a stale write can't overwrite a newer one.
+ *
+ * By default the version is MongoDB cluster time: the seconds in the high 32 bits and
+ * the oplog increment in the low ones, so it grows with every write and fits a long.
+ * A change event is versioned with its own cluster time. Any other write is versioned
+ * with the cluster time read *before* the document was read or written: the document is
+ * at least that new, and the change event of any later write carries a higher version.
+ * Writes use external_gte, so replaying the same version is harmless.
+ *
+ * With SYNC_VERSION_FIELD set, the numeric value of that document field is the version
+ * instead. Every writer then has to bump the field, as the two schemes don't compare.
+ */
+const getVersionField = () => process.env.SYNC_VERSION_FIELD || null;
+
+const clusterTimeToVersion = (timestamp) => {
+    if (!timestamp) {
+        return null;
+    }
+
+    const seconds = timestamp.t ?? timestamp.high;
+    const increment = timestamp.i ?? timestamp.low;
+
+    return ((BigInt(seconds >>> 0) << 32n) | BigInt(increment >>> 0)).toString();
+};
+
+let warnedNoClusterTime = false;
+
+// Cluster time right now, null on a standalone server (which can't run change streams either)
+const getReadVersion = async () => {
+    if (getVersionField()) {
+        return null;
+    }
+
+    const response = await getDB().command({ ping: 1 });
+    const version = clusterTimeToVersion(response.operationTime || response.$clusterTime?.clusterTime);
+
+    if (!version && !warnedNoClusterTime) {
+        warnedNoClusterTime = true;
+        logger.warn('MongoDB reports no cluster time, index writes go out without a version check');
+    }
+
+    return version;
+};
+
+const getEventVersion = (change) => {
+    const field = getVersionField();
+    return field ? getDocumentVersion(change.fullDocument, null) : clusterTimeToVersion(change.clusterTime);
+};
+
+// The document's own version in field mode, otherwise the cluster time it was read at
+const getDocumentVersion = (doc, readVersion) => {
+    const field = getVersionField();
+
+    if (!field) {
+        return readVersion;
+    }
+
+    const value = doc?.[field];
+    return Number.isSafeInteger(value) && value >= 0 ? String(value) : null;
+};
+
+// Request parameters for a versioned index or delete
+const versionParams = (version) => {
+    return version === null || version === undefined ? {} : { version, version_type: 'external_gte' };
+};
+
+const isVersionConflict = (error) => {
+    return error.meta?.statusCode === 409 &&
+        error.meta.body?.error?.type === 'version_conflict_engine_exception';
+};
+
+// A stale write was turned away; that is the check doing its job, not an error
+const recordVersionConflict = (path, count = 1) => {
+    incrementCounter('sync_version_conflicts', { path }, count);
+    logger.debug(`Skipped ${count} stale ${path} write(s), the index already holds a newer version`);
+};
+
+module.exports = {
+    clusterTimeToVersion,
+    getReadVersion,
+    getEventVersion,
+    getDocumentVersion,
+    versionParams,
+    isVersionConflict,
+    recordVersionConflict
+};
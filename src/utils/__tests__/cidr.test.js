@@ -0,0 +1,170 @@
+const {
+    parseIP,
+    formatIP,
+    parseCIDR,
+    formatCIDR,
+    normalizeIP,
+    normalizeCIDR,
+    isPartialIP,
+    containsIP,
+    containsRange,
+    overlaps,
+    toRange,
+    rangeToCIDRs
+} = require('../cidr');
+
+const cidrs = (start, end, version = 4) => {
+    const parse = (address) => parseIP(address).value;
+    return rangeToCIDRs(parse(start), parse(end), version).map(range => formatCIDR(range));
+};
+
+describe('parseIP', () => {
+    test('parses IPv4 addresses', () => {
+        expect(parseIP('10.0.0.1')).toEqual({ version: 4, bits: 32, value: 0x0a000001n });
+        expect(parseIP(' 255.255.255.255 ').value).toBe(0xffffffffn);
+    });
+
+    test.each(['10.0.0', '10.0.0.256', '10.0.0.1.2', '10.0.0.a', '', null, undefined])(
+        'rejects %p', (address) => {
+            expect(parseIP(address)).toBeNull();
+        }
+    );
+
+    test('parses compressed, expanded and IPv4-suffixed IPv6 addresses', () => {
+        const expected = parseIP('2001:0db8:0000:0000:0000:0000:0000:0001').value;
+
+        expect(parseIP('2001:db8::1')).toEqual({ version: 6, bits: 128, value: expected });
+        expect(parseIP('::ffff:10.0.0.1').value).toBe(0xffff0a000001n);
+        expect(parseIP('::').value).toBe(0n);
+    });
+
+    test.each(['1::2::3', '1:2:3:4:5:6:7:8:9', '1:2:3:4:5:6:7', '12345::', 'fe80::1%eth0', '::ffff:10.0.0.300'])(
+        'rejects %p', (address) => {
+            expect(parseIP(address)).toBeNull();
+        }
+    );
+});
+
+describe('formatIP', () => {
+    test('formats IPv4 as dotted quad', () => {
+        expect(formatIP(0x0a140001n)).toBe('10.20.0.1');
+    });
+
+    test('compresses the longest zero run of IPv6 (RFC 5952)', () => {
+        expect(formatIP(parseIP('2001:db8:0:0:1:0:0:1').value, 6)).toBe('2001:db8::1:0:0:1');
+        expect(formatIP(parseIP('2001:db8:0:1:1:1:1:1').value, 6)).toBe('2001:db8:0:1:1:1:1:1');
+        expect(formatIP(0n, 6)).toBe('::');
+    });
+
+    test('expands IPv6 on request', () => {
+        expect(formatIP(1n, 6, { expanded: true })).toBe('0000:0000:0000:0000:0000:0000:0000:0001');
+    });
+});
+
+describe('parseCIDR', () => {
+    test('clears host bits and reports whether the input was the network address', () => {
+        const range = parseCIDR('10.0.0.5/24');
+
+        expect(formatCIDR(range)).toBe('10.0.0.0/24');
+        expect(range.exact).toBe(false);
+        expect(range.size).toBe(256n);
+        expect(formatIP(range.end)).toBe('10.0.0.255');
+        expect(parseCIDR('10.0.0.0/24').exact).toBe(true);
+    });
+
+    test('handles the edges of the prefix length', () => {
+        expect(parseCIDR('0.0.0.0/0').size).toBe(1n << 32n);
+        expect(parseCIDR('10.0.0.1/32').size).toBe(1n);
+        expect(parseCIDR('::/0').size).toBe(1n << 128n);
+    });
+
+    test.each(['10.0.0.0', '10.0.0.0/33', '2001:db8::/129', '10.0.0.0/x', 'bad/8', 42])(
+        'rejects %p', (cidr) => {
+            expect(parseCIDR(cidr)).toBeNull();
+        }
+    );
+});
+
+describe('normalizeIP and normalizeCIDR', () => {
+    test('return both display forms', () => {
+        expect(normalizeIP('2001:DB8::0001')).toEqual({
+            version: 6,
+            compressed: '2001:db8::1',
+            expanded: '2001:0db8:0000:0000:0000:0000:0000:0001'
+        });
+        expect(normalizeCIDR('2001:db8::1/32')).toEqual({
+            version: 6,
+            compressed: '2001:db8::/32',
+            expanded: '2001:0db8:0000:0000:0000:0000:0000:0000/32'
+        });
+        expect(normalizeCIDR('nope')).toBeNull();
+    });
+});
+
+describe('range comparisons', () => {
+    const outer = parseCIDR('10.0.0.0/16');
+    const inner = parseCIDR('10.0.4.0/24');
+    const other = parseCIDR('10.1.0.0/16');
+
+    test('containsIP', () => {
+        expect(containsIP(outer, parseIP('10.0.255.255'))).toBe(true);
+        expect(containsIP(outer, parseIP('10.1.0.0'))).toBe(false);
+        expect(containsIP(parseCIDR('::/0'), parseIP('10.0.0.1'))).toBe(false);
+    });
+
+    test('containsRange and overlaps', () => {
+        expect(containsRange(outer, inner)).toBe(true);
+        expect(containsRange(inner, outer)).toBe(false);
+        expect(overlaps(inner, outer)).toBe(true);
+        expect(overlaps(outer, other)).toBe(false);
+    });
+
+    test('toRange builds the block of a prefix', () => {
+        expect(formatCIDR(toRange(parseIP('192.168.0.0').value, 23, 4))).toBe('192.168.0.0/23');
+        expect(toRange(0n, 23, 4).size).toBe(512n);
+    });
+});
+
+describe('rangeToCIDRs', () => {
+    test('returns one block for an aligned range', () => {
+        expect(cidrs('10.0.0.0', '10.0.0.255')).toEqual(['10.0.0.0/24']);
+        expect(cidrs('0.0.0.0', '255.255.255.255')).toEqual(['0.0.0.0/0']);
+        expect(cidrs('10.0.0.7', '10.0.0.7')).toEqual(['10.0.0.7/32']);
+    });
+
+    test('covers an unaligned range exactly with the fewest blocks', () => {
+        expect(cidrs('10.0.0.1', '10.0.0.10')).toEqual([
+            '10.0.0.1/32',
+            '10.0.0.2/31',
+            '10.0.0.4/30',
+            '10.0.0.8/31',
+            '10.0.0.10/32'
+        ]);
+        expect(cidrs('10.0.0.0', '10.0.2.255')).toEqual(['10.0.0.0/23', '10.0.2.0/24']);
+    });
+
+    test('works on IPv6 ranges', () => {
+        expect(cidrs('2001:db8::', '2001:db8::ffff:ffff', 6)).toEqual(['2001:db8::/96']);
+        expect(cidrs('2001:db8::1', '2001:db8::3', 6)).toEqual(['2001:db8::1/128', '2001:db8::2/127']);
+    });
+
+    test('returns nothing for an empty range', () => {
+        expect(rangeToCIDRs(10n, 9n, 4)).toEqual([]);
+    });
+});
+
+describe('isPartialIP', () => {
+    test.each(['10.20.', '10.20.3', '10.20.0.0/1', '192.168.1.1', '2001:db8', '2001:db8:', 'fe80::', '::1', '2001:db8::/32'])(
+        'takes %p for the start of an address', (text) => {
+            expect(isPartialIP(text)).toBe(true);
+        }
+    );
+
+    test.each([
+        '1.5', '10.20', '10.300.', 'beef:', 'beef', 'cafe', '12:30', 'ab:cd', 'cafe:babe', 'a:::b', '1::2::3', 'site-a', ''
+    ])(
+        'reads %p as text', (text) => {
+            expect(isPartialIP(text)).toBe(false);
+        }
+    );
+});
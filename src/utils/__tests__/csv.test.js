@@ -0,0 +1,77 @@
+const { formatCsvValue, formatCsvRow, parseCsv } = require('../csv');
+
+describe('formatCsvValue', () => {
+    test('leaves plain values as they are', () => {
+        expect(formatCsvValue('site-1')).toBe('site-1');
+        expect(formatCsvValue(42)).toBe('42');
+        expect(formatCsvValue(false)).toBe('false');
+    });
+
+    test('writes missing values as empty cells', () => {
+        expect(formatCsvValue(undefined)).toBe('');
+        expect(formatCsvValue(null)).toBe('');
+    });
+
+    test('quotes cells holding commas, quotes or line breaks', () => {
+        expect(formatCsvValue('a,b')).toBe('"a,b"');
+        expect(formatCsvValue('say "hi"')).toBe('"say ""hi"""');
+        expect(formatCsvValue('two\nlines')).toBe('"two\nlines"');
+        expect(formatCsvValue('cr\rlf')).toBe('"cr\rlf"');
+    });
+
+    test('joins arrays with semicolons and writes objects as JSON', () => {
+        expect(formatCsvValue(['10.0.0.1', '10.0.0.2'])).toBe('10.0.0.1;10.0.0.2');
+        expect(formatCsvValue({ a: 1 })).toBe('"{""a"":1}"');
+    });
+
+    test.each(['=SUM(A1)', '+1', '-1', '@cmd', '\tx'])('keeps %p from running as a formula', (value) => {
+        expect(formatCsvValue(value)).toBe(`'${value}`);
+    });
+
+    test('quotes a neutralised formula that also needs quoting', () => {
+        expect(formatCsvValue('=1,2')).toBe('"\'=1,2"');
+    });
+});
+
+describe('formatCsvRow', () => {
+    test('joins cells with commas and ends with CRLF', () => {
+        expect(formatCsvRow(['a', 'b,c', null])).toBe('a,"b,c",\r\n');
+    });
+});
+
+describe('parseCsv', () => {
+    test('keys rows by the trimmed header', () => {
+        expect(parseCsv(' CIDR ,SITE\n10.0.0.0/24,s1\n10.0.1.0/24,s2\n')).toEqual([
+            { CIDR: '10.0.0.0/24', SITE: 's1' },
+            { CIDR: '10.0.1.0/24', SITE: 's2' }
+        ]);
+    });
+
+    test('reads quoted cells with commas, quotes and line breaks', () => {
+        expect(parseCsv('A,B\r\n"x,y","say ""hi""\r\nbye"\r\n')).toEqual([{ A: 'x,y', B: 'say "hi"\r\nbye' }]);
+    });
+
+    test('skips a byte order mark and blank lines', () => {
+        expect(parseCsv('\uFEFFA,B\n\n1,2\n\n')).toEqual([{ A: '1', B: '2' }]);
+    });
+
+    test('leaves short rows with undefined cells and keeps empty ones', () => {
+        expect(parseCsv('A,B,C\n1,,\n2')).toEqual([{ A: '1', B: '', C: '' }, { A: '2', B: undefined, C: undefined }]);
+    });
+
+    test('reads back what the export writes', () => {
+        const values = ['a,b', 'say "hi"', 'two\nlines', 'plain'];
+
+        expect(parseCsv(formatCsvRow(['A', 'B', 'C', 'D']) + formatCsvRow(values))).toEqual([
+            { A: 'a,b', B: 'say "hi"', C: 'two\nlines', D: 'plain' }
+        ]);
+    });
+
+    test('rejects an unterminated quote', () => {
+        expect(() => parseCsv('A\n"open')).toThrow('Unterminated quoted field');
+    });
+
+    test('returns no rows for empty input', () => {
+        expect(parseCsv('')).toEqual([]);
+    });
+});
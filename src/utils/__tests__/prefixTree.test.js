@@ -0,0 +1,88 @@
+const { toTreeEntries, buildPrefixTree } = require('../prefixTree');
+
+const entry = (cidr, id = cidr) => ({ cidr, record: { id } });
+
+// cidr -> children, for comparing shapes
+const shape = (nodes) => nodes.map(node => ({ [node.cidr]: shape(node.children) }));
+
+describe('buildPrefixTree', () => {
+    test('nests subnets under the supernets that contain them', () => {
+        const tree = buildPrefixTree([
+            entry('10.0.1.0/24'),
+            entry('10.0.0.0/16'),
+            entry('10.0.1.128/25'),
+            entry('10.0.2.0/24'),
+            entry('192.168.0.0/24')
+        ]);
+
+        expect(shape(tree)).toEqual([
+            { '10.0.0.0/16': [{ '10.0.1.0/24': [{ '10.0.1.128/25': [] }] }, { '10.0.2.0/24': [] }] },
+            { '192.168.0.0/24': [] }
+        ]);
+    });
+
+    test('puts records with the same prefix on one node', () => {
+        const [node] = buildPrefixTree([entry('10.0.0.0/24', 'a'), entry('10.0.0.1/24', 'b')]);
+
+        expect(node.cidr).toBe('10.0.0.0/24');
+        expect(node.records).toEqual([{ id: 'a' }, { id: 'b' }]);
+    });
+
+    test('keeps IPv4 and IPv6 apart and skips unparseable prefixes', () => {
+        const tree = buildPrefixTree([entry('2001:db8::/32'), entry('10.0.0.0/8'), entry('nope')]);
+
+        expect(tree.map(node => [node.cidr, node.version])).toEqual([['10.0.0.0/8', 4], ['2001:db8::/32', 6]]);
+    });
+
+    test('reports size and how much of a node its children cover', () => {
+        const [node] = buildPrefixTree([entry('10.0.0.0/24'), entry('10.0.0.0/26'), entry('10.0.0.64/26')]);
+
+        expect(node.size).toBe('256');
+        expect(node.childCount).toBe(2);
+        expect(node.utilisation).toBe(50);
+        expect(node.children[0].utilisation).toBe(0);
+    });
+
+    test('hangs the tree below a root prefix and leaves out what it does not contain', () => {
+        const tree = buildPrefixTree([entry('10.1.0.0/24'), entry('10.2.0.0/24')], { root: '10.1.0.0/16' });
+
+        expect(shape(tree)).toEqual([{ '10.1.0.0/16': [{ '10.1.0.0/24': [] }] }]);
+        expect(tree[0].records).toEqual([]);
+    });
+
+    test('cuts the tree at maxDepth and flags the cut nodes', () => {
+        const [node] = buildPrefixTree([entry('10.0.0.0/8'), entry('10.0.0.0/16'), entry('10.0.0.0/24')], { maxDepth: 1 });
+
+        expect(node.children[0].children).toEqual([]);
+        expect(node.children[0].truncated).toBe(true);
+        expect(node.children[0].childCount).toBe(1);
+        expect(node.truncated).toBeUndefined();
+    });
+});
+
+describe('toTreeEntries', () => {
+    test('adds a dual-stack record to both trees', () => {
+        const entries = toTreeEntries('1', { CIDR: '10.0.0.0/24', CIDRIPV6: '2001:db8::/64', SITE: 's1' });
+
+        expect(entries).toEqual([
+            { cidr: '10.0.0.0/24', record: { id: '1', SITE: 's1', CIDR: '10.0.0.0/24' } },
+            { cidr: '2001:db8::/64', record: { id: '1', SITE: 's1', CIDR: '2001:db8::/64' } }
+        ]);
+    });
+
+    test('adds an IPv6-only record once, however its prefix is written', () => {
+        expect(toTreeEntries('1', { CIDR: '2001:db8::/64', CIDRIPV6: '2001:db8::/64' })).toHaveLength(1);
+        expect(toTreeEntries('1', { CIDR: '2001:DB8:0::/64', CIDRIPV6: '2001:db8::/64' })).toHaveLength(1);
+    });
+
+    test('returns nothing for a record without a prefix', () => {
+        expect(toTreeEntries('1', { SITE: 's1' })).toEqual([]);
+    });
+
+    test('feeds buildPrefixTree one node per prefix', () => {
+        const records = toTreeEntries('1', { CIDR: '2001:db8::/64', CIDRIPV6: '2001:db8::/64' });
+        const [node] = buildPrefixTree(records);
+
+        expect(node.records).toHaveLength(1);
+    });
+});
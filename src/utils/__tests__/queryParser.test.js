@@ -0,0 +1,154 @@
+const { QueryParseError, parseQuery, compileQuery } = require('../queryParser');
+
+const term = (field, value, phrase = false) => expect.objectContaining({ type: 'term', field, value, phrase });
+
+const parseError = (input) => {
+    try {
+        parseQuery(input);
+    } catch (error) {
+        return error;
+    }
+    throw new Error(`"${input}" parsed without an error`);
+};
+
+const freeText = async (value, phrase) => ({ free: value, phrase });
+
+describe('parseQuery', () => {
+    test('resolves aliases and field names', () => {
+        expect(parseQuery('site:site-3')).toEqual(term('SITE', 'site-3'));
+        expect(parseQuery('clusterid:c1')).toEqual(term('CLUSTERID', 'c1'));
+        expect(parseQuery('after:2025-01-01')).toEqual(term('after', '2025-01-01'));
+    });
+
+    test('ANDs adjacent terms and lets OR bind looser', () => {
+        expect(parseQuery('a b OR c')).toEqual({
+            type: 'or',
+            children: [
+                { type: 'and', children: [term(null, 'a'), term(null, 'b')] },
+                term(null, 'c')
+            ]
+        });
+        expect(parseQuery('a AND b')).toEqual({ type: 'and', children: [term(null, 'a'), term(null, 'b')] });
+    });
+
+    test('groups with parentheses and negates with - and NOT', () => {
+        expect(parseQuery('(user:u1 OR user:u2) -desc:prod')).toEqual({
+            type: 'and',
+            children: [
+                { type: 'or', children: [term('USERNAME', 'u1'), term('USERNAME', 'u2')] },
+                { type: 'not', child: term('DESCRIPTION', 'prod') }
+            ]
+        });
+        expect(parseQuery('NOT a')).toEqual({ type: 'not', child: term(null, 'a') });
+    });
+
+    test('reads quoted phrases, with escapes, on their own and after a field', () => {
+        expect(parseQuery('"exact \\"phrase\\""')).toEqual(term(null, 'exact "phrase"', true));
+        expect(parseQuery('desc:"two words"')).toEqual(term('DESCRIPTION', 'two words', true));
+    });
+
+    test('keeps IPv6 addresses and prefixes as free text instead of fields', () => {
+        expect(parseQuery('2001:db8::1')).toEqual(term(null, '2001:db8::1'));
+        expect(parseQuery('2001:db8::/32')).toEqual(term(null, '2001:db8::/32'));
+    });
+
+    test('records the position of each term', () => {
+        expect(parseQuery('a  site:x').children[1].position).toBe(3);
+    });
+});
+
+describe('parseQuery errors', () => {
+    test.each([
+        ['', 'Empty query', 0],
+        ['   ', 'Empty query', 0],
+        ['"open', 'Unterminated quote', 0],
+        ['site:a desc:"open', 'Unterminated quote', 12],
+        ['foo:bar', 'Unknown field "foo"', 0],
+        ['a site:', 'Missing value for "site:"', 2],
+        ['(a OR b', 'Missing ")" for "(" opened at position 0', 7],
+        ['a OR', 'Unexpected end of query', 4],
+        ['a )', 'Unexpected ")"', 2],
+        ['a AND OR b', 'Unexpected "OR"', 6],
+        ['a NOT', 'Unexpected end of query', 5]
+    ])('%p fails with "%s" at %i', (input, message, position) => {
+        const error = parseError(input);
+
+        expect(error).toBeInstanceOf(QueryParseError);
+        expect(error.message).toContain(message);
+        expect(error.message).toMatch(new RegExp(`at position ${position}$`));
+        expect(error.position).toBe(position);
+        expect(error.statusCode).toBe(400);
+    });
+
+    test('limits nesting depth', () => {
+        const error = parseError(`${'('.repeat(40)}a${')'.repeat(40)}`);
+
+        expect(error.message).toContain('nested deeper than 32');
+        expect(error.position).toBe(32);
+    });
+});
+
+describe('compileQuery', () => {
+    const compile = (input) => compileQuery(parseQuery(input), freeText);
+
+    test('matches keyword fields case-insensitively, with wildcards', async () => {
+        await expect(compile('site:s1')).resolves.toEqual({ term: { SITE: { value: 's1', case_insensitive: true } } });
+        await expect(compile('cluster:c*')).resolves.toEqual({
+            wildcard: { CLUSTERID: { value: 'c*', case_insensitive: true } }
+        });
+    });
+
+    test('matches text fields as all words or as a phrase', async () => {
+        await expect(compile('desc:core')).resolves.toEqual({ match: { DESCRIPTION: { query: 'core', operator: 'and' } } });
+        await expect(compile('desc:"core net"')).resolves.toEqual({ match_phrase: { DESCRIPTION: 'core net' } });
+    });
+
+    test('hands field-less terms to freeText', async () => {
+        await expect(compile('"a b"')).resolves.toEqual({ free: 'a b', phrase: true });
+    });
+
+    test('moves negated terms of an AND into must_not', async () => {
+        await expect(compile('a -b')).resolves.toEqual({
+            bool: { must: [{ free: 'a', phrase: false }], must_not: [{ free: 'b', phrase: false }] }
+        });
+    });
+
+    test('compiles OR into should with one required', async () => {
+        const query = await compile('a OR b');
+
+        expect(query.bool.should).toHaveLength(2);
+        expect(query.bool.minimum_should_match).toBe(1);
+    });
+
+    test('compiles date bounds into a TIMESTAMP range', async () => {
+        await expect(compile('after:2025-01-01')).resolves.toEqual({ range: { TIMESTAMP: { gte: '2025-01-01' } } });
+        await expect(compile('before:2025-01-01')).resolves.toEqual({ range: { TIMESTAMP: { lt: '2025-01-01' } } });
+    });
+
+    test('compiles ip: prefixes into within-range queries', async () => {
+        const query = await compile('ip:10.0.0.0/8');
+
+        expect(query.bool.should).toEqual([
+            { range: { 'CIDR.range': { gte: '10.0.0.0', lte: '10.255.255.255', relation: 'within' } } }
+        ]);
+    });
+
+    test('compiles ip: addresses into address and containing-range terms', async () => {
+        const query = await compile('ip:10.0.0.5');
+
+        expect(query.bool.should).toEqual([
+            { term: { IPV4: '10.0.0.5' } },
+            { term: { IP: '10.0.0.5' } },
+            { term: { 'CIDR.range': '10.0.0.5' } }
+        ]);
+    });
+
+    test('reports bad values with their position', async () => {
+        await expect(compile('a ip:nope')).rejects.toMatchObject({
+            name: 'QueryParseError',
+            position: 2,
+            message: '"nope" is not an IP address or CIDR at position 2'
+        });
+        await expect(compile('after:someday')).rejects.toMatchObject({ position: 0 });
+    });
+});
@@ -0,0 +1,27 @@
+const { encodeCursor, decodeCursor } = require('../searchCursor');
+
+const state = { pit: 'pit-id', searchAfter: [1.5, 'doc-1'], params: { q: 'core', size: 20 } };
+
+describe('searchCursor', () => {
+    test('decodes what it encodes', () => {
+        expect(decodeCursor(encodeCursor(state))).toEqual(state);
+    });
+
+    test('encodes to a URL-safe string', () => {
+        expect(encodeCursor({ ...state, params: { q: '???>>>' } })).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    test.each([
+        ['not base64 json', 'not a cursor'],
+        ['a cursor without a pit', encodeCursor({ searchAfter: [], params: {} })],
+        ['a cursor without sort values', encodeCursor({ pit: 'p', searchAfter: 'x', params: {} })],
+        ['a cursor without params', encodeCursor({ pit: 'p', searchAfter: [] })],
+        ['a cursor with null params', encodeCursor({ pit: 'p', searchAfter: [], params: null })],
+        ['null', encodeCursor(null)]
+    ])('rejects %s with a 400', (_, cursor) => {
+        expect(() => decodeCursor(cursor)).toThrow(expect.objectContaining({
+            message: 'Invalid pagination cursor',
+            statusCode: 400
+        }));
+    });
+});
@@ -0,0 +1,118 @@
+const { checkRecord, validateSubnetRecord, validateStoredRecord } = require('../subnetValidation');
+
+const types = (issues) => issues.map(issue => issue.type);
+
+describe('validateSubnetRecord', () => {
+    test('trims values, drops empty ones and mirrors an IPv4 CIDR into CIDRIPV4', () => {
+        const { record, errors, warnings } = validateSubnetRecord({
+            CIDR: ' 10.0.0.0/24 ',
+            SITE: 's1',
+            DESCRIPTION: '   ',
+            USERNAME: null
+        });
+
+        expect(record).toEqual({ CIDR: '10.0.0.0/24', CIDRIPV4: '10.0.0.0/24', SITE: 's1' });
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual([]);
+    });
+
+    test('copies CIDRIPV6 into CIDR on IPv6-only records', () => {
+        const { record, errors } = validateSubnetRecord({ CIDRIPV6: '2001:db8::/64' });
+
+        expect(record).toEqual({ CIDR: '2001:db8::/64', CIDRIPV6: '2001:db8::/64' });
+        expect(errors).toEqual([]);
+    });
+
+    test('turns a valid TIMESTAMP into a Date', () => {
+        const { record } = validateSubnetRecord({ CIDR: '10.0.0.0/24', TIMESTAMP: '2025-01-01T00:00:00Z' });
+
+        expect(record.TIMESTAMP).toEqual(new Date('2025-01-01T00:00:00Z'));
+    });
+
+    test('takes back the quote the CSV export put before formula-like cells', () => {
+        const { record } = validateSubnetRecord({ CIDR: '10.0.0.0/24', DESCRIPTION: "'=SUM(A1)" });
+
+        expect(record.DESCRIPTION).toBe('=SUM(A1)');
+    });
+
+    test('warns about unknown fields and host bits without blocking the record', () => {
+        const { errors, warnings } = validateSubnetRecord({ CIDR: '10.0.0.5/24', extra: 1 });
+
+        expect(errors).toEqual([]);
+        expect(types(warnings)).toEqual(['host_bits_set', 'ignored_fields']);
+        expect(warnings[1].message).toBe('Ignored unknown fields: extra');
+    });
+
+    test.each([
+        [{ SITE: 's1' }, 'missing_cidr'],
+        [{ CIDR: '10.0.0.0/33' }, 'invalid_cidr'],
+        [{ CIDR: '10.0.0.0/24', IP: '10.0.0.300' }, 'invalid_ip'],
+        [{ CIDR: '10.0.0.0/24', IP: '10.0.1.1' }, 'ip_outside_cidr'],
+        [{ CIDR: '10.0.0.0/24', IPV6: '2001:db8::1' }, 'ip_outside_cidr'],
+        [{ CIDR: '10.0.0.0/24', CIDRIPV6: '10.0.1.0/24' }, 'family_mismatch'],
+        [{ CIDR: '10.0.0.0/24', IPV6: '10.0.0.1' }, 'family_mismatch'],
+        [{ CIDR: '10.0.0.0/24', TIMESTAMP: 'yesterday' }, 'invalid_timestamp'],
+        [{ CIDR: '10.0.0.0/24', SITE: ['a', 'b'] }, 'invalid_value'],
+        [{ CIDR: '10.0.0.0/24', SITE: 'x'.repeat(257) }, 'too_long']
+    ])('blocks %p with %s', (input, type) => {
+        expect(types(validateSubnetRecord(input).errors)).toEqual([type]);
+    });
+
+    test('keeps an invalid TIMESTAMP as it was given', () => {
+        expect(validateSubnetRecord({ CIDR: '10.0.0.0/24', TIMESTAMP: 'yesterday' }).record.TIMESTAMP).toBe('yesterday');
+    });
+});
+
+describe('checkRecord', () => {
+    test('returns the prefixes of a dual-stack record', () => {
+        const { ranges, issues } = checkRecord({
+            CIDR: '10.0.0.0/24',
+            CIDRIPV6: '2001:db8::/64',
+            IPV4: '10.0.0.1',
+            IPV6: '2001:db8::1'
+        });
+
+        expect(ranges.map(entry => entry.field)).toEqual(['CIDR', 'CIDRIPV6']);
+        expect(issues).toEqual([]);
+    });
+
+    test('counts the prefix of an IPv6-only record once', () => {
+        expect(checkRecord({ CIDR: '2001:db8::/64', CIDRIPV6: '2001:db8::/64' }).ranges).toHaveLength(1);
+    });
+
+    test('warns when CIDRIPV4 differs from CIDR', () => {
+        expect(types(checkRecord({ CIDR: '10.0.0.0/24', CIDRIPV4: '10.0.1.0/24' }).issues)).toEqual(['cidr_mismatch']);
+    });
+});
+
+describe('validateStoredRecord', () => {
+    test('passes a stored document the sync can index', () => {
+        expect(validateStoredRecord({
+            _id: 'x',
+            CIDR: '10.0.0.5/24',
+            CIDRIPV4: '10.0.1.0/24',
+            TIMESTAMP: new Date(),
+            SITE: 's1',
+            other: 'kept'
+        })).toEqual([]);
+    });
+
+    test('reports blocking issues in the quarantine form', () => {
+        expect(validateStoredRecord({ CIDR: '10.0.0.0/24', IP: '10.0.1.1', USERNAME: { name: 'u' } })).toEqual([
+            { field: 'USERNAME', rule: 'invalid_value', message: 'USERNAME must be text, got object' },
+            { field: 'IP', rule: 'ip_outside_cidr', message: 'IP 10.0.1.1 is outside 10.0.0.0/24' }
+        ]);
+    });
+
+    test('checks the document as stored, without filling in CIDR', () => {
+        expect(validateStoredRecord({ CIDRIPV4: '10.0.0.0/24' })).toEqual([
+            { field: 'CIDR', rule: 'missing_cidr', message: 'CIDR is empty' }
+        ]);
+        expect(validateStoredRecord({ CIDR: '10.0.0.0/24 x' })[0].rule).toBe('invalid_cidr');
+    });
+
+    test('rejects a boolean or unparseable TIMESTAMP', () => {
+        expect(validateStoredRecord({ CIDR: '10.0.0.0/24', TIMESTAMP: true })[0].rule).toBe('invalid_timestamp');
+        expect(validateStoredRecord({ CIDR: '10.0.0.0/24', TIMESTAMP: new Date('nope') })[0].rule).toBe('invalid_timestamp');
+    });
+});
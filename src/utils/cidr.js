@@ -0,0 +1,257 @@
+// IP address and CIDR helpers. Addresses are handled as BigInt so prefix arithmetic
+// works the same way regardless of address width.
+
+const IPV4_BITS = 32;
+const IPV6_BITS = 128;
+
+const parseIPv4 = (address) => {
+    const parts = String(address).trim().split('.');
+
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && parseInt(part) <= 255)) {
+        return null;
+    }
+
+    const value = parts.reduce((result, part) => (result << 8n) + BigInt(parseInt(part)), 0n);
+    return { version: 4, bits: IPV4_BITS, value };
+};
+
+// Accepts compressed (2001:db8::1), expanded and IPv4-suffixed (::ffff:10.0.0.1) forms
+const parseIPv6 = (address) => {
+    let text = String(address).trim().toLowerCase();
+
+    if (!text.includes(':') || text.includes('%')) {
+        return null;
+    }
+
+    // An embedded IPv4 address takes the place of the last two groups
+    const lastColon = text.lastIndexOf(':');
+    const tail = text.slice(lastColon + 1);
+    if (tail.includes('.')) {
+        const ipv4 = parseIPv4(tail);
+        if (!ipv4) {
+            return null;
+        }
+        text = `${text.slice(0, lastColon + 1)}${(ipv4.value >> 16n).toString(16)}:${(ipv4.value & 0xffffn).toString(16)}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) {
+        return null;
+    }
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - rest.length;
+
+    if ((halves.length === 2 && missing < 1) || (halves.length === 1 && missing !== 0)) {
+        return null;
+    }
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) {
+        return null;
+    }
+
+    const value = groups.reduce((result, group) => (result << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { version: 6, bits: IPV6_BITS, value };
+};
+
+const parseIP = (address) => {
+    if (address === undefined || address === null) {
+        return null;
+    }
+    return parseIPv4(address) || parseIPv6(address);
+};
+
+const toIPv6Groups = (value) => {
+    return Array.from({ length: 8 }, (_, i) => Number((value >> BigInt((7 - i) * 16)) & 0xffffn));
+};
+
+// Canonical text form (RFC 5952): lowercase, no leading zeros, longest zero run as "::"
+const compressIPv6 = (value) => {
+    const groups = toIPv6Groups(value);
+    let bestStart = -1;
+    let bestLength = 1;
+
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === 0) {
+            length++;
+        }
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+
+    const hex = groups.map(group => group.toString(16));
+
+    if (bestStart === -1) {
+        return hex.join(':');
+    }
+
+    return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+};
+
+const expandIPv6 = (value) => {
+    return toIPv6Groups(value).map(group => group.toString(16).padStart(4, '0')).join(':');
+};
+
+const formatIP = (value, version = 4, options = {}) => {
+    if (version === 6) {
+        return options.expanded ? expandIPv6(value) : compressIPv6(value);
+    }
+    return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 255n).toString()).join('.');
+};
+
+const hostMask = (bits, prefix) => (1n << BigInt(bits - prefix)) - 1n;
+
+/**
+ * Parses "a.b.c.d/len" or "ipv6/len" into its network range. Host bits are cleared, so
+ * 10.0.0.5/24 parses as 10.0.0.0/24; `exact` tells whether the input was already
+ * the network address.
+ */
+const parseCIDR = (cidr) => {
+    if (typeof cidr !== 'string' || !cidr.includes('/')) {
+        return null;
+    }
+
+    const [address, length] = cidr.trim().split('/');
+    const ip = parseIP(address);
+
+    if (!ip || !/^\d{1,3}$/.test(length) || parseInt(length) > ip.bits) {
+        return null;
+    }
+
+    const prefix = parseInt(length);
+    const mask = hostMask(ip.bits, prefix);
+    const start = ip.value & ~mask;
+
+    return {
+        version: ip.version,
+        bits: ip.bits,
+        prefix,
+        start,
+        end: start | mask,
+        size: mask + 1n,
+        exact: start === ip.value
+    };
+};
+
+const formatCIDR = (range, options = {}) => `${formatIP(range.start, range.version, options)}/${range.prefix}`;
+
+// Both display forms of an address or prefix, or null when it doesn't parse
+const normalizeIP = (address) => {
+    const ip = parseIP(address);
+    return ip && {
+        version: ip.version,
+        compressed: formatIP(ip.value, ip.version),
+        expanded: formatIP(ip.value, ip.version, { expanded: true })
+    };
+};
+
+const normalizeCIDR = (cidr) => {
+    const range = parseCIDR(cidr);
+    return range && {
+        version: range.version,
+        compressed: formatCIDR(range),
+        expanded: formatCIDR(range, { expanded: true })
+    };
+};
+
+const isValidIP = (address) => parseIP(address) !== null;
+
+const isValidCIDR = (cidr) => parseCIDR(cidr) !== null;
+
+// Start of an address or prefix as typed into a search box: "10.20.", "10.20.0.0/1", "2001:db8:".
+// Shorter input such as "1.5" or "beef:" reads as text just as well, so it isn't taken for one.
+const IPV4_PARTIAL = /^(\d{1,3}\.){2,3}\d{0,3}(\/\d{0,2})?$/;
+const IPV6_PARTIAL = /^[0-9a-f]{0,4}(:[0-9a-f]{0,4}){1,7}(\/\d{0,3})?$/i;
+
+const isPartialIPv4 = (value) => {
+    return IPV4_PARTIAL.test(value) &&
+        value.split('/')[0].split('.').every(octet => octet === '' || parseInt(octet) <= 255);
+};
+
+// A "::" (at most one), as in "fe80::" or "::1", or at least two hextets starting with one
+// of 3+ characters and holding a digit, as in "2001:db8". Times ("12:30") and hex words
+// ("cafe:babe") read as text.
+const isPartialIPv6 = (value) => {
+    if (!IPV6_PARTIAL.test(value) || value.includes(':::') || value.split('::').length > 2) {
+        return false;
+    }
+
+    const address = value.split('/')[0];
+    if (address.includes('::')) {
+        return true;
+    }
+
+    const hextets = address.split(':').filter(Boolean);
+    return hextets.length >= 2 && hextets[0].length >= 3 && /\d/.test(address);
+};
+
+const isPartialIP = (text) => {
+    const value = String(text).trim();
+    return isPartialIPv4(value) || isPartialIPv6(value);
+};
+
+const containsIP = (range, ip) => {
+    return range.version === ip.version && ip.value >= range.start && ip.value <= range.end;
+};
+
+const containsRange = (outer, inner) => {
+    return outer.version === inner.version && inner.start >= outer.start && inner.end <= outer.end;
+};
+
+const overlaps = (a, b) => {
+    return a.version === b.version && a.start <= b.end && b.start <= a.end;
+};
+
+const bitsForVersion = (version) => (version === 6 ? IPV6_BITS : IPV4_BITS);
+
+const toRange = (start, prefix, version) => {
+    const bits = bitsForVersion(version);
+    const mask = hostMask(bits, prefix);
+    return { version, bits, prefix, start, end: start | mask, size: mask + 1n, exact: true };
+};
+
+// Smallest set of aligned prefixes that exactly covers start..end
+const rangeToCIDRs = (start, end, version) => {
+    const bits = bitsForVersion(version);
+    const result = [];
+    let current = start;
+
+    while (current <= end) {
+        let prefix = bits;
+        // Grow the block while it stays aligned on `current` and inside the range
+        while (prefix > 0) {
+            const mask = hostMask(bits, prefix - 1);
+            if ((current & mask) !== 0n || (current | mask) > end) {
+                break;
+            }
+            prefix--;
+        }
+        const range = toRange(current, prefix, version);
+        result.push(range);
+        current = range.end + 1n;
+    }
+
+    return result;
+};
+
+module.exports = {
+    parseIP,
+    formatIP,
+    parseCIDR,
+    formatCIDR,
+    normalizeIP,
+    normalizeCIDR,
+    isValidIP,
+    isValidCIDR,
+    isPartialIP,
+    containsIP,
+    containsRange,
+    overlaps,
+    toRange,
+    rangeToCIDRs
+};
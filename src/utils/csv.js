@@ -0,0 +1,89 @@
+// Minimal RFC 4180 CSV helpers for exports and imports
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCsvValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text = Array.isArray(value)
+        ? value.join(';')
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+// Splits CSV text into rows of cells. Quoted cells may hold commas, quotes ("") and line breaks.
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field at the end of the CSV');
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines carry no record
+    return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+};
+
+// Rows as objects keyed by the header row
+const parseCsv = (text) => {
+    const [header = [], ...rows] = parseCsvRows(String(text).replace(/^\uFEFF/, ''));
+    const columns = header.map(column => column.trim());
+
+    return rows.map(cells => columns.reduce((record, column, i) => {
+        record[column] = cells[i];
+        return record;
+    }, {}));
+};
+
+module.exports = {
+    formatCsvValue,
+    formatCsvRow,
+    parseCsv
+};
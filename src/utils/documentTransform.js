@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { parseIP, formatIP } = require('./cidr');
+
+// Fields offered by autocomplete. Each one becomes a completion input whose type context
+// is the field name.
+const SUGGEST_FIELDS = ['CLUSTERID', 'SITE', 'USERNAME', 'VALUE', 'DESCRIPTION'];
+
+// Address and prefix fields with an edge n-gram `prefix` sub-field for partial IP autocomplete
+const IP_PREFIX_FIELDS = ['CIDR', 'CIDRIPV6', 'IPV4', 'IP', 'IPV6'];
+
+// Rewrites the address part in compressed form and returns both forms, prefix length kept as is
+const normalizeIPv6 = (value) => {
+    const [address, prefix] = String(value).split('/');
+    const ip = parseIP(address);
+
+    if (!ip || ip.version !== 6) {
+        return null;
+    }
+
+    const suffix = prefix !== undefined ? `/${prefix}` : '';
+    return {
+        compressed: `${formatIP(ip.value, 6)}${suffix}`,
+        expanded: `${formatIP(ip.value, 6, { expanded: true })}${suffix}`
+    };
+};
+
+const buildSuggest = (doc) => {
+    return SUGGEST_FIELDS
+        .filter(field => doc[field] !== undefined && doc[field] !== null && String(doc[field]).trim() !== '')
+        .map(field => ({
+            input: [String(doc[field]).trim()],
+            contexts: doc.SITE ? { site: [String(doc.SITE)], type: [field] } : { type: [field] }
+        }));
+};
+
+const toElasticsearchId = (id) => id.toString();
+
+// Single place that turns a MongoDB document into the body we index in Elasticsearch.
+// Elasticsearch rejects _id inside the document body, it travels as the document id instead
+// and as DOC_ID, the sortable copy used as pagination tiebreaker.
+const toElasticsearchDocument = (doc) => {
+    const { _id, ...body } = doc;
+
+    if (_id !== undefined && _id !== null) {
+        body.DOC_ID = toElasticsearchId(_id);
+    }
+
+    ['CIDRIPV6', 'IPV6'].forEach(field => {
+        const forms = body[field] ? normalizeIPv6(body[field]) : null;
+        if (forms) {
+            body[field] = forms.compressed;
+            body[`${field}_EXPANDED`] = forms.expanded;
+        }
+    });
+
+    body.suggest = buildSuggest(body);
+
+    return body;
+};
+
+// JSON round trip first so Dates, ObjectIds etc. hash the same way they are stored in _source
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(canonicalize);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => {
+            result[key] = canonicalize(value[key]);
+            return result;
+        }, {});
+    }
+    return value;
+};
+
+// Content hash of an indexed body, independent of key order
+const hashDocument = (body) => {
+    const normalized = canonicalize(JSON.parse(JSON.stringify(body)));
+    return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+};
+
+module.exports = {
+    SUGGEST_FIELDS,
+    IP_PREFIX_FIELDS,
+    toElasticsearchDocument,
+    toElasticsearchId,
+    hashDocument
+};
@@ -0,0 +1,30 @@
+// In-process counters for events worth watching that are not errors. They live as long
+// as the process and are reported by GET /api/sync/status.
+
+const counters = new Map();
+
+const incrementCounter = (name, labels = {}, value = 1) => {
+    if (!counters.has(name)) {
+        counters.set(name, { total: 0, byLabel: {} });
+    }
+
+    const counter = counters.get(name);
+    counter.total += value;
+
+    const key = Object.entries(labels).map(([label, labelValue]) => `${label}=${labelValue}`).join(',');
+    if (key) {
+        counter.byLabel[key] = (counter.byLabel[key] || 0) + value;
+    }
+};
+
+const getMetrics = () => {
+    return Object.fromEntries([...counters.entries()].map(([name, counter]) => [
+        name,
+        { total: counter.total, byLabel: { ...counter.byLabel } }
+    ]));
+};
+
+module.exports = {
+    incrementCounter,
+    getMetrics
+};
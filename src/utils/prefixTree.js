@@ -0,0 +1,121 @@
+const { parseCIDR, formatCIDR, containsRange } = require('./cidr');
+
+const compareRanges = (a, b) => {
+    if (a.version !== b.version) return a.version - b.version;
+    if (a.start !== b.start) return a.start < b.start ? -1 : 1;
+    return a.prefix - b.prefix;
+};
+
+const createNode = (range) => ({
+    cidr: formatCIDR(range),
+    prefix: range.prefix,
+    version: range.version,
+    range,
+    records: [],
+    children: []
+});
+
+// Share of the node's addresses covered by its children. Children never overlap:
+// two prefixes either nest or are disjoint, and nested ones sit further down.
+const finalizeNode = (node, depth, maxDepth) => {
+    const covered = node.children.reduce((total, child) => total + child.range.size, 0n);
+    const result = {
+        cidr: node.cidr,
+        prefix: node.prefix,
+        version: node.version,
+        size: node.range.size.toString(),
+        utilisation: Number((covered * 10000n) / node.range.size) / 100,
+        records: node.records,
+        childCount: node.children.length
+    };
+
+    if (depth < maxDepth) {
+        result.children = node.children.map(child => finalizeNode(child, depth + 1, maxDepth));
+    } else {
+        result.children = [];
+        result.truncated = node.children.length > 0;
+    }
+
+    return result;
+};
+
+// Tree entries of one indexed record, one per distinct prefix it holds. Dual-stack records
+// go in both the IPv4 and the IPv6 tree; IPv6-only ones carry the same prefix in CIDR and
+// CIDRIPV6 and go in once.
+const toTreeEntries = (id, source) => {
+    const { CIDR, CIDRIPV6, ...fields } = source;
+    const seen = new Set();
+
+    return [CIDR, CIDRIPV6].filter(Boolean).flatMap(cidr => {
+        const range = parseCIDR(cidr);
+        const key = range ? formatCIDR(range) : cidr;
+
+        if (seen.has(key)) {
+            return [];
+        }
+        seen.add(key);
+
+        return [{ cidr, record: { id, ...fields, CIDR: cidr } }];
+    });
+};
+
+/**
+ * Nests records into a supernet -> subnet tree by their prefix. Records sharing a
+ * prefix become the direct records of one node. With a root CIDR, the tree hangs
+ * below that prefix even if no record carries it.
+ */
+const buildPrefixTree = (records, options = {}) => {
+    const { root, maxDepth = Infinity } = options;
+    const nodes = new Map();
+
+    records.forEach(({ cidr, record }) => {
+        const range = parseCIDR(cidr);
+        if (!range) {
+            return;
+        }
+
+        const key = formatCIDR(range);
+        if (!nodes.has(key)) {
+            nodes.set(key, createNode(range));
+        }
+        nodes.get(key).records.push(record);
+    });
+
+    const rootRange = root ? parseCIDR(root) : null;
+    let rootNode = null;
+
+    if (rootRange) {
+        const key = formatCIDR(rootRange);
+        rootNode = nodes.get(key) || createNode(rootRange);
+        nodes.set(key, rootNode);
+    }
+
+    const sorted = [...nodes.values()]
+        .filter(node => !rootRange || containsRange(rootRange, node.range))
+        .sort((a, b) => compareRanges(a.range, b.range));
+
+    const roots = [];
+    const stack = [];
+
+    // Address order puts every supernet right before the subnets it contains
+    sorted.forEach(node => {
+        while (stack.length > 0 && !containsRange(stack[stack.length - 1].range, node.range)) {
+            stack.pop();
+        }
+
+        if (stack.length > 0) {
+            stack[stack.length - 1].children.push(node);
+        } else {
+            roots.push(node);
+        }
+
+        stack.push(node);
+    });
+
+    return roots.map(node => finalizeNode(node, 0, maxDepth));
+};
+
+module.exports = {
+    toTreeEntries,
+    buildPrefixTree
+};
@@ -0,0 +1,331 @@
+const { parseIP, parseCIDR, formatIP } = require('./cidr');
+
+// Fields the search box can target and how their values are matched. buildFieldSpecificQuery
+// (the `field` parameter of /api/search) accepts the same list.
+const SEARCH_FIELDS = {
+    'CLUSTERID': 'keyword',
+    'SITE': 'keyword',
+    'VALUE': 'text',
+    'DESCRIPTION': 'text',
+    'USERNAME': 'keyword',
+    'CIDR': 'keyword',
+    'CIDRIPV4': 'keyword',
+    'CIDRIPV6': 'keyword'
+};
+
+// Short names accepted on top of the field names themselves
+const FIELD_ALIASES = {
+    cluster: 'CLUSTERID',
+    site: 'SITE',
+    value: 'VALUE',
+    desc: 'DESCRIPTION',
+    user: 'USERNAME',
+    cidr: 'CIDR'
+};
+
+// Pseudo-fields compiled to something other than a match on one field
+const SPECIAL_FIELDS = ['ip', 'after', 'before'];
+
+const MAX_NESTING = 32;
+
+class QueryParseError extends Error {
+    constructor(message, position) {
+        super(`${message} at position ${position}`);
+        this.name = 'QueryParseError';
+        this.position = position;
+        this.statusCode = 400;
+    }
+}
+
+const resolveField = (name, position) => {
+    const lower = name.toLowerCase();
+
+    if (SPECIAL_FIELDS.includes(lower)) {
+        return lower;
+    }
+
+    const field = FIELD_ALIASES[lower] || Object.keys(SEARCH_FIELDS).find(key => key === name.toUpperCase());
+    if (!field) {
+        const allowed = [...Object.keys(FIELD_ALIASES), ...SPECIAL_FIELDS].join(', ');
+        throw new QueryParseError(`Unknown field "${name}" (allowed: ${allowed} or a field name)`, position);
+    }
+
+    return field;
+};
+
+// Reads a double-quoted phrase starting at `start`; backslash escapes the next character
+const readPhrase = (input, start) => {
+    let value = '';
+    let i = start + 1;
+
+    while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && i + 1 < input.length) {
+            i++;
+        }
+        value += input[i];
+        i++;
+    }
+
+    if (i >= input.length) {
+        throw new QueryParseError('Unterminated quote', start);
+    }
+
+    return { value, end: i + 1 };
+};
+
+const isBoundary = (char) => char === undefined || /\s/.test(char) || char === '(' || char === ')';
+
+const tokenize = (input) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: i });
+            i++;
+        } else if (char === '-' && input[i + 1] !== undefined && !/\s/.test(input[i + 1]) && input[i + 1] !== ')') {
+            tokens.push({ type: 'not', position: i });
+            i++;
+        } else if (char === '"') {
+            const { value, end } = readPhrase(input, i);
+            tokens.push({ type: 'term', field: null, value, phrase: true, position: i });
+            i = end;
+        } else {
+            const start = i;
+            while (i < input.length && !isBoundary(input[i]) && input[i] !== '"') {
+                i++;
+            }
+            const word = input.slice(start, i);
+            const colon = word.indexOf(':');
+
+            if (['AND', 'OR', 'NOT'].includes(word)) {
+                tokens.push({ type: word.toLowerCase(), position: start });
+            } else if (colon > 0 && !parseIP(word) && !parseCIDR(word)) {
+                const field = resolveField(word.slice(0, colon), start);
+                let value = word.slice(colon + 1);
+                let phrase = false;
+
+                // field:"quoted value"
+                if (value === '' && input[i] === '"') {
+                    const quoted = readPhrase(input, i);
+                    value = quoted.value;
+                    i = quoted.end;
+                    phrase = true;
+                }
+
+                if (value === '') {
+                    throw new QueryParseError(`Missing value for "${word.slice(0, colon)}:"`, start);
+                }
+
+                tokens.push({ type: 'term', field, value, phrase, position: start });
+            } else {
+                tokens.push({ type: 'term', field: null, value: word, phrase: false, position: start });
+            }
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Parses the search box syntax into a tree of and/or/not/term nodes.
+ *
+ *   site:site-3 cluster:cluster-1* -desc:production "exact phrase"
+ *   (user:user1 OR user:user2) AND after:2025-01-01 ip:10.0.0.5
+ *
+ * Terms next to each other are ANDed, OR binds looser than AND, `-` and NOT negate.
+ * Throws QueryParseError with the character position of the problem.
+ */
+const parseQuery = (input) => {
+    const tokens = tokenize(String(input));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const endPosition = () => String(input).length;
+
+    const parseOr = (depth) => {
+        const children = [parseAnd(depth)];
+        while (peek() && peek().type === 'or') {
+            index++;
+            children.push(parseAnd(depth));
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = (depth) => {
+        const children = [parseUnary(depth)];
+        while (peek() && !['or', 'rparen'].includes(peek().type)) {
+            if (peek().type === 'and') {
+                index++;
+            }
+            children.push(parseUnary(depth));
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = (depth) => {
+        const token = peek();
+
+        if (!token) {
+            throw new QueryParseError('Unexpected end of query', endPosition());
+        }
+
+        if (token.type === 'not') {
+            index++;
+            return { type: 'not', child: parseUnary(depth) };
+        }
+
+        if (token.type === 'lparen') {
+            if (depth >= MAX_NESTING) {
+                throw new QueryParseError(`Parentheses nested deeper than ${MAX_NESTING}`, token.position);
+            }
+            index++;
+            const child = parseOr(depth + 1);
+            if (!peek() || peek().type !== 'rparen') {
+                throw new QueryParseError(`Missing ")" for "(" opened at position ${token.position}`,
+                    peek() ? peek().position : endPosition());
+            }
+            index++;
+            return child;
+        }
+
+        if (token.type === 'term') {
+            index++;
+            return token;
+        }
+
+        throw new QueryParseError(`Unexpected "${token.type === 'rparen' ? ')' : token.type.toUpperCase()}"`, token.position);
+    };
+
+    if (tokens.length === 0) {
+        throw new QueryParseError('Empty query', 0);
+    }
+
+    const tree = parseOr(0);
+
+    if (peek()) {
+        throw new QueryParseError('Unexpected ")"', peek().position);
+    }
+
+    return tree;
+};
+
+const compileIP = (term) => {
+    const range = term.value.includes('/') ? parseCIDR(term.value) : null;
+    const ip = range ? null : parseIP(term.value);
+
+    if (!range && !ip) {
+        throw new QueryParseError(`"${term.value}" is not an IP address or CIDR`, term.position);
+    }
+
+    // A prefix matches the subnets inside it, an address the records holding it or a subnet containing it
+    if (range) {
+        return {
+            bool: {
+                should: (range.version === 6 ? ['CIDR.range', 'CIDRIPV6.range'] : ['CIDR.range']).map(field => ({
+                    range: {
+                        [field]: {
+                            gte: formatIP(range.start, range.version),
+                            lte: formatIP(range.end, range.version),
+                            relation: 'within'
+                        }
+                    }
+                })),
+                minimum_should_match: 1
+            }
+        };
+    }
+
+    const address = formatIP(ip.value, ip.version);
+    const addressFields = ip.version === 6 ? ['IP', 'IPV6'] : ['IPV4', 'IP'];
+
+    return {
+        bool: {
+            should: [
+                ...addressFields.map(field => ({ term: { [field]: address } })),
+                ...(ip.version === 6 ? ['CIDR.range', 'CIDRIPV6.range'] : ['CIDR.range'])
+                    .map(field => ({ term: { [field]: address } }))
+            ],
+            minimum_should_match: 1
+        }
+    };
+};
+
+const compileDate = (term) => {
+    if (isNaN(Date.parse(term.value))) {
+        throw new QueryParseError(`"${term.value}" is not a date`, term.position);
+    }
+    return { range: { 'TIMESTAMP': { [term.field === 'after' ? 'gte' : 'lt']: term.value } } };
+};
+
+const compileTerm = async (term, freeText) => {
+    if (!term.field) {
+        return freeText(term.value, term.phrase);
+    }
+
+    if (term.field === 'ip') {
+        return compileIP(term);
+    }
+
+    if (term.field === 'after' || term.field === 'before') {
+        return compileDate(term);
+    }
+
+    if (SEARCH_FIELDS[term.field] === 'text') {
+        if (term.phrase) {
+            return { match_phrase: { [term.field]: term.value } };
+        }
+        return { match: { [term.field]: { query: term.value, operator: 'and' } } };
+    }
+
+    if (!term.phrase && term.value.includes('*')) {
+        return { wildcard: { [term.field]: { value: term.value, case_insensitive: true } } };
+    }
+
+    return { term: { [term.field]: { value: term.value, case_insensitive: true } } };
+};
+
+/**
+ * Turns a parsed query into an Elasticsearch bool query. `freeText(value, phrase)` builds
+ * the clause for a term without a field.
+ */
+const compileQuery = async (node, freeText) => {
+    if (node.type === 'term') {
+        return compileTerm(node, freeText);
+    }
+
+    if (node.type === 'not') {
+        return { bool: { must_not: [await compileQuery(node.child, freeText)] } };
+    }
+
+    if (node.type === 'or') {
+        return {
+            bool: {
+                should: await Promise.all(node.children.map(child => compileQuery(child, freeText))),
+                minimum_should_match: 1
+            }
+        };
+    }
+
+    const negated = node.children.filter(child => child.type === 'not');
+    const positive = node.children.filter(child => child.type !== 'not');
+
+    const query = { bool: { must: await Promise.all(positive.map(child => compileQuery(child, freeText))) } };
+
+    if (negated.length > 0) {
+        query.bool.must_not = await Promise.all(negated.map(child => compileQuery(child.child, freeText)));
+    }
+
+    return query;
+};
+
+module.exports = {
+    SEARCH_FIELDS,
+    QueryParseError,
+    parseQuery,
+    compileQuery
+};
@@ -0,0 +1,26 @@
+// Opaque pagination cursors. A cursor carries the point-in-time id, the sort values of the
+// last hit and the parameters of the original request, so the next page only needs the cursor.
+
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+        if (!state || typeof state.pit !== 'string' || !Array.isArray(state.searchAfter) ||
+            typeof state.params !== 'object' || state.params === null) {
+            throw new Error('incomplete cursor');
+        }
+
+        return state;
+    } catch (error) {
+        const invalid = new Error('Invalid pagination cursor');
+        invalid.statusCode = 400;
+        throw invalid;
+    }
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,178 @@
+const { parseIP, parseCIDR, formatCIDR, containsIP } = require('./cidr');
+
+// Fields a subnet record can carry
+const SUBNET_FIELDS = ['CLUSTERID', 'CIDR', 'CIDRIPV4', 'CIDRIPV6', 'IPV4', 'IP', 'IPV6',
+    'SITE', 'DESCRIPTION', 'TIMESTAMP', 'USERNAME', 'VALUE'];
+
+// Longest value each free-form field can hold
+const FIELD_MAX_LENGTH = { CLUSTERID: 256, SITE: 256, USERNAME: 256, DESCRIPTION: 10000, VALUE: 10000 };
+
+// Issues that make a record unusable; the others are reported but don't block a write
+const BLOCKING_ISSUES = ['missing_cidr', 'invalid_cidr', 'invalid_ip', 'ip_outside_cidr', 'family_mismatch',
+    'invalid_timestamp', 'invalid_value', 'too_long'];
+
+const isBlocking = (issue) => BLOCKING_ISSUES.includes(issue.type);
+
+// Problems with the fields that are not addresses or prefixes
+const checkValues = (doc) => {
+    const issues = [];
+
+    Object.entries(FIELD_MAX_LENGTH).forEach(([field, maxLength]) => {
+        const value = doc[field];
+
+        if (value === undefined || value === null) {
+            return;
+        }
+
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            issues.push({ type: 'invalid_value', field, message: `${field} must be text, got ${Array.isArray(value) ? 'array' : typeof value}` });
+        } else if (String(value).length > maxLength) {
+            issues.push({ type: 'too_long', field, message: `${field} is longer than ${maxLength} characters` });
+        }
+    });
+
+    if (doc.TIMESTAMP !== undefined && doc.TIMESTAMP !== null) {
+        const time = doc.TIMESTAMP instanceof Date ? doc.TIMESTAMP.getTime() : new Date(doc.TIMESTAMP).getTime();
+        if (typeof doc.TIMESTAMP === 'boolean' || isNaN(time)) {
+            issues.push({ type: 'invalid_timestamp', field: 'TIMESTAMP', message: `TIMESTAMP ${doc.TIMESTAMP} is not a date` });
+        }
+    }
+
+    return issues;
+};
+
+const checkPrefix = (doc, field, issues) => {
+    const range = parseCIDR(doc[field]);
+
+    if (!range) {
+        issues.push({ type: 'invalid_cidr', field, message: `${field} ${doc[field]} is not a valid prefix` });
+        return null;
+    }
+
+    if (!range.exact) {
+        issues.push({ type: 'host_bits_set', field, message: `${field} ${doc[field]} has host bits set, network is ${formatCIDR(range)}` });
+    }
+
+    return range;
+};
+
+// Problems a single record can have on its own. Returns the prefixes it holds for the overlap check.
+const checkRecord = (doc) => {
+    const issues = [];
+    const ranges = [];
+
+    if (!doc.CIDR && !doc.CIDRIPV6) {
+        issues.push({ type: 'missing_cidr', field: 'CIDR', message: 'CIDR is empty' });
+        return { ranges, issues };
+    }
+
+    const cidr = doc.CIDR ? checkPrefix(doc, 'CIDR', issues) : null;
+    const cidrV6 = doc.CIDRIPV6 ? checkPrefix(doc, 'CIDRIPV6', issues) : null;
+
+    if (cidr) {
+        ranges.push({ field: 'CIDR', cidr: doc.CIDR, range: cidr });
+    }
+
+    if (cidrV6 && cidrV6.version !== 6) {
+        issues.push({ type: 'family_mismatch', field: 'CIDRIPV6', message: `CIDRIPV6 ${doc.CIDRIPV6} is not an IPv6 prefix` });
+    } else if (cidrV6 && !(cidr && cidr.version === 6 && cidr.start === cidrV6.start && cidr.prefix === cidrV6.prefix)) {
+        ranges.push({ field: 'CIDRIPV6', cidr: doc.CIDRIPV6, range: cidrV6 });
+    }
+
+    if (doc.CIDRIPV4 && doc.CIDRIPV4 !== doc.CIDR) {
+        issues.push({ type: 'cidr_mismatch', field: 'CIDRIPV4', message: `CIDRIPV4 ${doc.CIDRIPV4} differs from CIDR ${doc.CIDR}` });
+    }
+
+    // Each address has to fall inside the record's prefix of the same family
+    ['IPV4', 'IP', 'IPV6'].forEach(field => {
+        if (!doc[field]) {
+            return;
+        }
+
+        const ip = parseIP(doc[field]);
+        const prefix = ranges.find(entry => ip && entry.range.version === ip.version);
+
+        if (!ip) {
+            issues.push({ type: 'invalid_ip', field, message: `${field} ${doc[field]} is not a valid address` });
+        } else if (field === 'IPV6' && ip.version !== 6) {
+            issues.push({ type: 'family_mismatch', field, message: `${field} ${doc[field]} is not an IPv6 address` });
+        } else if (!prefix) {
+            issues.push({ type: 'ip_outside_cidr', field, message: `${field} ${doc[field]} has no IPv${ip.version} prefix on the record` });
+        } else if (!containsIP(prefix.range, ip)) {
+            issues.push({ type: 'ip_outside_cidr', field, message: `${field} ${doc[field]} is outside ${prefix.cidr}` });
+        }
+    });
+
+    return { ranges, issues };
+};
+
+// Cell values the CSV export protected against formula injection come back with their quote
+const unquoteFormula = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+/**
+ * Trims and types the fields of an incoming record (CSV cells are all strings), drops
+ * empty and unknown ones, and fills CIDR/CIDRIPV4 the way the rest of the service stores them.
+ * Returns the record with its blocking `errors` and non-blocking `warnings`.
+ */
+const validateSubnetRecord = (input) => {
+    const record = {};
+    const ignored = [];
+
+    Object.entries(input).forEach(([field, value]) => {
+        if (!SUBNET_FIELDS.includes(field)) {
+            ignored.push(field);
+            return;
+        }
+        if (value === undefined || value === null) {
+            return;
+        }
+        const text = typeof value === 'string' ? unquoteFormula(value.trim()) : value;
+        if (text !== '') {
+            record[field] = text;
+        }
+    });
+
+    const issues = checkValues(record);
+
+    if (record.TIMESTAMP !== undefined && !issues.some(issue => issue.type === 'invalid_timestamp')) {
+        record.TIMESTAMP = new Date(record.TIMESTAMP);
+    }
+
+    // IPv6-only records keep their prefix in CIDR as well, IPv4 ones mirror it in CIDRIPV4
+    if (!record.CIDR && record.CIDRIPV6) {
+        record.CIDR = record.CIDRIPV6;
+    }
+    if (record.CIDR && !record.CIDRIPV4 && parseCIDR(record.CIDR)?.version === 4) {
+        record.CIDRIPV4 = record.CIDR;
+    }
+
+    issues.push(...checkRecord(record).issues);
+
+    return {
+        record,
+        errors: issues.filter(isBlocking),
+        warnings: [
+            ...issues.filter(issue => !isBlocking(issue)),
+            ...(ignored.length > 0 ? [{ type: 'ignored_fields', message: `Ignored unknown fields: ${ignored.join(', ')}` }] : [])
+        ]
+    };
+};
+
+/**
+ * Checks a document as it is stored in MongoDB before sync indexes it, with the same
+ * blocking rules import and the write API apply, but on the document as is: nothing is
+ * trimmed or filled in. Returns the violations in the form the quarantine keeps them
+ * ({ field, rule, message }), empty when the document can be indexed.
+ */
+const validateStoredRecord = (doc) => {
+    return [...checkValues(doc), ...checkRecord(doc).issues]
+        .filter(isBlocking)
+        .map(({ type, field, message }) => ({ field: field || null, rule: type, message }));
+};
+
+module.exports = {
+    SUBNET_FIELDS,
+    checkRecord,
+    validateSubnetRecord,
+    validateStoredRecord
+};